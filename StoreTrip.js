@@ -1,702 +1,746 @@
-/*
- * This JavaScript file is an example of perceptrons,
- * one of the fundamental components of neural networks,
- * which is a method used in machine learning.
- * Machine learning is a subfield of artificial intelligence.
- * 
- * The 3 main functions (takeBusOrTaxi, storeScenario, and
- * takeTaxiOrBus) use perceptrons to simulate an AI agent
- * that will do three major events: get to the store from home,
- * buy a few items from the store, and return home from the
- * store. The agent has a limited amount of money and has
- * particular biases that play a role in the decisions it
- * makes. The agent does not know everything about its
- * environment beforehand so probability is an external factor 
- * that will influence the agent's decisions. Decisions the 
- * agent has taken previously will have an effect on its future
- * decisions and responses.
-*/
-
-/**
- * The Agent object acts as an rudimentary AI agent in AI/ML-related situations.
- *
- * @property environmentSequence -- This array stores what environments the
- * agent has perceived. The last element is the last environment the agent has
- * perceived.
- * 
- * @property actionSequence -- This array stores what actions the agent has taken.
- * The last action the agent has taken is the last element in the array.
- * 
- * @method addEnvironment(env) -- This function pushes the latest environment
- * the agent has perceived onto the environmentSequence property.
- * 
- * @method addAction(choice) -- This function pushes the latest action the agent
- * has taken in its environment onto the actionSequence property.
- * 
- * @param env - The newest environment the agent has entered (perceived).
- * @param choice - The latest action the agent has performed in its environment.
- */
-const Agent = {
-    environmentSequence: [],
-    actionSequence: [],
-    addEnvironment: function (env) {
-        this.environmentSequence.push(env);
-        return this.environmentSequence;
-    },
-    addAction: function (choice) {
-        this.actionSequence.push(choice);
-        return this.actionSequence;
-    }
-};
-
-/**
- * Returns either 0 or 1 randomly; can think of it as returning either "false" or "true" randomly.
- * 
- * @returns 0 or 1
- */
-function getZeroOrOne() {
-    return Math.floor(Math.random() * 2);
-}
-
-/**
- * Returns the sum of the weighted inputs from both arrays plus the bias.
- * Bias may either be a positive value, negative value, or zero.
- * 
- * DEV NOTE: The for loop performs the perceptron's mathematicial
- * calculations by multiplying each input with its weight and adding
- * the product of each weighted input to the overall sum value. The bias is
- * added afterwards that, if not zero, affects the sum of the weighted inputs.
- * 
- * @param {*} sum The summation of the weighted inputs' products.
- * @param {*} inputsArray Array that contains the values for the inputs in the agent's environment. Must be an array object.
- * @param {*} weightsArray Array that contains the weights of the inputs from the environment. Must be an array object. 
- * @param {*} bias This value is independent of the sum and is added at the end to influence the sum.
- * @returns The sum and bias added together; the bias may or may not change the value of sum.
- */
-function summationOfInputsAndWeights(sum, inputsArray, weightsArray, bias) {
-    for (let i = 0; i < inputsArray.length; i++) {
-        sum += inputsArray[i] * weightsArray[i];
-    }
-
-    return sum + bias;
-}
-
-let money = 75;
-let atHome = true;
-let onTheStreets = false;
-let atStore = false;
-Agent.addEnvironment(atHome);
-
-console.log("\nStarting money: $" + money + "\n");
-
-/* AGENT'S STREET PERCEPT: Should I take the bus or hail a taxi to get 
-   to the store today? I have $75 in my wallet. The bus fare is $5. The taxi
-   fare is $8, plus $1 per mile. The distance from home to the store is 2 miles.
-   
-   ADDITIONAL FACTORS
-    - Is the weather bad? (increases likelihood of taking taxi)
-    - Is traffic density high? (increases likelihood of taking taxi)
-    - Is the bus crowded? (increases likelihood of taking taxi)
-    - Agent prefers taking the bus to store (bias for taking bus)
-
-   CRITERIA                 INPUT                   WEIGHT
-   
-   Cost                     x1 = 1                 w1 = 0.7
-   Bad Weather         x2 = either 0 or 1          w2 = 0.5
-   Heavy Traffic       x3 = either 0 or 1          w3 = 0.4
-   Bus Crowding        x4 = either 0 or 1          w4 = 0.3
-   Bias for Bus                                    w5 = -0.2
-
-   DEV NOTE: The input values are to be interpreted as a boolean of 0 (false) or 1 (true).
-   Because it costs money to take either the bus or taxi, the cost input value will
-   always be 1 due to its certainity. The bias factor will decrease the sum of
-   the weighted inputs by 0.2, which lowers the threshold for taking a taxi, making it
-   less likely.
-*/
-let tookBus = false;
-let tookTaxi = false;
-
-function takeBusOrTaxi() {
-    atHome = false;
-    onTheStreets = true;
-    Agent.addEnvironment(onTheStreets);
-
-    console.log("I need to get to the store.\n");
-
-    const taxi_choice_threshold = 1.5;
-
-    const cost_factor = 1;
-    console.log("It's cheaper to take the bus ($5) than to hail a taxi ($10).");
-
-    let weatherFactor = getZeroOrOne();
-    if (weatherFactor == 0) {
-        console.log("It's nice outside today! ");
-    } else if (weatherFactor == 1) {
-        console.log("The weather looks awful today... ");
-    }
-
-    let trafficFactor = getZeroOrOne();
-    if (trafficFactor == 0) {
-        console.log("Traffic flow is normal for now. ");
-    } else if (trafficFactor == 1) {
-        console.log("There is a lot of traffic on the roads... ");
-    }
-
-    let busCrowdingFactor = getZeroOrOne();
-    if (busCrowdingFactor == 0) {
-        console.log("Plenty of space on the bus.\n");
-    } else if (busCrowdingFactor == 1) {
-        console.log("There is a lot of people on the bus.\n");
-    }
-
-    const cost_weight = 0.7;
-    const weather_weight = 0.5;
-    const traffic_weight = 0.4;
-    const bus_crowding_weight = 0.3;
-    const bus_bias = -0.2;
-
-    const inputs = [cost_factor, weatherFactor, trafficFactor, busCrowdingFactor];
-    const weights = [cost_weight, weather_weight, traffic_weight, bus_crowding_weight];
-    let sum = 0;
-    
-    sum = summationOfInputsAndWeights(sum, inputs, weights, bus_bias);
-
-    console.log("Threshold to take a taxi is 1.5. Current conditions: " + sum.toPrecision(2));
-
-    if (sum >= taxi_choice_threshold) {
-        console.log("I have to hail a taxi.");
-        money -= 10;
-        tookTaxi = true;
-        Agent.addAction(tookTaxi);
-        onTheStreets = false;
-        return tookTaxi;
-    } else {
-        console.log("I'll take the bus.");
-        money -= 5;
-        tookBus = true;
-        Agent.addAction(tookBus);
-        onTheStreets = false;
-        return tookBus;
-    }
-}
-
-takeBusOrTaxi();
-console.log("Current money: $" + money + "\n");
-
-/* AGENT'S STORE PERCEPT: I am at the store. I need milk, eggs, and a lighter.
-   I want an energy drink as well but not if I have less than $40.
-   How I got to the store will determine how I spend.
-   I know that locally produced items are cheaper but the store has
-   sparse inventory of them, if at all. I won't know until I go to the
-   side of the store that has what I need. Brand name items are
-   always available but more expensive. Sales tax on all groceries is
-   5% of the subtotal of all items.
-
-   ADDITIONAL FACTORS
-    - Cost of item
-    - Local goods (if available in store, the agent will buy the item instead of brand name)
-    - Spending bias (more likely to save money by buying available local goods if arrived by taxi)
-
-   CRITERIA                 INPUT                   WEIGHT
-   
-   Cost                     x1 = 1                 w1 = 0.6
-   Local Goods         x2 = either 0 or 1          w2 = -0.3
-   Brand Name               x4 = 1                 w4 = 0.6
-   Spending Bias                                   w5 = -0.2 if tookTaxi is true, 0 if tookBus is true
-
-   DEV NOTE: The input value for Local Goods is to be interpreted as boolean.
-   If there are any local goods on that side of the store, it will be the factor
-   that makes the agent decide to choose the item. If there are no local goods available, 
-   the agent has no other choice but to buy the brand name item. Cost will always be a 
-   certainity so its value is 1. The store always has brand name items in stock 
-   so its value is also 1. If the agent arrived to the store by taxi, they will 
-   be more inclined to buy local goods, if available.
-*/
-let gotEnergyDrink = false;
-
-function storeScenario() {
-    atStore = true;
-    Agent.addEnvironment(atStore);
-    const brand_name_item_threshold = 1.0;
-    
-    if (Agent.actionSequence.includes(tookTaxi)) {
-        const spending_bias = -0.2;
-        const cost_factor = 1;
-        const brand_name_factor = 1;
-        let checkListIncomplete = true;
-        let shoppingCart = [];
-
-        console.log("I'm at the store.\n");
-
-        let gotEggs = false;
-        let gotMilk = false;
-        let gotLighter = false;
-
-        while (checkListIncomplete) {
-            console.log("The eggs are on the left side of the store.");
-            console.log("The milk is on the right side of the store.");
-            console.log("And the home supplies is straight ahead. I can buy lighters there.");
-            console.log("Do I want to go left, right, or straight ahead?\n");
-
-            const readline = require("readline-sync");
-
-            let routeDecision = String(readline.question("Choose l for left, r for right, s for straight ahead> "));
-
-            if (routeDecision.toLowerCase() === 'l' && !Agent.actionSequence.includes(gotEggs, 1)) {
-                let localGoodsFactor = getZeroOrOne();
-                
-                const localEggs = {item: 'eggs', type: 'local', price: 6};
-                const brandNameEggs = {item: 'eggs', type: 'brand name', price: 8};
-
-                const cost_weight = 0.6;
-                const local_goods_weight = -0.3;
-                const brand_name_weight = 0.6;
-
-                const inputs = [cost_factor, localGoodsFactor, brand_name_factor];
-                const weights = [cost_weight, local_goods_weight, brand_name_weight];
-                let sum = 0;
-
-                console.log("Are there local goods available? 1 for yes, 0 for no: " + localGoodsFactor);
-
-                sum = summationOfInputsAndWeights(sum, inputs, weights, spending_bias);
-
-                console.log("Threshold to buy brand name is 1.0. Current value: " + sum.toPrecision(2));
-
-                if (sum >= brand_name_item_threshold) {
-                    console.log("Going to get brand name.");
-                    shoppingCart.push(brandNameEggs);
-                    gotEggs = true;
-                    Agent.addAction(gotEggs);
-                } else {
-                    console.log("I'm buying local.");
-                    shoppingCart.push(localEggs);
-                    gotEggs = true;
-                    Agent.addAction(gotEggs);
-                }
-
-                console.log("\n");
-
-            } else if (routeDecision.toLowerCase() === 'l' && Agent.actionSequence.includes(gotEggs, 1)) {
-                console.log("I already have what I need from here. Better backtrack.\n");
-                continue;
-
-            } else if (routeDecision.toLowerCase() === 'r' && !Agent.actionSequence.includes(gotMilk, 1)) {
-                let localGoodsFactor = getZeroOrOne();
-                
-                const localMilk = {item: 'milk', type: 'local', price: 7};
-                const brandNameMilk = {item: 'milk', type: 'brand name', price: 9};
-
-                const cost_weight = 0.6;
-                const local_goods_weight = -0.3;
-                const brand_name_weight = 0.6;
-
-                const inputs = [cost_factor, localGoodsFactor, brand_name_factor];
-                const weights = [cost_weight, local_goods_weight, brand_name_weight];
-                let sum = 0;
-
-                console.log("Are there local goods available? 1 for yes, 0 for no: " + localGoodsFactor);
-
-                sum = summationOfInputsAndWeights(sum, inputs, weights, spending_bias);
-
-                console.log("Threshold to buy brand name is 1.0. Current value: " + sum.toPrecision(2));
-
-                if (sum >= brand_name_item_threshold) {
-                    console.log("Going to get brand name.");
-                    shoppingCart.push(brandNameMilk);
-                    gotMilk = true;
-                    Agent.addAction(gotMilk);
-                } else {
-                    console.log("I'm buying local.");
-                    shoppingCart.push(localMilk);
-                    gotMilk = true;
-                    Agent.addAction(gotMilk);
-                }
-
-                console.log("\n");
-
-            } else if (routeDecision.toLowerCase() === 'r' && Agent.actionSequence.includes(gotMilk, 1)) {
-                console.log("I already have what I need from here. Better backtrack.\n");
-                continue;
-
-            } else if (routeDecision.toLowerCase() === 's' && !Agent.actionSequence.includes(gotLighter, 1)) {
-                let localGoodsFactor = getZeroOrOne();
-                
-                const localLighter = {item: 'lighter', type: 'local', price: 3};
-                const brandNameLighter = {item: 'lighter', type: 'brand name', price: 5};
-
-                const cost_weight = 0.6;
-                const local_goods_weight = -0.3;
-                const brand_name_weight = 0.6;
-
-                const inputs = [cost_factor, localGoodsFactor, brand_name_factor];
-                const weights = [cost_weight, local_goods_weight, brand_name_weight];
-                let sum = 0;
-
-                console.log("Are there local goods available? 1 for yes, 0 for no: " + localGoodsFactor);
-
-                sum = summationOfInputsAndWeights(sum, inputs, weights, spending_bias);
-
-                console.log("Threshold to buy brand name is 1.0. Current value: " + sum.toPrecision(2));
-
-                if (sum >= brand_name_item_threshold) {
-                    console.log("Going to get brand name.\n");
-                    shoppingCart.push(brandNameLighter);
-                    gotLighter = true;
-                    Agent.addAction(gotLighter);
-                } else {
-                    console.log("I'm buying local.\n");
-                    shoppingCart.push(localLighter);
-                    gotLighter = true;
-                    Agent.addAction(gotLighter);
-                }
-
-                console.log("\n");
-
-            } else if (routeDecision.toLowerCase() === 's' && Agent.actionSequence.includes(gotLighter, 1)) {
-                console.log("I already have what I need from here. Better backtrack.\n");
-                continue;
-
-            } else {
-                console.log("ERROR: Invalid input. Try again.\n");
-            }
-
-            if (Agent.actionSequence.includes(gotEggs) &&
-                Agent.actionSequence.includes(gotMilk) && 
-                Agent.actionSequence.includes(gotLighter)
-            ) checkListIncomplete = false;
-        }
-
-        let shoppingSubTotal = 0;
-
-        for (let i = 0; i < shoppingCart.length; i++) {
-            shoppingSubTotal += shoppingCart[i].price;
-        }
-
-        const sales_tax_percent = 0.05;
-        let salesTaxofSubTotal = shoppingSubTotal * sales_tax_percent;
-        let totalPrice = shoppingSubTotal + salesTaxofSubTotal;
-        console.log("Total price of groceries: $" + totalPrice);
-        money -= totalPrice;
-
-        console.log("Money left: $" + money);
-
-        if (money < 40) {
-            console.log("Ugh, if I get a drink, I won't have enough money for other things...");
-        } else {
-            console.log("I'll get a drink.");
-
-            money -= 6;
-            gotEnergyDrink = true;
-
-            console.log("Money left: $" + money);
-        }
-
-    } else if (Agent.actionSequence.includes(tookBus)) {
-        const spending_bias = 0;
-        const cost_factor = 1;
-        const brand_name_factor = 1;
-        let checkListIncomplete = true;
-        let shoppingCart = [];
-
-        console.log("I'm at the store.\n");
-
-        let gotEggs = false;
-        let gotMilk = false;
-        let gotLighter = false;
-
-        while (checkListIncomplete) {
-            console.log("The eggs are on the left side of the store.");
-            console.log("The milk is on the right side of the store.");
-            console.log("And the home supplies is straight ahead. I can buy lighters there.");
-            console.log("Do I want to go left, right, or straight ahead?\n");
-
-            const readline = require("readline-sync");
-
-            console.log("Choose l for left, r for right, s for straight ahead: ");
-            let routeDecision = String(readline.question());
-
-            if (routeDecision.toLowerCase() === 'l' && !Agent.actionSequence.includes(gotEggs, 1)) {
-                let localGoodsFactor = getZeroOrOne();
-                
-                const localEggs = {item: 'eggs', type: 'local', price: 6};
-                const brandNameEggs = {item: 'eggs', type: 'brand name', price: 8};
-
-                const cost_weight = 0.6;
-                const local_goods_weight = -0.3;
-                const brand_name_weight = 0.6;
-
-                const inputs = [cost_factor, localGoodsFactor, brand_name_factor];
-                const weights = [cost_weight, local_goods_weight, brand_name_weight];
-                let sum = 0;
-
-                console.log("Are there local goods available? 1 for yes, 0 for no: " + localGoodsFactor);
-
-                sum = summationOfInputsAndWeights(sum, inputs, weights, spending_bias);
-
-                console.log("Threshold to buy brand name is 1.0. Current value: " + sum.toPrecision(2));
-
-                if (sum >= brand_name_item_threshold) {
-                    console.log("Going to get brand name.");
-                    shoppingCart.push(brandNameEggs);
-                    gotEggs = true;
-                    Agent.addAction(gotEggs);
-                } else {
-                    console.log("I'm buying local.");
-                    shoppingCart.push(localEggs);
-                    gotEggs = true;
-                    Agent.addAction(gotEggs);
-                }
-
-                console.log("\n");
-
-            } else if (routeDecision.toLowerCase() === 'l' && Agent.actionSequence.includes(gotEggs, 1)) {
-                console.log("I already have what I need from here. Better backtrack.\n");
-                continue;
-
-            } else if (routeDecision.toLowerCase() === 'r' && !Agent.actionSequence.includes(gotMilk, 1)) {
-                let localGoodsFactor = getZeroOrOne();
-                
-                const localMilk = {item: 'milk', type: 'local', price: 7};
-                const brandNameMilk = {item: 'milk', type: 'brand name', price: 9};
-
-                const cost_weight = 0.6;
-                const local_goods_weight = -0.3;
-                const brand_name_weight = 0.6;
-
-                const inputs = [cost_factor, localGoodsFactor, brand_name_factor];
-                const weights = [cost_weight, local_goods_weight, brand_name_weight];
-                let sum = 0;
-
-                console.log("Are there local goods available? 1 for yes, 0 for no: " + localGoodsFactor);
-
-                sum = summationOfInputsAndWeights(sum, inputs, weights, spending_bias);
-
-                console.log("Threshold to buy brand name is 1.0. Current value: " + sum.toPrecision(2));
-
-                if (sum >= brand_name_item_threshold) {
-                    console.log("Going to get brand name.");
-                    shoppingCart.push(brandNameMilk);
-                    gotMilk = true;
-                    Agent.addAction(gotMilk);
-                } else {
-                    console.log("I'm buying local.");
-                    shoppingCart.push(localMilk);
-                    gotMilk = true;
-                    Agent.addAction(gotMilk);
-                }
-
-                console.log("\n");
-
-            } else if (routeDecision.toLowerCase() === 'r' && Agent.actionSequence.includes(gotMilk, 1)) {
-                console.log("I already have what I need from here. Better backtrack.\n");
-                continue;
-
-            } else if (routeDecision.toLowerCase() === 's' && !Agent.actionSequence.includes(gotLighter, 1)) {
-                let localGoodsFactor = getZeroOrOne();
-                
-                const localLighter = {item: 'lighter', type: 'local', price: 3};
-                const brandNameLighter = {item: 'lighter', type: 'brand name', price: 5};
-
-                const cost_weight = 0.6;
-                const local_goods_weight = -0.3;
-                const brand_name_weight = 0.6;
-
-                const inputs = [cost_factor, localGoodsFactor, brand_name_factor];
-                const weights = [cost_weight, local_goods_weight, brand_name_weight];
-                let sum = 0;
-
-                console.log("Are there local goods available? 1 for yes, 0 for no: " + localGoodsFactor);
-
-                sum = summationOfInputsAndWeights(sum, inputs, weights, spending_bias);
-
-                console.log("Threshold to buy brand name is 1.0. Current value: " + sum.toPrecision(2));
-
-                if (sum >= brand_name_item_threshold) {
-                    console.log("Going to get brand name.");
-                    shoppingCart.push(brandNameLighter);
-                    gotLighter = true;
-                    Agent.addAction(gotLighter);
-                } else {
-                    console.log("I'm buying local.");
-                    shoppingCart.push(localLighter);
-                    gotLighter = true;
-                    Agent.addAction(gotLighter);
-                }
-
-                console.log("\n");
-
-            } else if (routeDecision.toLowerCase() === 's' && Agent.actionSequence.includes(gotLighter, 1)) {
-                console.log("I already have what I need from here. Better backtrack.\n");
-                continue;
-
-            } else {
-                console.log("ERROR: Invalid input. Try again.\n");
-            }
-
-            if (Agent.actionSequence.includes(gotEggs) &&
-                Agent.actionSequence.includes(gotMilk) && 
-                Agent.actionSequence.includes(gotLighter)
-            ) checkListIncomplete = false;
-        }
-
-        let shoppingSubTotal = 0;
-
-        for (let i = 0; i < shoppingCart.length; i++) {
-            shoppingSubTotal += shoppingCart[i].price;
-        }
-
-        const sales_tax_percent = 0.05;
-        let salesTaxofSubTotal = shoppingSubTotal * sales_tax_percent;
-        let totalPrice = shoppingSubTotal + salesTaxofSubTotal;
-        console.log("Total price of groceries: $" + totalPrice);
-        money -= totalPrice;
-
-        console.log("Money left: $" + money);
-
-        if (money < 40) {
-            console.log("Ugh, if I get a drink, I won't have enough money for other things...\n");
-        } else {
-            console.log("I'll get a drink.");
-
-            money -= 6;
-            gotEnergyDrink = true;
-
-            console.log("Money left: $" + money + "\n");
-        }
-    }
-}
-
-storeScenario();
-
-/* AGENT'S TRANSIT PERCEPT: I am done shopping. Now to get back home.
-   Because I have grocery bags, it would be preferable to take
-   a taxi home so I don't have to hold on to the bags on the bus.
-   Bus and taxi fares are still the same. Unfortunately, one of
-   the main roads is now closed so now it will take an additional
-   mile to get home from the store, regardless of whether I take
-   the bus or taxi.
-
-   ADDITIONAL FACTORS
-    - Is the weather bad? (increases likelihood of taking taxi)
-    - Is traffic density high? (now increases likelihood of taking bus)
-    - Is the bus crowded? (increases likelihood of taking taxi)
-    - Money left (increases likelihood of taking bus)
-    - Preference for taxi due to groceries (bias for taxi)
-
-   CRITERIA                 INPUT                   WEIGHT
-   
-   Cost                     x1 = 1                 w1 = 0.7
-   Bad Weather        x2 = either 0 or 1           w2 = -0.5
-   Heavy Traffic      x3 = either 0 or 1           w3 = 0.6
-   Bus Crowding       x4 = either 0 or 1           w4 = -0.3
-   Money Left         x5 = either 0 or 1           w5 = 0.4
-   Bias for Taxi                                   w6 = -0.2
-
-   DEV NOTE: The input values for Bad Weather, Heavy Traffic, and
-   Bus Crowding are to be interpreted as a boolean of either 0 (false)
-   or 1 (true). The input value for Money Left is determined on how 
-   much money the agent has left. If they have less than $40, then
-   they will be more likely to take the bus (1). The Bias for Taxi
-   is factored into the decision for the agent as well as Cost.
-*/
-
-let tookBusHome = false;
-let tookTaxiHome = false;
-
-function takeTaxiOrBus() {
-    atStore = false;
-    onTheStreets = true;
-    Agent.addEnvironment(onTheStreets);
-
-    console.log("Time to head home.\n");
-
-    const bus_choice_threshold = 1.3;
-
-    const cost_factor = 1;
-    console.log("It's cheaper to take the bus ($5) than to hail a taxi ($11).");
-
-    let weatherFactor = getZeroOrOne();
-    if (weatherFactor == 0.0) {
-        console.log("It's nice outside today! ");
-    } else if (weatherFactor == 1.0) {
-        console.log("The weather looks awful today... ");
-    }
-
-    let trafficFactor = getZeroOrOne();
-    if (trafficFactor == 0.0) {
-        console.log("Traffic flow is normal for now. ");
-    } else if (trafficFactor == 1.0) {
-        console.log("There is a lot of traffic on the roads... ");
-    }
-
-    let busCrowdingFactor = getZeroOrOne();
-    if (busCrowdingFactor == 0) {
-        console.log("Plenty of space on the bus.");
-    } else if (busCrowdingFactor == 1.0) {
-        console.log("There is a lot of people on the bus.");
-    }
-
-    let moneyUnder$40 = 0;
-    if (money < 40) {
-        moneyUnder$40 = 1;
-        console.log("Don't have much cash left...\n");
-    }
-
-    const cost_weight = 0.7;
-    const weather_weight = -0.5;
-    const traffic_weight = 0.6;
-    const bus_crowding_weight = -0.3;
-    const money_weight = 0.4;
-    const taxi_bias = -0.2;
-
-    const inputs = [cost_factor, weatherFactor, trafficFactor, busCrowdingFactor, moneyUnder$40];
-    const weights = [cost_weight, weather_weight, traffic_weight, bus_crowding_weight, money_weight];
-    let sum = 0;
-
-    sum = summationOfInputsAndWeights(sum, inputs, weights, taxi_bias);
-
-    console.log("Threshold to take a bus is 1.3. Current conditions: " + sum.toPrecision(2));
-
-    if (sum >= bus_choice_threshold) {
-        console.log("Got to take the bus.");
-        money -= 5;
-        tookBusHome = true;
-        Agent.addAction(tookBusHome);
-        onTheStreets = false;
-        return tookBusHome;
-    } else {
-        console.log("I'll take the taxi.");
-        money -= 11;
-        tookTaxiHome = true;
-        Agent.addAction(tookTaxiHome);
-        onTheStreets = false;
-        return tookTaxiHome;
-    }
-}
-
-takeTaxiOrBus();
-atHome = true;
-console.log("Money left: $" + money + "\n");
-
-if (Agent.actionSequence.includes(tookBusHome)) {
-    console.log("I would have rather took a cab but I got to save what money I have.\n");
-} else if (Agent.actionSequence.includes(tookTaxiHome)) {
-    console.log("Smooth ride back home...\n");
-}
-
-if (money < 35 && gotEnergyDrink == false) {
-    console.log("I got everything I needed but I have little money left.");
-    console.log("And I couldn't get a energy drink without spending too much...\n");
-
-} else if (money >= 35 && gotEnergyDrink == false) {
-    console.log("I got everything I needed and still have plenty of money left.");
-    console.log("But no energy drink.\n");
-
-} else if (money < 35 && gotEnergyDrink == true) {
-    console.log("I got everything I needed but I have little money left.");
-    console.log("But at least I got an energy drink.\n");
-
-} else if (money >= 35 && gotEnergyDrink == true) {
-    console.log("I got everything I needed and still have plenty of money left.");
-    console.log("And I got an energy drink! Nice!\n");
-}
\ No newline at end of file
+/*
+ * This JavaScript file is an example of perceptrons,
+ * one of the fundamental components of neural networks,
+ * which is a method used in machine learning.
+ * Machine learning is a subfield of artificial intelligence.
+ * 
+ * The 3 main functions (takeBusOrTaxi, storeScenario, and
+ * takeTaxiOrBus) use perceptrons to simulate an AI agent
+ * that will do three major events: get to the store from home,
+ * buy a few items from the store, and return home from the
+ * store. The agent has a limited amount of money and has
+ * particular biases that play a role in the decisions it
+ * makes. The agent does not know everything about its
+ * environment beforehand so probability is an external factor 
+ * that will influence the agent's decisions. Decisions the 
+ * agent has taken previously will have an effect on its future
+ * decisions and responses.
+ *
+ * This file is the command line program. The simulation itself lives in the
+ * lib folder, and everything it offers is exported from here as well, so the
+ * agent, its perceptrons and the trip can be used from other code and tests:
+ *
+ *   const { loadCatalog, defaultCatalogPath, runTrip } = require("./StoreTrip");
+ *   const trip = runTrip({ catalog: loadCatalog(defaultCatalogPath), seed: 42, autopilot: "nearest" });
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const { createAgent } = require("./lib/agent");
+const { createRandomSource, getZeroOrOne, getZeroOrOneWithChance } = require("./lib/random");
+const { summationOfInputsAndWeights, activations, Perceptron } = require("./lib/perceptron");
+const { MultilayerPerceptron, networkLike } = require("./lib/network");
+const { defaultCatalogPath, validateCatalog, loadCatalog, findSection, itemsInSection } = require("./lib/catalog");
+const { nearestSection, createAutopilot } = require("./lib/autopilot");
+const { createConsoleIO, createSilentIO, createScriptedIO } = require("./lib/io");
+const {
+    defaultRoadMapPath,
+    validateRoadMap,
+    closureErrors,
+    loadRoadMap,
+    findRoute,
+    faresFor,
+    chooseClosures,
+    planLeg,
+    referenceFares,
+    defaultTravel,
+    travelErrors,
+    travelTimes
+} = require("./lib/roads");
+const { defaultDeparture, parseTime, formatTime, formatMinutes, nextBus } = require("./lib/clock");
+const {
+    defaultEnvironmentModelPath,
+    validateEnvironmentModel,
+    loadEnvironmentModel,
+    conditionChances,
+    nextConditions
+} = require("./lib/environment");
+const {
+    taxiToStoreDefaults,
+    brandNameDefaults,
+    busHomeDefaults,
+    createPerceptrons,
+    createTrip,
+    costFactor,
+    timeFactor,
+    timeRide,
+    arriveAt,
+    planRoute,
+    takeBusOrTaxi,
+    chooseItemVariant,
+    takeItem,
+    decide,
+    explain,
+    payFor,
+    shopForItem,
+    returnItem,
+    storeScenario,
+    expectedFareHome,
+    chooseOptionalItems,
+    takeTaxiOrBus,
+    arriveHome,
+    listInWords,
+    percentChance,
+    littleMoney,
+    runTrip
+} = require("./lib/trip");
+const { toCents, centsToDecimal, formatMoney, salesTaxOn, cashPayment } = require("./lib/money");
+const { createReceipt, formatReceipt, formatLedger, ledgerToCSV, writeLedger } = require("./lib/receipt");
+const { createInventory, stockOf, takeFromShelf, putBackOnShelf, restockInventory, otherShoppersVisit } = require("./lib/inventory");
+const { shellCommands, sectionNamed, parseCommand, completeCommand } = require("./lib/shell");
+const { inputDescriptions, explainDecision, formatExplanation } = require("./lib/explain");
+const { writeTrace, tripRecord } = require("./lib/trace");
+const { validateTripRequest, createTripServer } = require("./lib/server");
+const { escapeHtml, renderTripReport, renderBatchReport } = require("./lib/report");
+const {
+    tripScoreWeights,
+    scoreTrip,
+    learnFromTrip,
+    loadLearningState,
+    saveLearningState,
+    formatLearningHistory
+} = require("./lib/learning");
+const { percentile, summarizeTrips, runBatch, formatBatchSummary, comparePolicies, formatComparison } = require("./lib/batch");
+const {
+    createRecordingRandom,
+    createRecordingIO,
+    createReplayRandom,
+    createReplayIO,
+    recordSession,
+    compareWithSession,
+    replaySession,
+    saveSession,
+    loadSession
+} = require("./lib/session");
+const {
+    defaultObjective,
+    loadObjective,
+    objectiveScore,
+    startingConfiguration,
+    parameterNames,
+    getParameter,
+    setParameter,
+    evaluateConfiguration,
+    gridSearch,
+    hillClimb,
+    optimize,
+    formatOptimization,
+    saveWeights,
+    loadWeights
+} = require("./lib/optimizer");
+const {
+    qLearningDefaults,
+    QLearningPolicy,
+    createQLearningPolicies,
+    learnFromReward,
+    trainQLearning,
+    saveQTable,
+    loadQTable
+} = require("./lib/qlearning");
+const {
+    decisionKeys,
+    policyNames,
+    ruleDefaults,
+    RuleBasedPolicy,
+    RandomPolicy,
+    HumanPolicy,
+    createPolicies,
+    validatePolicyChoices,
+    loadPolicyChoices
+} = require("./lib/policy");
+const {
+    tripEvents,
+    createDecisionProposal,
+    loadPlugins,
+    registerPlugins
+} = require("./lib/plugins");
+const {
+    defaultHouseholdPath,
+    validateHousehold,
+    loadHousehold,
+    createPantry,
+    itemsRunningLow,
+    stockPantry,
+    usePantry,
+    goShoppingDefaults,
+    cheapestTrip,
+    runCampaign,
+    summarizeCampaign,
+    formatCampaignSummary
+} = require("./lib/campaign");
+const { parseCommandLine } = require("./lib/options");
+
+/**
+ * Runs the program from the command line. See lib/options.js for the options.
+ *
+ * @param {*} argv The command line arguments after the script name.
+ */
+function main(argv) {
+    let options;
+    let catalog;
+    let roadMap;
+    let environmentModel;
+    let session;
+    let weights;
+    let objective;
+    let qTable;
+    let policies = {};
+    let plugins = [];
+    let household;
+    const uses = (policy) => Object.values(policies).includes(policy);
+
+    try {
+        options = parseCommandLine(argv);
+
+        if (options.replay !== undefined) {
+            if (["seed", "autopilot", "closures", "departure", "activation", "multilayer", "weights", "policy"].some((key) => options[key] !== undefined)) {
+                throw new Error("--replay takes the seed and settings from the session, so it cannot be used with --seed, --autopilot, " +
+                    "--closures, --depart, --activation, --multilayer, --weights or --policy.");
+            }
+            session = loadSession(options.replay);
+            // The files the session was recorded with, unless others are given to see how the trip changes with them.
+            ["catalog", "roads", "environment", "plugins"].forEach((key) => {
+                if (options[key] === undefined && session.files && session.files[key] !== undefined) {
+                    options[key] = session.files[key];
+                }
+            });
+        }
+        if (options.policy !== undefined) {
+            policies = typeof options.policy === "string" ? loadPolicyChoices(options.policy) : options.policy;
+        }
+        catalog = loadCatalog(options.catalog !== undefined ? options.catalog : defaultCatalogPath);
+        roadMap = loadRoadMap(options.roads !== undefined ? options.roads : defaultRoadMapPath);
+        environmentModel = loadEnvironmentModel(options.environment !== undefined ? options.environment : defaultEnvironmentModelPath);
+
+        if (Array.isArray(options.closures)) {
+            const errors = closureErrors(roadMap, options.closures);
+            if (errors.length > 0) {
+                throw new Error("--closures: " + errors.join(" "));
+            }
+        }
+
+        if (options.batch !== undefined && options.trace !== undefined) {
+            throw new Error("--trace records a single trip, so it cannot be used with --batch.");
+        }
+        if (options.batch === undefined && options.campaign === undefined && options.summaryJson !== undefined) {
+            throw new Error("--summary-json can only be used with --batch or --campaign.");
+        }
+        if (options.campaign === undefined && options.household !== undefined) {
+            throw new Error("--household can only be used with --campaign.");
+        }
+        if (options.campaign !== undefined && (options.batch !== undefined || options.serve !== undefined || options.record !== undefined ||
+            options.replay !== undefined || options.trace !== undefined || options.report !== undefined || options.receipt !== undefined ||
+            options.explain || options.learn || options.optimize !== undefined || options.trainQ !== undefined || options.compare !== undefined)) {
+            throw new Error("--campaign runs its own trips, so it cannot be used with --batch, --serve, --record, --replay, --trace, --report, " +
+                "--receipt, --explain, --learn, --optimize, --train-q or --compare.");
+        }
+        if (options.batch !== undefined && options.receipt !== undefined) {
+            throw new Error("--receipt records a single trip, so it cannot be used with --batch.");
+        }
+        if (options.serve !== undefined && (options.batch !== undefined || options.trace !== undefined || options.report !== undefined ||
+            options.receipt !== undefined || options.departure !== undefined || options.learn)) {
+            throw new Error("--serve runs trips as they are requested, so it cannot be used with --batch, --trace, --report, --receipt, " +
+                "--depart or --learn. Each trip's request can give its own departure.");
+        }
+        if (options.batch !== undefined && options.explain) {
+            throw new Error("--explain narrates a single trip, so it cannot be used with --batch.");
+        }
+        if ((options.record !== undefined || options.replay !== undefined) &&
+            (options.batch !== undefined || options.serve !== undefined || options.learn)) {
+            throw new Error("--record and --replay work on a single trip, so they cannot be used with --batch, --serve or --learn.");
+        }
+        if (options.record !== undefined && options.replay !== undefined) {
+            throw new Error("--record and --replay cannot be used together.");
+        }
+        if (options.learn && options.multilayer) {
+            throw new Error("--learn adjusts the weights of single perceptrons, so it cannot be used with --multilayer.");
+        }
+        if (options.optimize === undefined && ["trips", "iterations", "parameters", "output"].some((key) => options[key] !== undefined)) {
+            throw new Error("--trips, --iterations, --parameters and --output can only be used with --optimize.");
+        }
+        if (options.objective !== undefined && options.optimize === undefined && options.trainQ === undefined && options.compare === undefined) {
+            throw new Error("--objective can only be used with --optimize, --train-q or --compare.");
+        }
+        if ((options.trainQ !== undefined || options.compare !== undefined) && (options.batch !== undefined || options.serve !== undefined ||
+            options.optimize !== undefined || options.record !== undefined || options.replay !== undefined || options.trace !== undefined ||
+            options.report !== undefined || options.receipt !== undefined || options.explain || options.learn || options.multilayer ||
+            options.policy !== undefined || (options.trainQ !== undefined && options.compare !== undefined))) {
+            throw new Error("--train-q and --compare run their own trips, so they can only be combined with --seed, --autopilot, --closures, --depart, " +
+                "--objective, --q-table, and for --compare, --weights and --activation.");
+        }
+        if (uses("q-learning") && options.record !== undefined) {
+            throw new Error("--policy q-learning decides from its Q table, which a session does not keep, so it cannot be used with --record.");
+        }
+        if (options.learn && Object.values(policies).some((policy) => policy !== "perceptron")) {
+            throw new Error("--learn adjusts the perceptrons' weights, so every decision must use the perceptron policy.");
+        }
+        if (uses("human") && (options.batch !== undefined || options.campaign !== undefined)) {
+            throw new Error("--policy human asks the user, so it cannot be used with --batch or --campaign.");
+        }
+        if (options.optimize !== undefined && (options.batch !== undefined || options.serve !== undefined || options.record !== undefined ||
+            options.replay !== undefined || options.trace !== undefined || options.report !== undefined || options.receipt !== undefined ||
+            options.explain || options.learn || options.multilayer || options.policy !== undefined)) {
+            throw new Error("--optimize runs its own trips, so it can only be combined with --seed, --autopilot, --closures, --depart, --activation and --weights.");
+        }
+        if (options.plugins !== undefined && (options.optimize !== undefined || options.trainQ !== undefined || options.compare !== undefined)) {
+            throw new Error("--plugins can only be used with a single trip, --batch, --campaign, --record, --replay or --serve.");
+        }
+        if (options.weights !== undefined && options.learn) {
+            throw new Error("--weights and --learn both choose the weights to start from, so they cannot be used together.");
+        }
+
+        if (options.weights !== undefined) {
+            weights = loadWeights(options.weights);
+        }
+        if (options.plugins !== undefined) {
+            plugins = loadPlugins(options.plugins);
+        }
+        if (options.objective !== undefined) {
+            objective = loadObjective(options.objective);
+        }
+        if (options.campaign !== undefined) {
+            household = loadHousehold(options.household !== undefined ? options.household : defaultHouseholdPath, catalog);
+        }
+        if (uses("q-learning") || options.compare !== undefined) {
+            qTable = loadQTable(options.qTable !== undefined ? options.qTable : path.join(__dirname, "q-table.json"));
+        }
+    } catch (error) {
+        console.log("ERROR: " + error.message);
+        process.exit(1);
+    }
+
+    if (options.serve !== undefined) {
+        const server = createTripServer({
+            catalog: catalog,
+            roadMap: roadMap,
+            environmentModel: environmentModel,
+            weights: weights,
+            policies: policies,
+            qTable: qTable,
+            plugins: plugins
+        });
+        server.listen(options.serve, () => {
+            console.log("Trip API listening on http://localhost:" + server.address().port + "/trips");
+        });
+        return;
+    }
+
+    const statePath = options.state !== undefined ? options.state : path.join(__dirname, "agent-state.json");
+    let learningState = null;
+
+    try {
+        if (options.resetLearning) {
+            fs.rmSync(statePath, { force: true });
+            console.log("Learning reset. The agent will start from the default weights.");
+            return;
+        }
+
+        if (options.learningHistory) {
+            console.log(formatLearningHistory(loadLearningState(statePath)));
+            return;
+        }
+
+        if (options.learn) {
+            learningState = loadLearningState(statePath);
+        }
+    } catch (error) {
+        console.log("ERROR: " + error.message);
+        process.exit(1);
+    }
+
+    const perceptrons = createPolicies(policies, learningState ? learningState.perceptrons : weights,
+        { activation: options.activation, multilayer: options.multilayer, qTable: qTable });
+
+    // Every random factor in the trip (weather, traffic, bus crowding and local goods) draws from one seeded source.
+    const seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296);
+
+    if (options.trainQ !== undefined) {
+        const tablePath = options.qTable !== undefined ? options.qTable : path.join(__dirname, "q-table.json");
+
+        try {
+            const result = trainQLearning({
+                catalog: catalog,
+                trips: options.trainQ,
+                seed: seed,
+                objective: objective,
+                autopilot: options.autopilot,
+                roadMap: roadMap,
+                closures: options.closures,
+                departure: options.departure,
+                environmentModel: environmentModel
+            });
+
+            console.log("Trained the Q-learning policies on " + result.trips + " trips (seed " + result.seed + ").");
+            console.log("Mean reward of the first tenth of the trips: " + result.firstRewards.toFixed(2) + ", of the last tenth: " + result.lastRewards.toFixed(2) + ".");
+            saveQTable(tablePath, result);
+            console.log("Q table written to " + tablePath + " (run with --policy q-learning to use it)");
+        } catch (error) {
+            console.log("ERROR: " + error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (options.compare !== undefined) {
+        try {
+            const comparison = comparePolicies({ "perceptrons": perceptrons, "q-learning": createQLearningPolicies(qTable) }, {
+                trips: options.compare,
+                seed: seed,
+                catalog: catalog,
+                objective: objective,
+                autopilot: options.autopilot,
+                roadMap: roadMap,
+                closures: options.closures,
+                departure: options.departure,
+                environmentModel: environmentModel
+            });
+
+            console.log(formatComparison(comparison));
+        } catch (error) {
+            console.log("ERROR: " + error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (options.optimize !== undefined) {
+        const outputPath = options.output !== undefined ? options.output : path.join(__dirname, "optimized-weights.json");
+
+        try {
+            const result = optimize({
+                method: options.optimize,
+                catalog: catalog,
+                trips: options.trips,
+                seed: seed,
+                objective: objective,
+                start: weights,
+                parameters: options.parameters,
+                iterations: options.iterations,
+                autopilot: options.autopilot,
+                activation: options.activation,
+                roadMap: roadMap,
+                closures: options.closures,
+                departure: options.departure,
+                environmentModel: environmentModel
+            });
+
+            console.log(formatOptimization(result, weights));
+            saveWeights(outputPath, result);
+            console.log("\nWeights written to " + outputPath + " (run with --weights " + outputPath + " to use them)");
+        } catch (error) {
+            console.log("ERROR: " + error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (options.campaign !== undefined) {
+        const summary = summarizeCampaign(runCampaign({
+            days: options.campaign,
+            seed: seed,
+            catalog: catalog,
+            household: household,
+            autopilot: options.autopilot,
+            perceptrons: perceptrons,
+            roadMap: roadMap,
+            closures: options.closures,
+            departure: options.departure,
+            environmentModel: environmentModel,
+            plugins: plugins
+        }), household);
+
+        console.log(formatCampaignSummary(summary));
+
+        if (options.summaryJson !== undefined) {
+            fs.writeFileSync(options.summaryJson, JSON.stringify(summary, null, 4) + "\n");
+            console.log("\nSummary written to " + options.summaryJson);
+        }
+        return;
+    }
+
+    if (options.batch !== undefined) {
+        const summary = runBatch({
+            trips: options.batch,
+            seed: seed,
+            catalog: catalog,
+            autopilot: options.autopilot,
+            perceptrons: perceptrons,
+            learningState: learningState,
+            roadMap: roadMap,
+            closures: options.closures,
+            departure: options.departure,
+            environmentModel: environmentModel,
+            plugins: plugins
+        });
+
+        console.log(formatBatchSummary(summary));
+
+        if (options.summaryJson !== undefined) {
+            fs.writeFileSync(options.summaryJson, JSON.stringify(summary, null, 4) + "\n");
+            console.log("\nSummary written to " + options.summaryJson);
+        }
+        if (options.report !== undefined) {
+            fs.writeFileSync(options.report, renderBatchReport(summary));
+            console.log("\nBatch report written to " + options.report);
+        }
+    } else {
+        let trip;
+        let divergences;
+
+        if (session) {
+            const replay = replaySession(session, {
+                catalog: catalog,
+                roadMap: roadMap,
+                environmentModel: environmentModel,
+                plugins: plugins,
+                io: createConsoleIO(),
+                explain: options.explain
+            });
+            trip = replay.trip;
+            divergences = replay.divergences;
+        } else if (options.record !== undefined) {
+            const recording = recordSession({
+                catalog: catalog,
+                seed: seed,
+                autopilot: options.autopilot,
+                activation: options.activation,
+                multilayer: options.multilayer,
+                weights: weights,
+                policies: policies,
+                roadMap: roadMap,
+                closures: options.closures,
+                departure: options.departure,
+                environmentModel: environmentModel,
+                plugins: plugins,
+                explain: options.explain,
+                io: createConsoleIO(),
+                files: { catalog: options.catalog, roads: options.roads, environment: options.environment, plugins: options.plugins }
+            });
+            trip = recording.trip;
+            saveSession(options.record, recording.session);
+            console.log("Session recorded to " + options.record + " (run with --replay " + options.record + " to replay it)");
+        } else {
+            trip = runTrip({
+                catalog: catalog,
+                seed: seed,
+                autopilot: options.autopilot,
+                perceptrons: perceptrons,
+                roadMap: roadMap,
+                closures: options.closures,
+                departure: options.departure,
+                environmentModel: environmentModel,
+                plugins: plugins,
+                explain: options.explain
+            });
+        }
+
+        if (options.trace !== undefined) {
+            writeTrace(options.trace, trip.agent.trace);
+            console.log("Trip trace written to " + options.trace);
+        }
+        if (options.report !== undefined) {
+            fs.writeFileSync(options.report, renderTripReport(trip));
+            console.log("Trip report written to " + options.report);
+        }
+        if (options.receipt !== undefined) {
+            writeLedger(options.receipt, trip.ledger);
+            console.log("Receipt written to " + options.receipt);
+        }
+
+        if (divergences) {
+            if (divergences.length === 0) {
+                console.log("The replay matches the recording: " + session.decisions.length + " decisions, coming home with " +
+                    formatMoney(trip.money) + ".");
+            } else {
+                console.log("The replay differs from the recording:\n" + divergences.map((divergence) => "  " + divergence).join("\n"));
+                process.exitCode = 1;
+            }
+        }
+
+        if (learningState) {
+            const entry = learnFromTrip(trip, learningState);
+            console.log("Trip score: " + entry.score.toFixed(3) + " (average before this trip: " + entry.averageScoreBefore.toFixed(3) + ")");
+        }
+    }
+
+    if (learningState) {
+        saveLearningState(statePath, learningState);
+        console.log("The agent has learned from " + learningState.trips + (learningState.trips === 1 ? " trip" : " trips") +
+            ". Weights saved to " + statePath);
+    }
+}
+
+module.exports = {
+    createAgent,
+    createRandomSource,
+    getZeroOrOne,
+    getZeroOrOneWithChance,
+    summationOfInputsAndWeights,
+    activations,
+    Perceptron,
+    MultilayerPerceptron,
+    networkLike,
+    defaultCatalogPath,
+    validateCatalog,
+    loadCatalog,
+    findSection,
+    itemsInSection,
+    nearestSection,
+    createAutopilot,
+    createConsoleIO,
+    createSilentIO,
+    createScriptedIO,
+    defaultRoadMapPath,
+    validateRoadMap,
+    closureErrors,
+    loadRoadMap,
+    findRoute,
+    faresFor,
+    chooseClosures,
+    planLeg,
+    referenceFares,
+    defaultTravel,
+    travelErrors,
+    travelTimes,
+    defaultDeparture,
+    parseTime,
+    formatTime,
+    formatMinutes,
+    nextBus,
+    defaultEnvironmentModelPath,
+    validateEnvironmentModel,
+    loadEnvironmentModel,
+    conditionChances,
+    nextConditions,
+    taxiToStoreDefaults,
+    brandNameDefaults,
+    busHomeDefaults,
+    createPerceptrons,
+    createTrip,
+    costFactor,
+    timeFactor,
+    timeRide,
+    arriveAt,
+    planRoute,
+    takeBusOrTaxi,
+    chooseItemVariant,
+    takeItem,
+    decide,
+    explain,
+    payFor,
+    shopForItem,
+    returnItem,
+    storeScenario,
+    expectedFareHome,
+    chooseOptionalItems,
+    takeTaxiOrBus,
+    arriveHome,
+    listInWords,
+    percentChance,
+    littleMoney,
+    runTrip,
+    toCents,
+    centsToDecimal,
+    formatMoney,
+    salesTaxOn,
+    cashPayment,
+    createReceipt,
+    formatReceipt,
+    formatLedger,
+    ledgerToCSV,
+    writeLedger,
+    createInventory,
+    stockOf,
+    takeFromShelf,
+    putBackOnShelf,
+    restockInventory,
+    otherShoppersVisit,
+    shellCommands,
+    sectionNamed,
+    parseCommand,
+    completeCommand,
+    inputDescriptions,
+    explainDecision,
+    formatExplanation,
+    writeTrace,
+    tripRecord,
+    validateTripRequest,
+    createTripServer,
+    escapeHtml,
+    renderTripReport,
+    renderBatchReport,
+    tripScoreWeights,
+    scoreTrip,
+    learnFromTrip,
+    loadLearningState,
+    saveLearningState,
+    formatLearningHistory,
+    percentile,
+    summarizeTrips,
+    runBatch,
+    formatBatchSummary,
+    comparePolicies,
+    formatComparison,
+    defaultObjective,
+    loadObjective,
+    objectiveScore,
+    startingConfiguration,
+    parameterNames,
+    getParameter,
+    setParameter,
+    evaluateConfiguration,
+    gridSearch,
+    hillClimb,
+    optimize,
+    formatOptimization,
+    saveWeights,
+    loadWeights,
+    qLearningDefaults,
+    QLearningPolicy,
+    createQLearningPolicies,
+    learnFromReward,
+    trainQLearning,
+    saveQTable,
+    loadQTable,
+    decisionKeys,
+    policyNames,
+    ruleDefaults,
+    RuleBasedPolicy,
+    RandomPolicy,
+    HumanPolicy,
+    createPolicies,
+    validatePolicyChoices,
+    loadPolicyChoices,
+    tripEvents,
+    createDecisionProposal,
+    loadPlugins,
+    registerPlugins,
+    defaultHouseholdPath,
+    validateHousehold,
+    loadHousehold,
+    createPantry,
+    itemsRunningLow,
+    stockPantry,
+    usePantry,
+    goShoppingDefaults,
+    cheapestTrip,
+    runCampaign,
+    summarizeCampaign,
+    formatCampaignSummary,
+    createRecordingRandom,
+    createRecordingIO,
+    createReplayRandom,
+    createReplayIO,
+    recordSession,
+    compareWithSession,
+    replaySession,
+    saveSession,
+    loadSession,
+    parseCommandLine,
+    main
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
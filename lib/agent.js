@@ -0,0 +1,73 @@
+/*
+ * The agent that goes on the trip. It remembers what it perceived and what it
+ * did, and keeps a trace of typed events for everything in between.
+*/
+
+/**
+ * Creates an Agent object, which acts as an rudimentary AI agent in AI/ML-related situations.
+ * Every trip gets a fresh agent so that nothing it perceived carries over to the next trip.
+ *
+ * @property environmentSequence -- This array stores what environments the
+ * agent has perceived. The last element is the last environment the agent has
+ * perceived.
+ * 
+ * @property actionSequence -- This array stores what actions the agent has taken.
+ * The last action the agent has taken is the last element in the array.
+ * 
+ * @property trace -- This array stores a typed event for everything the agent
+ * perceived and decided, in order. See recordEvent for the event types.
+ * 
+ * @property events -- The EventEmitter the agent tells what it perceives and does
+ * (see plugins.js), or null.
+ * 
+ * @method addEnvironment(env, details) -- This function pushes the latest environment
+ * the agent has perceived onto the environmentSequence property, records a
+ * "perception" event for it and emits the event as "environmentPerceived".
+ * 
+ * @method addAction(choice, details) -- This function pushes the latest action the agent
+ * has taken in its environment onto the actionSequence property, records a
+ * "decision" event for it and emits the event as "decisionMade".
+ * 
+ * @method recordEvent(event) -- This function pushes an event onto the trace property,
+ * numbering it and filling in the environment the agent is currently in.
+ * 
+ * @param env - The newest environment the agent has entered (perceived), e.g. "street".
+ * @param choice - The latest action the agent has performed in its environment, e.g. "take taxi".
+ * @param details - Extra fields for the trace event, such as the phase of the trip, the
+ * perceptron's inputs, weights, bias, sum and threshold, and the money before and after.
+ * @param event - A trace event. Its type is "tripStart", "perception", "decision",
+ * "payment" or "tripEnd".
+ * @param events - Optional EventEmitter for the events parameter of createAgent.
+ * @returns A new agent that has not perceived or done anything yet.
+ */
+function createAgent(events) {
+    return {
+        environmentSequence: [],
+        actionSequence: [],
+        trace: [],
+        events: events || null,
+        addEnvironment: function (env, details) {
+            this.environmentSequence.push(env);
+            this.recordEvent(Object.assign({ type: "perception" }, details));
+            if (this.events) this.events.emit("environmentPerceived", this.trace[this.trace.length - 1]);
+            return this.environmentSequence;
+        },
+        addAction: function (choice, details) {
+            this.actionSequence.push(choice);
+            this.recordEvent(Object.assign({ type: "decision" }, details, { action: choice }));
+            if (this.events) this.events.emit("decisionMade", this.trace[this.trace.length - 1]);
+            return this.actionSequence;
+        },
+        recordEvent: function (event) {
+            this.trace.push(Object.assign({
+                step: this.trace.length + 1,
+                type: event.type,
+                phase: event.phase,
+                environment: this.environmentSequence[this.environmentSequence.length - 1]
+            }, event));
+            return this.trace;
+        }
+    };
+}
+
+module.exports = { createAgent };
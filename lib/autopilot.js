@@ -0,0 +1,69 @@
+/*
+ * The autopilot chooses the route through the store in place of the user,
+ * so trips can run without anyone at the keyboard.
+*/
+
+const { findSection, itemsInSection } = require("./catalog");
+
+/**
+ * Returns the key of the section that is closest to the agent's position.
+ * Ties go to the section listed first in the catalog.
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} position The agent's current position in the store, e.g. {x: 0, y: 0}.
+ * @param {*} sectionKeys The keys of the sections to choose from.
+ * @returns The key of the nearest section.
+ */
+function nearestSection(catalog, position, sectionKeys) {
+    const distanceTo = (key) => Math.hypot(findSection(catalog, key).position.x - position.x,
+        findSection(catalog, key).position.y - position.y);
+
+    return sectionKeys.reduce((nearest, key) => distanceTo(key) < distanceTo(nearest) ? key : nearest);
+}
+
+/**
+ * Creates the autopilot that picks the route through the store in place of the user.
+ *
+ * DEV NOTE: There are three strategies. "nearest" walks to the closest section
+ * that still has something on the checklist. "cheapest" visits the sections in
+ * order of the brand name prices of the items on the shopping list there, since
+ * the agent cannot know which local goods are in stock until it gets there. Anything else is a scripted route of letters
+ * separated by commas (e.g. "l,l,x,r,s") that is followed exactly, so repeated
+ * and invalid choices go down the same paths a user's typing would. If the
+ * script runs out before the checklist is done, the agent falls back to "nearest".
+ *
+ * @param {*} strategy "nearest", "cheapest", or a scripted route such as "l,r,s".
+ * @returns A function that takes the trip, the agent's position and the keys of the
+ * sections still needed, and returns the next route decision. A scripted route is
+ * used up as it is followed, so create a new autopilot for every trip.
+ */
+function createAutopilot(strategy) {
+    if (strategy === "nearest") {
+        return function (trip, position, sectionKeys) {
+            return nearestSection(trip.catalog, position, sectionKeys);
+        };
+    }
+
+    if (strategy === "cheapest") {
+        return function (trip, position, sectionKeys) {
+            const brandNameCost = (key) => itemsInSection(trip.catalog, key)
+                .filter((item) => trip.shoppingList.includes(item.name))
+                .reduce((total, item) => total + item.variants["brand name"], 0);
+
+            return sectionKeys.reduce((cheapest, key) => brandNameCost(key) < brandNameCost(cheapest) ? key : cheapest, sectionKeys[0]);
+        };
+    }
+
+    const script = strategy.split(",").map((choice) => choice.trim());
+
+    return function (trip, position, sectionKeys) {
+        if (script.length > 0) {
+            return script.shift();
+        }
+
+        trip.io.log("My planned route ran out, so I'll head to the nearest section I still need.");
+        return nearestSection(trip.catalog, position, sectionKeys);
+    };
+}
+
+module.exports = { nearestSection, createAutopilot };
@@ -0,0 +1,251 @@
+/*
+ * Monte Carlo batch simulation: running the whole trip many times and
+ * summarizing what the agent did.
+*/
+
+const { createRandomSource } = require("./random");
+const { runTrip } = require("./trip");
+const { scoreTrip, learnFromTrip } = require("./learning");
+const { defaultObjective, objectiveScore } = require("./optimizer");
+const { createSilentIO } = require("./io");
+const { createInventory } = require("./inventory");
+const { centsToDecimal } = require("./money");
+
+/**
+ * Returns the value below which the given percentage of the sorted values fall,
+ * using the nearest-rank method.
+ *
+ * @param {*} sortedValues An array of numbers sorted from smallest to largest.
+ * @param {*} percent A percentage from 0 to 100.
+ * @returns One of the values in the array.
+ */
+function percentile(sortedValues, percent) {
+    const rank = Math.max(1, Math.ceil(percent / 100 * sortedValues.length));
+    return sortedValues[rank - 1];
+}
+
+/**
+ * Works out the summary statistics for a batch of finished trips.
+ *
+ * @param {*} trips The trip objects returned by runTrip.
+ * @param {*} catalog The store catalog the trips shopped from.
+ * @returns An object with the taxi and bus rates for each leg, the local and brand
+ * name rates for each item along with how often it was substituted or missed,
+ * the purchase rate of each optional item, and the distribution of the money
+ * left at the end of the trips (in cents).
+ */
+function summarizeTrips(trips, catalog) {
+    const hundredths = (value) => Math.round(value * 100) / 100;
+    const rate = (matching) => hundredths(trips.filter(matching).length / trips.length * 100);
+
+    const items = {};
+    catalog.items.forEach((item) => {
+        const boughtVariant = (trip, type) => trip.shoppingCart.some((cartItem) => cartItem.item === item.name && cartItem.type === type);
+        items[item.name] = {
+            localPercent: rate((trip) => boughtVariant(trip, "local")),
+            brandNamePercent: rate((trip) => boughtVariant(trip, "brand name")),
+            substitutedPercent: rate((trip) => trip.substitutions.some((substitution) => substitution.item === item.name)),
+            missedPercent: rate((trip) => trip.missedItems.includes(item.name))
+        };
+    });
+
+    const optionalItems = {};
+    catalog.optionalItems.forEach((item) => {
+        optionalItems[item.name] = { boughtPercent: rate((trip) => trip.optionalItemsBought.includes(item)) };
+    });
+
+    const byMoney = trips.slice().sort((a, b) => a.money - b.money);
+    const moneyLeft = byMoney.map((trip) => trip.money);
+
+    return {
+        trips: trips.length,
+        transport: {
+            toStore: { taxiPercent: rate((trip) => trip.tookTaxi), busPercent: rate((trip) => trip.tookBus) },
+            toHome: { taxiPercent: rate((trip) => trip.tookTaxiHome), busPercent: rate((trip) => trip.tookBusHome) }
+        },
+        items: items,
+        optionalItems: optionalItems,
+        finalMoney: {
+            mean: Math.round(moneyLeft.reduce((total, value) => total + value, 0) / moneyLeft.length),
+            min: moneyLeft[0],
+            p10: percentile(moneyLeft, 10),
+            p25: percentile(moneyLeft, 25),
+            median: percentile(moneyLeft, 50),
+            p75: percentile(moneyLeft, 75),
+            p90: percentile(moneyLeft, 90),
+            max: moneyLeft[moneyLeft.length - 1],
+            minSeed: byMoney[0].random.seed,
+            maxSeed: byMoney[byMoney.length - 1].random.seed
+        }
+    };
+}
+
+/**
+ * Runs the whole trip many times without narration and summarizes the results.
+ *
+ * DEV NOTE: Each trip gets its own seed, drawn from a random source seeded with
+ * the batch seed. That keeps the whole batch reproducible, and any single trip
+ * can be replayed with narration by running it with its own seed. All the
+ * trips shop at the same store, so the other shoppers and the agent itself
+ * wear the shelves down, and they are only partly restocked between trips.
+ * A single trip replayed by its seed starts from full shelves instead.
+ *
+ * @param {*} options The number of trips, the batch seed, the catalog to shop
+ * from, the autopilot strategy (default "nearest"), and optionally the road map,
+ * road closure setting, departure time, environment model and plugins (see plugins.js). To let the agent learn from trip to trip, also pass
+ * the perceptrons and the learning state.
+ * @returns The summary from summarizeTrips, with the batch seed and the
+ * shelves at the end of the batch added.
+ */
+function runBatch(options) {
+    const batchRandom = createRandomSource(options.seed);
+    const inventory = createInventory(options.catalog);
+    const trips = [];
+
+    for (let i = 0; i < options.trips; i++) {
+        const trip = runTrip({
+            catalog: options.catalog,
+            seed: Math.floor(batchRandom.next() * 4294967296),
+            autopilot: options.autopilot !== undefined ? options.autopilot : "nearest",
+            perceptrons: options.perceptrons,
+            io: createSilentIO(),
+            roadMap: options.roadMap,
+            closures: options.closures,
+            departure: options.departure,
+            environmentModel: options.environmentModel,
+            inventory: inventory,
+            plugins: options.plugins
+        });
+
+        if (options.learningState) {
+            learnFromTrip(trip, options.learningState);
+        }
+        trips.push(trip);
+    }
+
+    return Object.assign({ seed: options.seed }, summarizeTrips(trips, options.catalog), { finalShelves: inventory.shelves });
+}
+
+/**
+ * Lays out a batch summary as a readable table.
+ *
+ * @param {*} summary The summary returned by runBatch.
+ * @returns The table as a string.
+ */
+function formatBatchSummary(summary) {
+    const percent = (value) => (value.toFixed(1) + "%").padStart(12);
+    const dollars = (cents) => ("$" + centsToDecimal(cents)).padStart(10);
+    const lines = [];
+
+    lines.push("Trips simulated: " + summary.trips + " (batch seed " + summary.seed + ")");
+    lines.push("");
+    lines.push("Leg".padEnd(20) + "Taxi".padStart(12) + "Bus".padStart(12));
+    lines.push("Home to store".padEnd(20) + percent(summary.transport.toStore.taxiPercent) + percent(summary.transport.toStore.busPercent));
+    lines.push("Store to home".padEnd(20) + percent(summary.transport.toHome.taxiPercent) + percent(summary.transport.toHome.busPercent));
+    lines.push("");
+    lines.push("Item".padEnd(20) + "Local".padStart(12) + "Brand name".padStart(12) + "Substituted".padStart(12) + "Missed".padStart(12));
+    Object.keys(summary.items).forEach((name) => {
+        const item = summary.items[name];
+        lines.push(name.padEnd(20) + percent(item.localPercent) + percent(item.brandNamePercent) +
+            percent(item.substitutedPercent) + percent(item.missedPercent));
+    });
+
+    if (Object.keys(summary.optionalItems).length > 0) {
+        lines.push("");
+        lines.push("Optional item".padEnd(20) + "Bought".padStart(12));
+        Object.keys(summary.optionalItems).forEach((name) => {
+            lines.push(name.padEnd(20) + percent(summary.optionalItems[name].boughtPercent));
+        });
+    }
+
+    const money = summary.finalMoney;
+    lines.push("");
+    lines.push("Final money".padEnd(20) + ["Mean", "Min", "P10", "P25", "Median", "P75", "P90", "Max"].map((label) => label.padStart(10)).join(""));
+    lines.push("".padEnd(20) + [money.mean, money.min, money.p10, money.p25, money.median, money.p75, money.p90, money.max].map(dollars).join(""));
+    lines.push("");
+    lines.push("Least money left: seed " + money.minSeed + ". Most money left: seed " + money.maxSeed + ".");
+
+    return lines.join("\n");
+}
+
+/**
+ * Runs the same trips with each of several policies and compares how they did.
+ *
+ * DEV NOTE: Each policy shops at a freshly stocked store and gets the same
+ * trip seeds, drawn from the comparison seed, so every policy faces the same
+ * weather, traffic and bus crowding, at least until its own choices change
+ * what the shelves look like.
+ *
+ * @param {*} policies An object that maps the name of each policy to the
+ * perceptrons (or anything that decides like them, e.g. createQLearningPolicies)
+ * to run the trips with.
+ * @param {*} options The number of trips, the seed, the catalog to shop from,
+ * and optionally the objective (default defaultObjective), the autopilot
+ * (default "nearest"), road map, road closure setting, departure time and environment model.
+ * @returns The comparison: the trips and seed, and for each policy the mean
+ * money left (in cents), comfort (see scoreTrip) and objective score, and how
+ * often it took a taxi on each leg.
+ */
+function comparePolicies(policies, options) {
+    const objective = options.objective !== undefined ? options.objective : defaultObjective;
+    const mean = (values, places) => Math.round(values.reduce((total, value) => total + value, 0) / values.length * 10 ** places) / 10 ** places;
+
+    return {
+        trips: options.trips,
+        seed: options.seed,
+        policies: Object.keys(policies).map((name) => {
+            const seeds = createRandomSource(options.seed);
+            const inventory = createInventory(options.catalog);
+            const trips = [];
+
+            for (let i = 0; i < options.trips; i++) {
+                trips.push(runTrip({
+                    catalog: options.catalog,
+                    seed: Math.floor(seeds.next() * 4294967296),
+                    autopilot: options.autopilot !== undefined ? options.autopilot : "nearest",
+                    perceptrons: policies[name],
+                    io: createSilentIO(),
+                    roadMap: options.roadMap,
+                    closures: options.closures,
+                    departure: options.departure,
+                    environmentModel: options.environmentModel,
+                    inventory: inventory
+                }));
+            }
+            const transport = summarizeTrips(trips, options.catalog).transport;
+
+            return {
+                name: name,
+                moneyLeft: Math.round(mean(trips.map((trip) => trip.money), 0)),
+                comfort: mean(trips.map((trip) => scoreTrip(trip).comfort), 3),
+                objective: mean(trips.map((trip) => objectiveScore(trip, objective)), 2),
+                taxiToStorePercent: transport.toStore.taxiPercent,
+                taxiHomePercent: transport.toHome.taxiPercent
+            };
+        })
+    };
+}
+
+/**
+ * Lays out a comparison of policies as a readable table.
+ *
+ * @param {*} comparison The comparison returned by comparePolicies.
+ * @returns The table as a string.
+ */
+function formatComparison(comparison) {
+    const lines = [];
+
+    lines.push("Policies compared on the same " + comparison.trips + " trips (seed " + comparison.seed + ")");
+    lines.push("");
+    lines.push("Policy".padEnd(20) + "Money left".padStart(12) + "Comfort".padStart(10) + "Objective".padStart(12) +
+        "Taxi there".padStart(12) + "Taxi home".padStart(12));
+    comparison.policies.forEach((policy) => {
+        lines.push(policy.name.padEnd(20) + ("$" + centsToDecimal(policy.moneyLeft)).padStart(12) + policy.comfort.toFixed(3).padStart(10) +
+            policy.objective.toFixed(2).padStart(12) + (policy.taxiToStorePercent.toFixed(1) + "%").padStart(12) +
+            (policy.taxiHomePercent.toFixed(1) + "%").padStart(12));
+    });
+
+    return lines.join("\n");
+}
+
+module.exports = { percentile, summarizeTrips, runBatch, formatBatchSummary, comparePolicies, formatComparison };
@@ -0,0 +1,431 @@
+/*
+ * Campaigns: the same household day after day. The pantry at home runs down
+ * a day at a time, income comes in every week, and each morning the agent
+ * decides whether to go shopping and what to put on its list. The money, the
+ * pantry and the store's shelves carry over from one day to the next. See
+ * household.json for the default household.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const { createRandomSource } = require("./random");
+const { Perceptron } = require("./perceptron");
+const { littleMoney, runTrip } = require("./trip");
+const { createSilentIO } = require("./io");
+const { createInventory, restockInventory } = require("./inventory");
+const { defaultRoadMapPath, loadRoadMap, referenceFares } = require("./roads");
+const { toCents, centsToDecimal, formatMoney, salesTaxOn } = require("./money");
+
+// The household used when no other is given.
+const defaultHouseholdPath = path.join(__dirname, "..", "household.json");
+
+/**
+ * Checks that a household has everything a campaign needs and returns a list
+ * of the problems found. An empty list means the household is valid.
+ *
+ * DEV NOTE: The pantry keeps each item as the number of days it will last.
+ * Every unit the agent brings home adds the item's lastsDays, and every day
+ * at home takes one away. Only items the catalog sells can be in the pantry.
+ *
+ * @param {*} household The parsed contents of a household file.
+ * @param {*} catalog The store catalog the household shops from (see loadCatalog).
+ * @returns An array of error messages.
+ */
+function validateHousehold(household, catalog) {
+    const errors = [];
+    const isPrice = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+    const isDays = (value, least) => Number.isInteger(value) && value >= least;
+
+    if (typeof household !== "object" || household === null || Array.isArray(household)) {
+        return ["the household must be a JSON object."];
+    }
+
+    if (household.startingMoney !== undefined && !isPrice(household.startingMoney)) {
+        errors.push("startingMoney must be an amount of money.");
+    }
+    if (!household.income || !isPrice(household.income.amount) || !isDays(household.income.everyDays, 1)) {
+        errors.push("income needs an amount of money and how often it comes in, e.g. {\"amount\": 90, \"everyDays\": 7}.");
+    }
+    if (household.restockWithinDays !== undefined && !isDays(household.restockWithinDays, 0)) {
+        errors.push("restockWithinDays must be a whole number of days.");
+    }
+
+    if (!Array.isArray(household.pantry) || household.pantry.length === 0) {
+        errors.push("pantry must be a list with at least one item.");
+    } else {
+        const names = [];
+
+        household.pantry.forEach((entry, index) => {
+            const label = entry && typeof entry.item === "string" ? "pantry item \"" + entry.item + "\"" : "pantry item " + (index + 1);
+
+            if (!entry || !catalog.items.some((item) => item.name === entry.item)) {
+                errors.push(label + " is not an item the store sells.");
+            } else if (names.includes(entry.item)) {
+                errors.push(label + " is listed twice.");
+            } else {
+                names.push(entry.item);
+            }
+            if (!entry || !isDays(entry.lastsDays, 1)) {
+                errors.push(label + " needs lastsDays, the whole number of days one unit lasts.");
+            }
+            if (!entry || !isDays(entry.daysLeft, 0)) {
+                errors.push(label + " needs daysLeft, the whole number of days the pantry has left on the first day.");
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Reads a household from a JSON file and validates it against the catalog.
+ *
+ * @param {*} householdPath The path to the household file.
+ * @param {*} catalog The store catalog the household shops from (see loadCatalog).
+ * @returns The household object, with startingMoney defaulting to $75 and
+ * restockWithinDays to 1. The starting money and income in the file are in
+ * dollars, and are turned into cents (see money.js).
+ */
+function loadHousehold(householdPath, catalog) {
+    let household;
+
+    try {
+        household = JSON.parse(fs.readFileSync(householdPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the household " + householdPath + ": " + error.message);
+    }
+
+    const errors = validateHousehold(household, catalog);
+    if (errors.length > 0) {
+        throw new Error("The household " + householdPath + " is invalid:\n - " + errors.join("\n - "));
+    }
+
+    household.startingMoney = household.startingMoney !== undefined ? toCents(household.startingMoney) : 7500;
+    household.income = { amount: toCents(household.income.amount), everyDays: household.income.everyDays };
+    household.restockWithinDays = household.restockWithinDays !== undefined ? household.restockWithinDays : 1;
+
+    return household;
+}
+
+/**
+ * Creates the pantry of a household as it is on the first day.
+ *
+ * @param {*} household The household (see loadHousehold).
+ * @returns An object that maps each pantry item to the days it has left.
+ */
+function createPantry(household) {
+    const pantry = {};
+    household.pantry.forEach((entry) => { pantry[entry.item] = entry.daysLeft; });
+    return pantry;
+}
+
+/**
+ * Lists the pantry items that will run out soon.
+ *
+ * @param {*} pantry The pantry (see createPantry).
+ * @param {*} withinDays An item with this many days left or fewer is running low.
+ * @returns The names of the items, in the order of the household file.
+ */
+function itemsRunningLow(pantry, withinDays) {
+    return Object.keys(pantry).filter((name) => pantry[name] <= withinDays);
+}
+
+/**
+ * Puts what the agent brought home from the store in the pantry.
+ *
+ * @param {*} pantry The pantry (see createPantry).
+ * @param {*} household The household (see loadHousehold).
+ * @param {*} shoppingCart The cart of the finished trip.
+ */
+function stockPantry(pantry, household, shoppingCart) {
+    shoppingCart.forEach((cartItem) => {
+        const entry = household.pantry.find((candidate) => candidate.item === cartItem.item);
+        if (entry) {
+            pantry[entry.item] += entry.lastsDays;
+        }
+    });
+}
+
+/**
+ * Uses up a day of every item in the pantry.
+ *
+ * @param {*} pantry The pantry (see createPantry).
+ * @returns The names of the items the household had none of that day.
+ */
+function usePantry(pantry) {
+    const empty = Object.keys(pantry).filter((name) => pantry[name] === 0);
+    Object.keys(pantry).forEach((name) => { pantry[name] = Math.max(0, pantry[name] - 1); });
+    return empty;
+}
+
+/* AGENT'S PANTRY PERCEPT: It's a new day. Should I go to the store today,
+   or can what's in the pantry wait?
+
+   ADDITIONAL FACTORS
+    - How much of the pantry is running low? (increases likelihood of shopping)
+    - Has something already run out? (increases likelihood of shopping)
+    - Money left (increases likelihood of staying home)
+    - Is payday tomorrow? (increases likelihood of staying home)
+
+   CRITERIA                 INPUT                   WEIGHT
+
+   Running Low        x1 = share of the pantry     w1 = 1.0
+   Run Out            x2 = either 0 or 1           w2 = 0.5
+   Money Left         x3 = either 0 or 1           w3 = -0.4
+   Payday Tomorrow    x4 = either 0 or 1           w4 = -0.4
+   Bias                                            w5 = 0
+
+   DEV NOTE: Running Low is the share of the pantry items with the
+   household's restockWithinDays or fewer left, so with three items one
+   running low is 0.33. Money Left is 1 when the agent has less than $40.
+   With a threshold of 0.5, one item running low is not worth the trip until
+   it runs out, and two are, but either waits if money is tight or payday is
+   tomorrow (0.33 + 0.5 - 0.4 and 0.67 - 0.4 are both under 0.5). Three items
+   running low are worth the trip either way. Whatever the perceptron
+   says, the agent stays home if it cannot pay the bus there and back and
+   the local price of everything on its list. */
+const goShoppingDefaults = {
+    name: "go shopping",
+    weights: { runningLow: 1.0, runOut: 0.5, moneyUnder40: -0.4, paydayTomorrow: -0.4 },
+    bias: 0,
+    threshold: 0.5
+};
+
+/**
+ * Works out the least a shopping trip for a list can cost: the bus there and
+ * back and the local variant of every item on the list, with sales tax.
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @param {*} shoppingList The names of the items on the list.
+ * @returns The cost in cents.
+ */
+function cheapestTrip(catalog, roadMap, shoppingList) {
+    const items = catalog.items.filter((item) => shoppingList.includes(item.name));
+    const subtotal = items.reduce((total, item) => total + item.variants["local"], 0);
+
+    return 2 * referenceFares(roadMap).bus + subtotal + salesTaxOn(subtotal, catalog.salesTaxRate);
+}
+
+/**
+ * Runs a household for many days. Each morning the pay comes in if it is
+ * payday, the agent makes its shopping list from the pantry items running low
+ * and decides whether to go. A trip is run without narration, and what the
+ * agent brings home goes in the pantry before the day's share is used up.
+ *
+ * DEV NOTE: Every day draws a trip seed from the campaign seed whether the
+ * agent goes shopping or not, so a change to one day's decision does not
+ * change the weather on the days after it. As in a batch, the store's
+ * shelves carry over from trip to trip. They are partly restocked every day,
+ * before the trip on the days the agent goes and at the end of the others.
+ *
+ * @param {*} options The number of days, the campaign seed, the catalog to
+ * shop from, the household (see loadHousehold), and optionally the autopilot
+ * (default "nearest"), the perceptrons for the trips, the go shopping
+ * perceptron (default goShoppingDefaults), the road map, road closure
+ * setting, departure time, environment model and plugins.
+ * @returns The day by day record of the campaign, with its seed and
+ * starting money. Each day has the pay that came in, the money the agent
+ * started and ended it with, the shopping list and the go shopping decision,
+ * and if the agent went, the trip's seed, what it bought, how it travelled
+ * and what it spent on fares, groceries and optional items, and the pantry
+ * items the household went without that day.
+ */
+function runCampaign(options) {
+    const household = options.household;
+    const campaignRandom = createRandomSource(options.seed);
+    const inventory = createInventory(options.catalog);
+    const roadMap = options.roadMap || loadRoadMap(defaultRoadMapPath);
+    const shopper = options.shopper || new Perceptron(goShoppingDefaults);
+    const pantry = createPantry(household);
+    const days = [];
+    let money = household.startingMoney;
+
+    for (let day = 1; day <= options.days; day++) {
+        const seed = Math.floor(campaignRandom.next() * 4294967296);
+        const income = day % household.income.everyDays === 0 ? household.income.amount : 0;
+        money += income;
+
+        const shoppingList = itemsRunningLow(pantry, household.restockWithinDays);
+        const inputs = {
+            runningLow: Math.round(shoppingList.length / Object.keys(pantry).length * 100) / 100,
+            runOut: shoppingList.some((name) => pantry[name] === 0) ? 1 : 0,
+            moneyUnder40: money < littleMoney ? 1 : 0,
+            paydayTomorrow: (day + 1) % household.income.everyDays === 0 ? 1 : 0
+        };
+        const decision = shopper.evaluate(inputs);
+        const record = {
+            day: day,
+            income: income,
+            moneyBefore: money,
+            shoppingList: shoppingList,
+            decision: decision,
+            shopped: false,
+            cannotAfford: false,
+            spent: { fares: 0, groceries: 0, optionalItems: 0 }
+        };
+
+        if (shoppingList.length > 0 && decision.output === 1 && money < cheapestTrip(options.catalog, roadMap, shoppingList)) {
+            record.cannotAfford = true;
+        } else if (shoppingList.length > 0 && decision.output === 1) {
+            const trip = runTrip({
+                catalog: options.catalog,
+                seed: seed,
+                autopilot: options.autopilot !== undefined ? options.autopilot : "nearest",
+                perceptrons: options.perceptrons,
+                io: createSilentIO(),
+                money: money,
+                roadMap: roadMap,
+                closures: options.closures,
+                departure: options.departure,
+                environmentModel: options.environmentModel,
+                inventory: inventory,
+                plugins: options.plugins,
+                shoppingList: shoppingList
+            });
+            const spentOn = (kind) => trip.ledger.filter((entry) => entry.kind === kind).reduce((total, entry) => total + entry.amount, 0);
+
+            stockPantry(pantry, household, trip.shoppingCart);
+            money = trip.money;
+            Object.assign(record, {
+                shopped: true,
+                seed: seed,
+                bought: trip.shoppingCart.map((cartItem) => cartItem.type + " " + cartItem.item),
+                wentWithout: trip.missedItems.concat(trip.unaffordableItems, trip.abandonedItems),
+                transport: { toStore: trip.tookTaxi ? "taxi" : "bus", toHome: trip.tookTaxiHome ? "taxi" : "bus" },
+                spent: { fares: spentOn("fare"), groceries: spentOn("groceries"), optionalItems: spentOn("optional item") }
+            });
+        }
+
+        if (!record.shopped) {
+            restockInventory(inventory, options.catalog);
+        }
+        record.pantryEmpty = usePantry(pantry);
+        record.moneyAfter = money;
+        record.pantry = Object.assign({}, pantry);
+        days.push(record);
+    }
+
+    return { seed: options.seed, startingMoney: household.startingMoney, days: days };
+}
+
+/**
+ * Works out the summary of a campaign: what came in and went out each week,
+ * the days each pantry item ran out, and how the agent travelled depending on
+ * how much money it set out with.
+ *
+ * @param {*} campaign The campaign returned by runCampaign.
+ * @param {*} household The household the campaign ran (see loadHousehold).
+ * @returns The summary, with every amount in cents.
+ */
+function summarizeCampaign(campaign, household) {
+    const percent = (count, total) => total === 0 ? 0 : Math.round(count / total * 1000) / 10;
+    const trips = campaign.days.filter((day) => day.shopped);
+    const totalOf = (days, key) => days.reduce((total, day) => total + day.spent[key], 0);
+
+    const weeks = [];
+    for (let start = 0; start < campaign.days.length; start += 7) {
+        const days = campaign.days.slice(start, start + 7);
+        const weekTrips = days.filter((day) => day.shopped);
+        const legs = weekTrips.reduce((all, day) => all.concat([day.transport.toStore, day.transport.toHome]), []);
+
+        weeks.push({
+            week: weeks.length + 1,
+            income: days.reduce((total, day) => total + day.income, 0),
+            fares: totalOf(days, "fares"),
+            groceries: totalOf(days, "groceries"),
+            optionalItems: totalOf(days, "optionalItems"),
+            trips: weekTrips.length,
+            taxiPercent: percent(legs.filter((leg) => leg === "taxi").length, legs.length),
+            moneyAtEnd: days[days.length - 1].moneyAfter
+        });
+    }
+
+    const emptyDays = {};
+    household.pantry.forEach((entry) => {
+        emptyDays[entry.item] = campaign.days.filter((day) => day.pantryEmpty.includes(entry.item)).map((day) => day.day);
+    });
+
+    const bands = [
+        { label: formatMoney(2 * littleMoney) + " or more", from: 2 * littleMoney, to: Infinity },
+        { label: formatMoney(littleMoney) + " to " + formatMoney(2 * littleMoney), from: littleMoney, to: 2 * littleMoney },
+        { label: "under " + formatMoney(littleMoney), from: -Infinity, to: littleMoney }
+    ];
+    const transportByMoney = bands.map((band) => {
+        const inBand = trips.filter((day) => day.moneyBefore >= band.from && day.moneyBefore < band.to);
+        return {
+            money: band.label,
+            trips: inBand.length,
+            taxiToStorePercent: percent(inBand.filter((day) => day.transport.toStore === "taxi").length, inBand.length),
+            taxiHomePercent: percent(inBand.filter((day) => day.transport.toHome === "taxi").length, inBand.length)
+        };
+    });
+
+    return {
+        days: campaign.days.length,
+        seed: campaign.seed,
+        startingMoney: campaign.startingMoney,
+        finalMoney: campaign.days.length > 0 ? campaign.days[campaign.days.length - 1].moneyAfter : campaign.startingMoney,
+        trips: trips.length,
+        daysUnaffordable: campaign.days.filter((day) => day.cannotAfford).length,
+        weeks: weeks,
+        emptyDays: emptyDays,
+        transportByMoney: transportByMoney,
+        campaign: campaign.days
+    };
+}
+
+/**
+ * Lays out a campaign summary as readable tables.
+ *
+ * @param {*} summary The summary returned by summarizeCampaign.
+ * @returns The tables as a string.
+ */
+function formatCampaignSummary(summary) {
+    const dollars = (cents) => ((cents < 0 ? "-$" : "$") + centsToDecimal(Math.abs(cents))).padStart(11);
+    const percent = (value) => (value.toFixed(1) + "%").padStart(12);
+    const lines = [];
+
+    lines.push("Days simulated: " + summary.days + " (campaign seed " + summary.seed + "), starting with " + formatMoney(summary.startingMoney) +
+        " and ending with " + formatMoney(summary.finalMoney) + ".");
+    lines.push("Shopping trips: " + summary.trips + (summary.daysUnaffordable > 0 ?
+        ". Days the agent needed to shop but could not afford to: " + summary.daysUnaffordable + "." : "."));
+    lines.push("");
+    lines.push("Week".padEnd(8) + ["Income", "Fares", "Groceries", "Optional", "Money left"].map((label) => label.padStart(11)).join("") +
+        "Trips".padStart(8) + "Taxi legs".padStart(12));
+    summary.weeks.forEach((week) => {
+        lines.push(String(week.week).padEnd(8) + [week.income, week.fares, week.groceries, week.optionalItems, week.moneyAtEnd].map(dollars).join("") +
+            String(week.trips).padStart(8) + percent(week.taxiPercent));
+    });
+
+    lines.push("");
+    lines.push("Pantry item".padEnd(20) + "Days without it");
+    Object.keys(summary.emptyDays).forEach((name) => {
+        const days = summary.emptyDays[name];
+        lines.push(name.padEnd(20) + (days.length === 0 ? "none" : days.length + " (day " + days.join(", ") + ")"));
+    });
+
+    lines.push("");
+    lines.push("Money setting out".padEnd(20) + "Trips".padStart(8) + "Taxi there".padStart(12) + "Taxi home".padStart(12));
+    summary.transportByMoney.forEach((band) => {
+        lines.push(band.money.padEnd(20) + String(band.trips).padStart(8) + percent(band.taxiToStorePercent) + percent(band.taxiHomePercent));
+    });
+
+    return lines.join("\n");
+}
+
+module.exports = {
+    defaultHouseholdPath,
+    validateHousehold,
+    loadHousehold,
+    createPantry,
+    itemsRunningLow,
+    stockPantry,
+    usePantry,
+    goShoppingDefaults,
+    cheapestTrip,
+    runCampaign,
+    summarizeCampaign,
+    formatCampaignSummary
+};
@@ -0,0 +1,215 @@
+/*
+ * The store catalog: the sections of the store, the required items on the
+ * shopping list with their local and brand name prices, the sales tax rate,
+ * the store's opening hours and how long shopping takes, and the optional
+ * items with what each is worth to the agent. See
+ * store-catalog.json for the default catalog.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const { toCents } = require("./money");
+const { parseTime } = require("./clock");
+
+// The catalog used when no other is given.
+const defaultCatalogPath = path.join(__dirname, "..", "store-catalog.json");
+
+/**
+ * Checks that a store catalog has everything the store scenario needs and
+ * returns a list of the problems found. An empty list means the catalog is valid.
+ *
+ * DEV NOTE: Every item must have a price for both its "local" and "brand name"
+ * variant, because that is the choice the brand name perceptron makes, and it
+ * must be stocked in a section the catalog lists. The stock (units on a full
+ * shelf) and restock (units put back between trips) of each variant are
+ * optional; a variant without a stock count never runs out.
+ *
+ * @param {*} catalog The parsed contents of a catalog file.
+ * @returns An array of error messages.
+ */
+function validateCatalog(catalog) {
+    const errors = [];
+    const isPrice = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+    const isUnits = (value) => Number.isInteger(value) && value >= 0;
+
+    if (typeof catalog !== "object" || catalog === null || Array.isArray(catalog)) {
+        return ["the catalog must be a JSON object."];
+    }
+
+    if (typeof catalog.salesTaxRate !== "number" || !(catalog.salesTaxRate >= 0 && catalog.salesTaxRate < 1)) {
+        errors.push("salesTaxRate must be a number from 0 up to (but not including) 1, e.g. 0.05 for 5%.");
+    }
+
+    if (catalog.otherShoppersChance !== undefined &&
+        !(typeof catalog.otherShoppersChance === "number" && catalog.otherShoppersChance >= 0 && catalog.otherShoppersChance <= 1)) {
+        errors.push("otherShoppersChance must be a number from 0 to 1, e.g. 0.6 for 60%.");
+    }
+
+    const sectionKeys = [];
+
+    if (!Array.isArray(catalog.sections) || catalog.sections.length === 0) {
+        errors.push("sections must be a list with at least one section.");
+    } else {
+        catalog.sections.forEach((section, index) => {
+            const label = "section " + (index + 1);
+
+            if (typeof section.key !== "string" || section.key.trim() === "") {
+                errors.push(label + " is missing the key used to walk there, e.g. \"l\".");
+            } else if (sectionKeys.includes(section.key.toLowerCase())) {
+                errors.push(label + " reuses the key \"" + section.key + "\".");
+            } else {
+                sectionKeys.push(section.key.toLowerCase());
+            }
+
+            if (typeof section.name !== "string" || section.name === "") {
+                errors.push(label + " is missing a name, e.g. \"left\".");
+            }
+            if (typeof section.description !== "string") {
+                errors.push(label + " is missing a description.");
+            }
+            if (!section.position || typeof section.position.x !== "number" || typeof section.position.y !== "number") {
+                errors.push(label + " needs a position with numeric x and y.");
+            }
+            if (section.minutes !== undefined && !isUnits(section.minutes)) {
+                errors.push(label + " has minutes (the time spent shopping there) that are not a whole number.");
+            }
+        });
+    }
+
+    if (!Array.isArray(catalog.items) || catalog.items.length === 0) {
+        errors.push("items must be a list with at least one item.");
+    } else {
+        catalog.items.forEach((item, index) => {
+            const label = typeof item.name === "string" && item.name !== "" ? "item \"" + item.name + "\"" : "item " + (index + 1);
+
+            if (typeof item.name !== "string" || item.name === "") {
+                errors.push(label + " is missing a name.");
+            } else if (catalog.items.findIndex((other) => other.name === item.name) < index) {
+                errors.push(label + " is listed twice.");
+            }
+            if (!sectionKeys.includes(String(item.section).toLowerCase())) {
+                errors.push(label + " is in unknown section \"" + item.section + "\".");
+            }
+
+            for (const variant of ["local", "brand name"]) {
+                if (!item.variants || !isPrice(item.variants[variant])) {
+                    errors.push(label + " is missing a price for its \"" + variant + "\" variant.");
+                }
+                if (item.stock && item.stock[variant] !== undefined && !isUnits(item.stock[variant])) {
+                    errors.push(label + " has a \"" + variant + "\" stock that is not a whole number of units.");
+                }
+                if (item.restock && item.restock[variant] !== undefined) {
+                    if (!isUnits(item.restock[variant])) {
+                        errors.push(label + " has a \"" + variant + "\" restock that is not a whole number of units.");
+                    } else if (!item.stock || item.stock[variant] === undefined) {
+                        errors.push(label + " restocks its \"" + variant + "\" variant but has no stock count for it.");
+                    }
+                }
+            }
+        });
+    }
+
+    if (catalog.hours !== undefined) {
+        const opens = parseTime(catalog.hours && catalog.hours.opens);
+        const closes = parseTime(catalog.hours && catalog.hours.closes);
+        if (Number.isNaN(opens) || Number.isNaN(closes) || opens >= closes) {
+            errors.push("hours needs the time the store opens and closes, such as \"08:00\" and \"21:00\", opening before it closes.");
+        }
+    }
+    if (catalog.checkoutMinutes !== undefined && !isUnits(catalog.checkoutMinutes)) {
+        errors.push("checkoutMinutes must be a whole number of minutes.");
+    }
+
+    if (catalog.moneyToKeep !== undefined && !isPrice(catalog.moneyToKeep)) {
+        errors.push("moneyToKeep must be an amount of money.");
+    }
+
+    if (catalog.optionalItems !== undefined && !Array.isArray(catalog.optionalItems)) {
+        errors.push("optionalItems must be a list if it is given.");
+    } else {
+        (catalog.optionalItems || []).forEach((item, index) => {
+            const label = typeof item.name === "string" && item.name !== "" ? "optional item \"" + item.name + "\"" : "optional item " + (index + 1);
+
+            if (typeof item.name !== "string" || item.name === "") {
+                errors.push(label + " is missing a name.");
+            }
+            if (!isPrice(item.price)) {
+                errors.push(label + " is missing a price.");
+            }
+            if (!isPrice(item.utility)) {
+                errors.push(label + " is missing its utility (what it is worth to the agent, in dollars).");
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Reads a store catalog from a JSON file and validates it.
+ *
+ * @param {*} catalogPath The path to the catalog file.
+ * @returns The catalog object, with section keys in lower case, optionalItems defaulting to
+ * an empty list and moneyToKeep defaulting to $0. The hours are left as the file gives them,
+ * so the catalog can be validated again, and openingHours has them in minutes since midnight
+ * (see clock.js), defaulting to open all day. The minutes spent in each section
+ * and at checkout default to 5. Every price, utility and amount of money in
+ * the file is in dollars, and is turned into cents (see money.js).
+ */
+function loadCatalog(catalogPath) {
+    let catalog;
+
+    try {
+        catalog = JSON.parse(fs.readFileSync(catalogPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the store catalog " + catalogPath + ": " + error.message);
+    }
+
+    const errors = validateCatalog(catalog);
+    if (errors.length > 0) {
+        throw new Error("The store catalog " + catalogPath + " is invalid:\n - " + errors.join("\n - "));
+    }
+
+    catalog.sections.forEach((section) => { section.key = section.key.toLowerCase(); });
+    catalog.items.forEach((item) => { item.section = String(item.section).toLowerCase(); });
+    catalog.optionalItems = catalog.optionalItems || [];
+    catalog.moneyToKeep = catalog.moneyToKeep !== undefined ? toCents(catalog.moneyToKeep) : 0;
+    catalog.openingHours = catalog.hours ? { opens: parseTime(catalog.hours.opens), closes: parseTime(catalog.hours.closes) } : { opens: 0, closes: 1440 };
+    catalog.checkoutMinutes = catalog.checkoutMinutes !== undefined ? catalog.checkoutMinutes : 5;
+    catalog.sections.forEach((section) => { section.minutes = section.minutes !== undefined ? section.minutes : 5; });
+
+    catalog.items.forEach((item) => {
+        Object.keys(item.variants).forEach((variant) => { item.variants[variant] = toCents(item.variants[variant]); });
+    });
+    catalog.optionalItems.forEach((item) => {
+        item.price = toCents(item.price);
+        item.utility = toCents(item.utility);
+    });
+
+    return catalog;
+}
+
+/**
+ * Returns the section of the store catalog with the given key, or undefined if there is none.
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} key The letter used to walk to the section, e.g. "l".
+ * @returns The section object.
+ */
+function findSection(catalog, key) {
+    return catalog.sections.find((section) => section.key === key);
+}
+
+/**
+ * Returns the items from the store catalog that are stocked in a section.
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} key The letter used to walk to the section, e.g. "l".
+ * @returns An array of item objects.
+ */
+function itemsInSection(catalog, key) {
+    return catalog.items.filter((item) => item.section === key);
+}
+
+module.exports = { defaultCatalogPath, validateCatalog, loadCatalog, findSection, itemsInSection };
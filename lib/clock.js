@@ -0,0 +1,73 @@
+/*
+ * The simulated clock. Every time in the trip is a whole number of minutes
+ * since midnight on the day the agent sets out, so 600 is 10:00 AM and a trip
+ * that runs past midnight goes on counting from 1440. Files and the command
+ * line give times as "HH:MM" on a 24 hour clock, e.g. "21:30".
+*/
+
+// When the agent sets out if no other departure time is given: 10:00 AM.
+const defaultDeparture = 600;
+
+/**
+ * Reads a time of day written as "HH:MM" on a 24 hour clock.
+ *
+ * @param {*} text The time, e.g. "09:30" or "21:00". "24:00" is midnight at the end of the day.
+ * @returns The minutes since midnight, e.g. 570, or NaN if the text is not a time.
+ */
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(typeof text === "string" ? text.trim() : "");
+
+    if (!match || Number(match[2]) > 59 || Number(match[1]) * 60 + Number(match[2]) > 1440) {
+        return NaN;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Formats a time for the narration, e.g. "9:05 AM".
+ *
+ * @param {*} minutes The minutes since midnight on the day of the trip.
+ * @returns The time as a string, followed by "the next day" when it is past midnight.
+ */
+function formatTime(minutes) {
+    const ofDay = ((minutes % 1440) + 1440) % 1440;
+    const hours = Math.floor(ofDay / 60);
+    const clock = ((hours + 11) % 12 + 1) + ":" + String(ofDay % 60).padStart(2, "0") + (hours < 12 ? " AM" : " PM");
+
+    return minutes >= 1440 ? clock + " the next day" : clock;
+}
+
+/**
+ * Formats a number of minutes for the narration, e.g. "1 minute" or "25 minutes".
+ *
+ * @param {*} minutes A whole number of minutes.
+ * @returns The minutes in words.
+ */
+function formatMinutes(minutes) {
+    return minutes + (minutes === 1 ? " minute" : " minutes");
+}
+
+/**
+ * Finds when the next bus leaves.
+ *
+ * DEV NOTE: Buses leave every everyMinutes from the first departure up to and
+ * including the last one. After the last bus the next one is the first bus of
+ * the next day.
+ *
+ * @param {*} timetable The bus timetable: firstDeparture, lastDeparture and everyMinutes, in minutes.
+ * @param {*} time The time the agent gets to the stop.
+ * @returns The time the next bus leaves, which is never before the time given.
+ */
+function nextBus(timetable, time) {
+    const day = Math.floor(time / 1440) * 1440;
+    const ofDay = time - day;
+
+    if (ofDay <= timetable.firstDeparture) {
+        return day + timetable.firstDeparture;
+    }
+    const next = timetable.firstDeparture + Math.ceil((ofDay - timetable.firstDeparture) / timetable.everyMinutes) * timetable.everyMinutes;
+
+    return next <= timetable.lastDeparture ? day + next : day + 1440 + timetable.firstDeparture;
+}
+
+module.exports = { defaultDeparture, parseTime, formatTime, formatMinutes, nextBus };
@@ -0,0 +1,137 @@
+/*
+ * The environment model: how the weather, traffic and bus crowding the agent
+ * perceives on the streets hang together and change between the legs of the
+ * trip. See environment-model.json for the default probabilities.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const { getZeroOrOneWithChance } = require("./random");
+
+// The environment model used when no other is given.
+const defaultEnvironmentModelPath = path.join(__dirname, "..", "environment-model.json");
+
+/**
+ * Checks that an environment model has every probability it needs and returns
+ * a list of the problems found. An empty list means the model is valid.
+ *
+ * @param {*} model The parsed contents of an environment model file.
+ * @returns An array of error messages.
+ */
+function validateEnvironmentModel(model) {
+    const errors = [];
+    const isChance = (value) => typeof value === "number" && value >= 0 && value <= 1;
+
+    if (typeof model !== "object" || model === null || Array.isArray(model)) {
+        return ["the environment model must be a JSON object."];
+    }
+
+    const expected = {
+        weather: ["start", "afterNiceWeather", "afterBadWeather"],
+        traffic: ["niceWeather", "badWeather", "persistence"],
+        busCrowding: ["niceWeather", "badWeather", "persistence"]
+    };
+
+    Object.keys(expected).forEach((condition) => {
+        expected[condition].forEach((name) => {
+            if (!model[condition] || !isChance(model[condition][name])) {
+                errors.push(condition + "." + name + " must be a probability from 0 to 1.");
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Reads an environment model from a JSON file and validates it.
+ *
+ * @param {*} modelPath The path to the environment model file.
+ * @returns The environment model object.
+ */
+function loadEnvironmentModel(modelPath) {
+    let model;
+
+    try {
+        model = JSON.parse(fs.readFileSync(modelPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the environment model " + modelPath + ": " + error.message);
+    }
+
+    const errors = validateEnvironmentModel(model);
+    if (errors.length > 0) {
+        throw new Error("The environment model " + modelPath + " is invalid:\n - " + errors.join("\n - "));
+    }
+
+    return model;
+}
+
+/**
+ * Works out the chance of bad weather, heavy traffic and a crowded bus on the
+ * next leg of the trip, given the conditions on the last one.
+ *
+ * DEV NOTE: The weather is a Markov chain: on the first leg it is bad with the
+ * "start" chance, and after that its chance depends only on whether it was bad
+ * on the last leg. Traffic and bus crowding depend on the weather, because bad
+ * weather puts more cars on the roads and more people on the bus. They also
+ * carry over from the last leg: with a persistence of 0.5, half of the chance
+ * comes from what it was like on the last leg and half from the weather.
+ *
+ * @param {*} model The environment model (see loadEnvironmentModel).
+ * @param {*} previous The conditions on the last leg, or null on the first leg.
+ * @param {*} weather The weather on the next leg (0 or 1). Leave it out to get
+ * just the chance of bad weather.
+ * @returns An object with the chances of weather, traffic and busCrowding being 1.
+ */
+function conditionChances(model, previous, weather) {
+    const chances = {
+        weather: previous === null ? model.weather.start :
+            previous.weather === 1 ? model.weather.afterBadWeather : model.weather.afterNiceWeather
+    };
+
+    if (weather === undefined) {
+        return chances;
+    }
+
+    ["traffic", "busCrowding"].forEach((condition) => {
+        const fromWeather = weather === 1 ? model[condition].badWeather : model[condition].niceWeather;
+
+        chances[condition] = previous === null ? fromWeather :
+            Math.round((model[condition].persistence * previous[condition] + (1 - model[condition].persistence) * fromWeather) * 10000) / 10000;
+    });
+
+    return chances;
+}
+
+/**
+ * Draws the weather, traffic and bus crowding for the next leg of the trip.
+ * The weather is drawn first, since traffic and bus crowding depend on it.
+ *
+ * @param {*} model The environment model (see loadEnvironmentModel).
+ * @param {*} previous The conditions on the last leg, or null on the first leg.
+ * @param {*} randomSource The seeded random source to draw from (see createRandomSource).
+ * @returns An object with the conditions (weather, traffic and busCrowding,
+ * each 0 or 1) and the chances they were drawn with.
+ */
+function nextConditions(model, previous, randomSource) {
+    const weather = getZeroOrOneWithChance(randomSource, conditionChances(model, previous).weather);
+    const chances = conditionChances(model, previous, weather);
+
+    return {
+        conditions: {
+            weather: weather,
+            traffic: getZeroOrOneWithChance(randomSource, chances.traffic),
+            busCrowding: getZeroOrOneWithChance(randomSource, chances.busCrowding)
+        },
+        chances: chances
+    };
+}
+
+module.exports = {
+    defaultEnvironmentModelPath,
+    validateEnvironmentModel,
+    loadEnvironmentModel,
+    conditionChances,
+    nextConditions
+};
@@ -0,0 +1,134 @@
+/*
+ * Explaining the agent's decisions: how much each input added to the sum,
+ * and which single change to the conditions would have changed its mind.
+*/
+
+/* DEV NOTE: How each 0 or 1 input reads in a counterfactual sentence such as
+   "I would have chosen to take the bus if traffic had been normal". The first phrase
+   is for the input being 0 and the second for it being 1. These are the only
+   inputs the counterfactuals flip. */
+const inputDescriptions = {
+    weather: ["the weather had been nice", "the weather had been awful"],
+    traffic: ["traffic had been normal", "there had been a lot of traffic"],
+    busCrowding: ["there had been space on the bus", "the bus had been crowded"],
+    moneyUnder40: ["I had had $40 or more left", "I had had less than $40 left"],
+    localGoods: ["there had been no local goods", "there had been local goods"],
+    brandName: ["the brand name had been sold out", "the brand name had been in stock"],
+    spendingBias: ["I had come by bus", "I had come by taxi"]
+};
+
+/**
+ * Explains one decision made by a perceptron (or a multi-layer network).
+ *
+ * DEV NOTE: The counterfactuals flip each of the 0 or 1 inputs listed in
+ * inputDescriptions, one at a time, and ask the perceptron again without
+ * drawing from a random source. Inputs like cost and time are left alone,
+ * even when they happen to be exactly 0 or 1. A multi-layer network
+ * has no single weight per input, so its explanation has no contributions.
+ * Policies that do not weigh their inputs (see policy.js) have neither, and
+ * give their reason instead of a sum; those with whatIf set to false have no
+ * counterfactuals either. A decision that was overridden (see decide in
+ * trip.js) is explained as the policy made it, with what the agent did
+ * instead and why, and its counterfactuals are about the policy's choice.
+ *
+ * @param {*} perceptron The Perceptron (or MultilayerPerceptron, or other policy) that decided.
+ * @param {*} decision The decision it returned from evaluate.
+ * @param {*} outcomes What the agent does when the perceptron fires and when it
+ * does not, worded to follow "I chose to", e.g. {1: "take a taxi", 0: "take the bus"}.
+ * @returns An object with the outcome, each input's contribution (value times
+ * weight), the bias, sum and threshold (or the reason), and one counterfactual
+ * per 0 or 1 input (or null). An overridden decision also has the policy's
+ * proposedOutcome and the reasons it was overridden.
+ */
+function explainDecision(perceptron, decision, outcomes) {
+    const round = (value) => Math.round(value * 1e10) / 1e10;
+    const policyOutput = decision.proposedOutput !== undefined ? decision.proposedOutput : decision.output;
+    const chose = decision.overrides ? "wanted" : "chosen";
+    const inputNames = Object.keys(decision.inputs);
+
+    const contributions = perceptron.weights === undefined ? null : inputNames.map((inputName) => ({
+        input: inputName,
+        value: decision.inputs[inputName],
+        weight: perceptron.weights[inputName],
+        contribution: round(decision.inputs[inputName] * perceptron.weights[inputName])
+    }));
+
+    const counterfactuals = perceptron.whatIf === false ? null : inputNames
+        .filter((inputName) => inputDescriptions[inputName] && (decision.inputs[inputName] === 0 || decision.inputs[inputName] === 1))
+        .map((inputName) => {
+            const value = 1 - decision.inputs[inputName];
+            const changed = perceptron.evaluate(Object.assign({}, decision.inputs, { [inputName]: value }));
+            const description = inputDescriptions[inputName][value];
+
+            return {
+                input: inputName,
+                value: value,
+                sum: changed.sum,
+                probability: changed.probability,
+                output: changed.output,
+                changesDecision: changed.output !== policyOutput,
+                description: changed.output !== policyOutput ?
+                    "I would have " + chose + " to " + outcomes[changed.output] + " if " + description + "." :
+                    "I would still have " + chose + " to " + outcomes[changed.output] + " if " + description + "."
+            };
+        });
+
+    const explanation = {
+        outcome: outcomes[decision.output],
+        contributions: contributions,
+        bias: decision.bias,
+        sum: decision.sum,
+        threshold: decision.threshold,
+        reason: decision.reason,
+        probability: decision.probability,
+        counterfactuals: counterfactuals
+    };
+    if (decision.overrides) {
+        explanation.proposedOutcome = outcomes[policyOutput];
+        explanation.overrides = decision.overrides.map((override) => override.reason);
+    }
+
+    return explanation;
+}
+
+/**
+ * Lays out an explanation for the console: a breakdown of the sum, then the
+ * counterfactuals that would have changed the decision.
+ *
+ * @param {*} explanation An explanation returned by explainDecision.
+ * @returns The explanation as a string of indented lines.
+ */
+function formatExplanation(explanation) {
+    const number = (value) => (value >= 0 ? " " : "") + value.toFixed(2);
+    const lines = [explanation.overrides ? "  Why I was going to " + explanation.proposedOutcome + " before I chose to " + explanation.outcome + ":" :
+        "  Why I chose to " + explanation.outcome + ":"];
+
+    if (explanation.contributions) {
+        explanation.contributions.forEach((part) => {
+            lines.push("    " + part.input.padEnd(14) + String(part.value).padStart(5) + " x " + number(part.weight) + " = " + number(part.contribution));
+        });
+        lines.push("    " + "bias".padEnd(14) + "".padStart(16) + number(explanation.bias));
+    }
+    if (explanation.sum !== undefined) {
+        lines.push("    " + "sum".padEnd(14) + "".padStart(16) + number(explanation.sum) + "  (threshold " + explanation.threshold.toFixed(1) + ")");
+    } else {
+        lines.push("    " + (explanation.reason || "It was up to the user."));
+    }
+    if (explanation.overrides) {
+        explanation.overrides.forEach((reason) => lines.push("    " + reason));
+    }
+    if (!explanation.counterfactuals) {
+        return lines.join("\n");
+    }
+
+    const changes = explanation.counterfactuals.filter((counterfactual) => counterfactual.changesDecision);
+    if (changes.length === 0) {
+        lines.push("  No single change to the conditions would have changed my mind.");
+    } else {
+        changes.forEach((counterfactual) => lines.push("  " + counterfactual.description));
+    }
+
+    return lines.join("\n");
+}
+
+module.exports = { inputDescriptions, explainDecision, formatExplanation };
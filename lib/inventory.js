@@ -0,0 +1,128 @@
+/*
+ * The store's inventory: how many of each item are on the shelves. Other
+ * shoppers buy from the same shelves, and the shelves are restocked between
+ * trips, so a store that is shopped at again and again runs low on local goods.
+*/
+
+const { getZeroOrOneWithChance } = require("./random");
+
+const variants = ["local", "brand name"];
+
+/**
+ * Creates an inventory with every shelf full. See the store catalog for the
+ * number of units of each item variant a full shelf holds.
+ *
+ * DEV NOTE: An item variant without a stock count in the catalog never runs
+ * out. Its shelf holds null, which stockOf reads as Infinity (JSON cannot
+ * hold Infinity, and the inventory ends up in the trip trace).
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @returns The inventory: the number of trips shopped so far and the units
+ * on the shelves, e.g. {trips: 0, shelves: {eggs: {"local": 2, "brand name": 6}}}.
+ */
+function createInventory(catalog) {
+    const shelves = {};
+
+    catalog.items.forEach((item) => {
+        shelves[item.name] = {};
+        variants.forEach((variant) => {
+            shelves[item.name][variant] = item.stock && item.stock[variant] !== undefined ? item.stock[variant] : null;
+        });
+    });
+
+    return { trips: 0, shelves: shelves };
+}
+
+/**
+ * Returns how many units of an item variant are on the shelf.
+ *
+ * @param {*} inventory The store's inventory (see createInventory).
+ * @param {*} itemName The name of the item, e.g. "eggs".
+ * @param {*} variant "local" or "brand name".
+ * @returns The number of units, or Infinity if the variant never runs out.
+ */
+function stockOf(inventory, itemName, variant) {
+    const units = inventory.shelves[itemName][variant];
+    return units === null ? Infinity : units;
+}
+
+/**
+ * Takes one unit of an item variant off the shelf, if there is one.
+ *
+ * @param {*} inventory The store's inventory (see createInventory).
+ * @param {*} itemName The name of the item, e.g. "eggs".
+ * @param {*} variant "local" or "brand name".
+ * @returns True if a unit was taken, false if the shelf was empty.
+ */
+function takeFromShelf(inventory, itemName, variant) {
+    if (stockOf(inventory, itemName, variant) === 0) {
+        return false;
+    }
+    if (inventory.shelves[itemName][variant] !== null) {
+        inventory.shelves[itemName][variant] -= 1;
+    }
+    return true;
+}
+
+/**
+ * Puts one unit of an item variant back on the shelf, e.g. when the agent
+ * takes it out of the cart again.
+ *
+ * @param {*} inventory The store's inventory (see createInventory).
+ * @param {*} itemName The name of the item, e.g. "eggs".
+ * @param {*} variant "local" or "brand name".
+ */
+function putBackOnShelf(inventory, itemName, variant) {
+    if (inventory.shelves[itemName][variant] !== null) {
+        inventory.shelves[itemName][variant] += 1;
+    }
+}
+
+/**
+ * Puts the catalog's restock units of every item variant back on the shelves,
+ * never more than a full shelf holds. This happens between trips.
+ *
+ * @param {*} inventory The store's inventory (see createInventory). It is changed in place.
+ * @param {*} catalog The store catalog (see loadCatalog).
+ */
+function restockInventory(inventory, catalog) {
+    catalog.items.forEach((item) => {
+        variants.forEach((variant) => {
+            if (inventory.shelves[item.name][variant] === null) return;
+
+            const restock = item.restock && item.restock[variant] !== undefined ? item.restock[variant] : 0;
+            inventory.shelves[item.name][variant] = Math.min(item.stock[variant], inventory.shelves[item.name][variant] + restock);
+        });
+    });
+}
+
+/**
+ * Lets the other shoppers at the store buy from an item's shelves before the
+ * agent gets there. Each unit on the shelf is bought with the catalog's
+ * otherShoppersChance.
+ *
+ * @param {*} inventory The store's inventory (see createInventory). It is changed in place.
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} itemName The name of the item, e.g. "eggs".
+ * @param {*} randomSource The seeded random source to draw from (see createRandomSource).
+ * @returns An object with the number of units of each variant the other shoppers bought.
+ */
+function otherShoppersVisit(inventory, catalog, itemName, randomSource) {
+    const bought = {};
+
+    variants.forEach((variant) => {
+        const units = inventory.shelves[itemName][variant];
+        bought[variant] = 0;
+
+        if (units === null || !catalog.otherShoppersChance) return;
+
+        for (let unit = 0; unit < units; unit++) {
+            bought[variant] += getZeroOrOneWithChance(randomSource, catalog.otherShoppersChance);
+        }
+        inventory.shelves[itemName][variant] -= bought[variant];
+    });
+
+    return bought;
+}
+
+module.exports = { createInventory, stockOf, takeFromShelf, putBackOnShelf, restockInventory, otherShoppersVisit };
@@ -0,0 +1,93 @@
+/*
+ * Input and output for a trip. The trip never talks to the console directly;
+ * it goes through an I/O object with two functions:
+ *
+ *   log(message)                  Narrates what the agent is doing.
+ *   question(prompt, completer)   Asks the user something and returns the answer.
+ *                                 The completer is optional; given the answer typed
+ *                                 so far, it returns the ways to finish it.
+*/
+
+/**
+ * Creates the I/O object used when someone is at the keyboard: narration goes
+ * to the console and questions are asked with readline-sync.
+ *
+ * @returns An I/O object.
+ */
+function createConsoleIO() {
+    return {
+        log: function (message) {
+            console.log(message);
+        },
+        question: function (prompt, completer) {
+            // Only needed when the user chooses the route, so trips on autopilot run without it installed.
+            const readline = require("readline-sync");
+            let answer = String(readline.question(prompt));
+
+            // readline-sync reads whole lines, so a tab pressed at the end of the line arrives as a "\t" on the answer.
+            while (completer && answer.endsWith("\t")) {
+                const completions = completer(answer.slice(0, -1));
+
+                if (completions.length === 1) {
+                    console.log("Press Enter for \"" + completions[0] + "\", or type something else.");
+                } else {
+                    console.log(completions.length === 0 ? "Nothing to complete." : completions.join("    "));
+                }
+                answer = String(readline.question(prompt, { defaultInput: completions.length === 1 ? completions[0] : "" }));
+            }
+
+            return answer;
+        }
+    };
+}
+
+/**
+ * Creates an I/O object that throws the narration away and cannot ask
+ * questions. Used for batch runs, where every trip must be on autopilot.
+ *
+ * @returns An I/O object.
+ */
+function createSilentIO() {
+    return {
+        log: function () {},
+        question: function (prompt) {
+            throw new Error("No one is there to answer \"" + prompt.trim() + "\". Use an autopilot instead.");
+        }
+    };
+}
+
+/**
+ * Creates an I/O object that keeps the narration and answers questions from a
+ * list of answers given up front. Used by the HTTP API, where the answers to
+ * the route prompts arrive in requests rather than from the keyboard.
+ *
+ * DEV NOTE: When the answers run out, question throws an error with the
+ * prompt in its waitingFor property. A trip is reproducible from its seed,
+ * so once the answer comes in, the trip is simply run again from the start
+ * with one more answer in the list.
+ *
+ * @param {*} answers The answers to give, in order.
+ * @returns An I/O object with the narration so far in its lines property.
+ */
+function createScriptedIO(answers) {
+    const io = {
+        lines: [],
+        answered: 0,
+        log: function (message) {
+            io.lines.push(message);
+        },
+        question: function (prompt) {
+            if (io.answered >= answers.length) {
+                const error = new Error("Waiting for an answer to \"" + prompt.trim() + "\".");
+                error.waitingFor = prompt;
+                throw error;
+            }
+
+            io.lines.push(prompt + answers[io.answered]);
+            return String(answers[io.answered++]);
+        }
+    };
+    return io;
+}
+
+module.exports = { createConsoleIO, createSilentIO, createScriptedIO };
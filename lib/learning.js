@@ -0,0 +1,219 @@
+/*
+ * Learning across trips: scoring a finished trip, nudging the perceptrons'
+ * weights based on the score, and saving them so the next run picks up
+ * where this one left off.
+*/
+
+const fs = require("fs");
+const { createPerceptrons } = require("./trip");
+
+/* AGENT'S LEARNING: After a trip the agent looks back at how it went and
+   gives the trip a score between 0 and 1. The score mixes three things:
+
+   CRITERIA                 MEASURE                                    WEIGHT
+
+   Money Left               money left / starting money                 0.5
+   Comfort                  1, minus 0.3 for every bus ride in bad      0.3
+                            weather, 0.2 for every crowded bus ride
+                            and 0.1 for carrying groceries on the bus
+   Items Bought             required items bought / items on the list   0.2
+
+   The agent keeps a running average of its scores. If a trip scored above
+   the average, every decision it made on that trip is reinforced: the
+   weights and bias of each perceptron it used are nudged towards the choice
+   it made. If the trip scored below the average, they are nudged away from it.
+
+   DEV NOTE: This is the perceptron learning rule with the error replaced by
+   (score - average score), times +1 if the perceptron fired and -1 if it did
+   not. Only the inputs that were on (1) during the decision move, so the
+   agent learns "bad weather and I took the bus, and it went badly" rather
+   than blaming conditions that were not there. Inputs that are not just 0 or
+   1, like cost and time, are clamped between 0 and 1 first: a bus that is
+   slower overnight moves the time weight as far as one that is half an hour
+   slower, not 24 times as far, and a bus that gets there first does not move it.
+*/
+const tripScoreWeights = { money: 0.5, comfort: 0.3, items: 0.2 };
+
+
+/**
+ * Scores a finished trip between 0 (bad) and 1 (good). See AGENT'S LEARNING above.
+ *
+ * @param {*} trip The finished trip.
+ * @returns An object with the overall score and its money, comfort and items parts.
+ */
+function scoreTrip(trip) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const startingMoney = trip.agent.trace[0].money;
+    let comfort = 1;
+
+    trip.agent.trace.filter((event) => event.type === "decision" && event.action === "take bus").forEach((event) => {
+        comfort -= 0.3 * event.inputs.weather + 0.2 * event.inputs.busCrowding;
+        if (event.phase === "to home") {
+            comfort -= 0.1;
+        }
+    });
+
+    const itemsBought = trip.shoppingList.filter((name) => trip.shoppingCart.some((cartItem) => cartItem.item === name));
+    const parts = {
+        money: round(Math.min(1, Math.max(0, trip.money / startingMoney))),
+        comfort: round(Math.max(0, comfort)),
+        items: round(itemsBought.length / trip.shoppingList.length)
+    };
+
+    return {
+        score: round(parts.money * tripScoreWeights.money + parts.comfort * tripScoreWeights.comfort + parts.items * tripScoreWeights.items),
+        money: parts.money,
+        comfort: parts.comfort,
+        items: parts.items
+    };
+}
+
+/**
+ * Scores a finished trip, adjusts the weights of the perceptrons the trip used,
+ * and adds an entry to the learning history.
+ *
+ * @param {*} trip The finished trip. Its perceptrons are changed in place.
+ * @param {*} state The learning state (see loadLearningState). It is changed in place.
+ * @param {*} learningRate How far to move the weights for each decision (default 0.05).
+ * @returns The history entry for this trip.
+ */
+function learnFromTrip(trip, state, learningRate) {
+    const rate = learningRate !== undefined ? learningRate : 0.05;
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    const result = scoreTrip(trip);
+    const averageScore = state.averageScore !== null ? state.averageScore : result.score;
+    const advantage = result.score - averageScore;
+    const changes = {};
+
+    trip.agent.trace.filter((event) => event.type === "decision" && event.perceptron).forEach((event) => {
+        const key = Object.keys(trip.perceptrons).find((name) => trip.perceptrons[name].name === event.perceptron);
+        const perceptron = trip.perceptrons[key];
+        const step = rate * advantage * (event.output === 1 ? 1 : -1);
+
+        if (step === 0) {
+            return;
+        }
+
+        changes[key] = changes[key] || { weights: {}, bias: 0 };
+
+        Object.keys(event.inputs).forEach((inputName) => {
+            const change = step * Math.min(1, Math.max(0, event.inputs[inputName]));
+            if (change !== 0) {
+                perceptron.weights[inputName] = round(perceptron.weights[inputName] + change);
+                changes[key].weights[inputName] = round((changes[key].weights[inputName] || 0) + change);
+            }
+        });
+        perceptron.bias = round(perceptron.bias + step);
+        changes[key].bias = round(changes[key].bias + step);
+    });
+
+    state.trips += 1;
+    state.averageScore = round(averageScore + 0.1 * (result.score - averageScore));
+    // Only what was learned is saved. The activation is chosen afresh on every run.
+    Object.keys(trip.perceptrons).forEach((key) => {
+        const perceptron = trip.perceptrons[key];
+        state.perceptrons[key] = { name: perceptron.name, weights: Object.assign({}, perceptron.weights), bias: perceptron.bias, threshold: perceptron.threshold };
+    });
+
+    const entry = {
+        trip: state.trips,
+        seed: trip.random.seed,
+        score: result.score,
+        money: result.money,
+        comfort: result.comfort,
+        items: result.items,
+        averageScoreBefore: averageScore,
+        changes: changes
+    };
+    state.history.push(entry);
+
+    return entry;
+}
+
+/**
+ * Reads the learning state from a file, or starts a fresh one if the file does not exist yet.
+ *
+ * @param {*} statePath The path to the state file.
+ * @returns The learning state: the number of trips learned from, the average
+ * score, the saved perceptron settings and the history of weight changes.
+ */
+function loadLearningState(statePath) {
+
+    if (!fs.existsSync(statePath)) {
+        return { trips: 0, averageScore: null, perceptrons: {}, history: [] };
+    }
+
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the learning state " + statePath + ": " + error.message);
+    }
+
+    const defaults = createPerceptrons();
+    Object.keys(defaults).forEach((key) => {
+        const saved = state.perceptrons && state.perceptrons[key];
+        const expected = defaults[key].inputNames.join(", ");
+
+        if (saved && (!saved.weights || Object.keys(saved.weights).join(", ") !== expected)) {
+            throw new Error("The learning state " + statePath + " has weights for \"" + key +
+                "\" that do not match its inputs (" + expected + "). Run with --reset-learning to start over.");
+        }
+    });
+
+    return state;
+}
+
+/**
+ * Writes the learning state to a file.
+ *
+ * @param {*} statePath The path to the state file. An existing file is replaced.
+ * @param {*} state The learning state.
+ */
+function saveLearningState(statePath, state) {
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 4) + "\n");
+}
+
+/**
+ * Lays out the learning history as readable text: one line per trip with its
+ * score, followed by how each perceptron's weights changed, and finally how far
+ * the current weights have drifted from the defaults.
+ *
+ * @param {*} state The learning state.
+ * @returns The history as a string.
+ */
+function formatLearningHistory(state) {
+    const signed = (value) => (value >= 0 ? "+" : "") + value.toFixed(4);
+    const lines = [];
+
+    if (state.history.length === 0) {
+        return "The agent has not learned from any trips yet.";
+    }
+
+    state.history.forEach((entry) => {
+        lines.push("Trip " + entry.trip + " (seed " + entry.seed + "): score " + entry.score.toFixed(3) +
+            " against an average of " + entry.averageScoreBefore.toFixed(3) +
+            " [money " + entry.money.toFixed(2) + ", comfort " + entry.comfort.toFixed(2) + ", items " + entry.items.toFixed(2) + "]");
+
+        Object.keys(entry.changes).forEach((key) => {
+            const change = entry.changes[key];
+            lines.push("    " + key + ": " + Object.keys(change.weights).map((inputName) =>
+                inputName + " " + signed(change.weights[inputName])).concat("bias " + signed(change.bias)).join(", "));
+        });
+    });
+
+    lines.push("");
+    lines.push("Current weights compared to the defaults:");
+
+    const current = createPerceptrons(state.perceptrons);
+    const defaults = createPerceptrons();
+    Object.keys(current).forEach((key) => {
+        lines.push("    " + key + ": " + current[key].inputNames.map((inputName) =>
+            inputName + " " + current[key].weights[inputName] + " (" + signed(current[key].weights[inputName] - defaults[key].weights[inputName]) + ")")
+            .concat("bias " + current[key].bias + " (" + signed(current[key].bias - defaults[key].bias) + ")").join(", "));
+    });
+
+    return lines.join("\n");
+}
+
+module.exports = { tripScoreWeights, scoreTrip, learnFromTrip, loadLearningState, saveLearningState, formatLearningHistory };
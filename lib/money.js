@@ -0,0 +1,79 @@
+/*
+ * Amounts of money. Every amount the program works with is a whole number of
+ * cents, so adding up prices never drifts the way floating-point dollars do
+ * (e.g. $43.400000000000006). The catalog and road map files give their
+ * prices in dollars, and they are turned into cents when they are loaded.
+*/
+
+/**
+ * Turns an amount in dollars into a whole number of cents.
+ *
+ * DEV NOTE: Multiplying by 100 can land just below the intended number (1.005
+ * * 100 is 100.49999999999999), so the product is cut to four decimal places
+ * before it is rounded.
+ *
+ * @param {*} dollars An amount in dollars, e.g. 6.3.
+ * @returns The amount in cents, e.g. 630.
+ */
+function toCents(dollars) {
+    return Math.round(Number((dollars * 100).toFixed(4)));
+}
+
+/**
+ * Writes an amount of cents as dollars with exactly two decimal places and no
+ * dollar sign, e.g. "6.30", for tables and CSV files.
+ *
+ * @param {*} cents A whole number of cents.
+ * @returns The amount as a string.
+ */
+function centsToDecimal(cents) {
+    const whole = Math.floor(Math.abs(cents) / 100);
+    const rest = Math.abs(cents) % 100;
+
+    return (cents < 0 ? "-" : "") + whole + "." + String(rest).padStart(2, "0");
+}
+
+/**
+ * Writes an amount of cents the way the agent says it: whole dollars without
+ * cents ("$75") and anything else with two decimal places ("$6.30").
+ *
+ * @param {*} cents A whole number of cents.
+ * @returns The amount as a string.
+ */
+function formatMoney(cents) {
+    const text = centsToDecimal(Math.abs(cents));
+
+    return (cents < 0 ? "-$" : "$") + (text.endsWith(".00") ? text.slice(0, -3) : text);
+}
+
+/**
+ * Works out the sales tax on an amount.
+ *
+ * DEV NOTE: The rounding rule is half up to the nearest cent, so 12.5 cents of
+ * tax is 13 cents. The tiny amount added before rounding down keeps products
+ * such as 250 * 0.05 = 12.499999999999998 on the right side of the half.
+ *
+ * @param {*} cents The amount being taxed, in cents.
+ * @param {*} rate The sales tax rate, e.g. 0.05 for 5%.
+ * @returns The tax in cents.
+ */
+function salesTaxOn(cents, rate) {
+    return Math.floor(cents * rate + 0.5 + 1e-9);
+}
+
+/**
+ * Works out how the agent pays an amount in cash: with whole dollar bills,
+ * rounding up to the next dollar and getting the rest back as change. If it
+ * does not have that much, it pays the exact amount.
+ *
+ * @param {*} amount The amount to pay, in cents.
+ * @param {*} money The money the agent has, in cents.
+ * @returns An object with the payment handed over and the change given back, in cents.
+ */
+function cashPayment(amount, money) {
+    const payment = Math.max(amount, Math.min(Math.ceil(amount / 100) * 100, money));
+
+    return { payment: payment, change: payment - amount };
+}
+
+module.exports = { toCents, centsToDecimal, formatMoney, salesTaxOn, cashPayment };
@@ -0,0 +1,183 @@
+/*
+ * A small multi-layer network: a hidden layer of neurons between the inputs
+ * and the decision. It can be used in place of a Perceptron for decisions with
+ * more inputs, such as taking the bus home.
+*/
+
+const { createRandomSource, getZeroOrOneWithChance } = require("./random");
+const { activations } = require("./perceptron");
+
+/**
+ * The MultilayerPerceptron class makes the same yes (1) or no (0) decisions as
+ * a Perceptron, but passes the inputs through a hidden layer first, so it can
+ * learn decisions that a single straight threshold cannot draw.
+ *
+ * @property name -- A readable name for the decision the network makes.
+ *
+ * @property inputNames -- The names of the inputs, in the order they are read.
+ *
+ * @property hidden -- An array of hidden neurons, each with weights (an object
+ * that maps each input name to its weight) and a bias. Hidden neurons use tanh.
+ *
+ * @property output -- The output neuron, with weights (an array with one weight
+ * per hidden neuron) and a bias. The output neuron uses sigmoid, so the network
+ * always gives the probability of firing.
+ *
+ * @method probability(inputs) -- Returns the probability of firing, from 0 to 1.
+ *
+ * @method evaluate(inputs, randomSource) -- Returns everything about one decision, like
+ * Perceptron.evaluate. The sum is the output neuron's weighted sum, which is compared
+ * against a threshold of 0. With a random source, the output is drawn with the
+ * probability; otherwise the network fires when the probability is at least 0.5.
+ *
+ * @method predict(inputs) -- Returns 1 if the probability is at least 0.5, else 0.
+ *
+ * @method toJSON() -- Returns the name, input names, hidden and output neurons as a plain
+ * object, which can be passed back to the constructor to rebuild the network.
+ *
+ * @method train(examples, options) -- Adjusts every weight and bias with backpropagation.
+ *
+ * @param inputs - An object that maps each input name to its value, e.g. {cost: 1, weather: 0}.
+ * @param randomSource - The seeded random source to draw outputs from (see createRandomSource).
+ * @param examples - An array of labeled examples, e.g. [{inputs: {cost: 1, weather: 1}, label: 1}].
+ * @param options - Optional learningRate (default 0.5) and epochs (default 1000).
+ */
+class MultilayerPerceptron {
+    constructor({ name, inputNames, hidden, output }) {
+        this.name = name;
+        this.inputNames = inputNames.slice();
+        this.hidden = hidden.map((neuron) => ({ weights: Object.assign({}, neuron.weights), bias: neuron.bias }));
+        this.output = { weights: output.weights.slice(), bias: output.bias };
+    }
+
+    /* DEV NOTE: The forward pass. Each hidden neuron squashes its weighted sum
+       into [-1, 1] with tanh, and the output neuron's weighted sum of those is
+       turned into a probability with sigmoid. */
+    forward(inputs) {
+        const values = this.inputNames.map((inputName) => {
+            if (typeof inputs[inputName] !== "number") {
+                throw new Error("Network \"" + this.name + "\" is missing a value for input \"" + inputName + "\".");
+            }
+            return inputs[inputName];
+        });
+        const hiddenValues = this.hidden.map((neuron) =>
+            Math.tanh(this.inputNames.reduce((sum, inputName, i) => sum + values[i] * neuron.weights[inputName], neuron.bias)));
+        const sum = hiddenValues.reduce((total, value, i) => total + value * this.output.weights[i], this.output.bias);
+
+        return { values: values, hiddenValues: hiddenValues, sum: sum, probability: activations.sigmoid(sum) };
+    }
+
+    probability(inputs) {
+        return Math.round(this.forward(inputs).probability * 1e10) / 1e10;
+    }
+
+    evaluate(inputs, randomSource) {
+        const result = this.forward(inputs);
+        const probability = Math.round(result.probability * 1e10) / 1e10;
+        const usedInputs = {};
+        this.inputNames.forEach((inputName) => { usedInputs[inputName] = inputs[inputName]; });
+
+        return {
+            perceptron: this.name,
+            inputs: usedInputs,
+            hiddenLayer: result.hiddenValues.map((value) => Math.round(value * 1e6) / 1e6),
+            sum: Math.round(result.sum * 1e10) / 1e10,
+            threshold: 0,
+            activation: "multilayer",
+            probability: probability,
+            output: randomSource ? getZeroOrOneWithChance(randomSource, probability) : (probability >= 0.5 ? 1 : 0)
+        };
+    }
+
+    predict(inputs) {
+        return this.evaluate(inputs).output;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            inputNames: this.inputNames.slice(),
+            hidden: this.hidden.map((neuron) => ({ weights: Object.assign({}, neuron.weights), bias: neuron.bias })),
+            output: { weights: this.output.weights.slice(), bias: this.output.bias }
+        };
+    }
+
+    /* DEV NOTE: Backpropagation with the cross-entropy loss. The output error
+       is the probability minus the label, and it is passed back to each hidden
+       neuron through its output weight and the slope of tanh (1 - value^2).
+       Every weight moves against its share of the error, one example at a time. */
+    train(examples, options = {}) {
+        const learningRate = options.learningRate !== undefined ? options.learningRate : 0.5;
+        const epochs = options.epochs !== undefined ? options.epochs : 1000;
+
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            for (const example of examples) {
+                const result = this.forward(example.inputs);
+                const outputError = result.probability - example.label;
+
+                this.hidden.forEach((neuron, h) => {
+                    const hiddenError = outputError * this.output.weights[h] * (1 - result.hiddenValues[h] * result.hiddenValues[h]);
+
+                    this.output.weights[h] -= learningRate * outputError * result.hiddenValues[h];
+                    this.inputNames.forEach((inputName, i) => {
+                        neuron.weights[inputName] -= learningRate * hiddenError * result.values[i];
+                    });
+                    neuron.bias -= learningRate * hiddenError;
+                });
+                this.output.bias -= learningRate * outputError;
+            }
+        }
+
+        return { epochs: epochs };
+    }
+}
+
+/**
+ * Builds a multi-layer network that starts out making the same decisions as a
+ * perceptron, so swapping one for the other does not change the agent's habits
+ * overnight, only how sure it is about them.
+ *
+ * DEV NOTE: The network is trained on every combination of input values, with
+ * the perceptron's decision as the label. Inputs are 0 or 1 unless inputValues
+ * says otherwise. The starting weights are drawn from a seeded random source,
+ * so the same perceptron always gives the same network.
+ *
+ * @param {*} perceptron The Perceptron to copy.
+ * @param {*} options Optional hiddenNeurons (default 4), inputValues (an object
+ * that maps input names to the values to train on, e.g. {cost: [1, 1.1]}),
+ * seed (default 1) and epochs (default 1000).
+ * @returns A new MultilayerPerceptron.
+ */
+function networkLike(perceptron, options = {}) {
+    const random = createRandomSource(options.seed !== undefined ? options.seed : 1);
+    const hiddenNeurons = options.hiddenNeurons !== undefined ? options.hiddenNeurons : 4;
+    const inputValues = options.inputValues || {};
+    const startingWeight = () => random.next() - 0.5;
+
+    const hidden = [];
+    for (let h = 0; h < hiddenNeurons; h++) {
+        const weights = {};
+        perceptron.inputNames.forEach((inputName) => { weights[inputName] = startingWeight(); });
+        hidden.push({ weights: weights, bias: startingWeight() });
+    }
+
+    const network = new MultilayerPerceptron({
+        name: perceptron.name,
+        inputNames: perceptron.inputNames,
+        hidden: hidden,
+        output: { weights: hidden.map(startingWeight), bias: startingWeight() }
+    });
+
+    let combinations = [{}];
+    perceptron.inputNames.forEach((inputName) => {
+        combinations = [].concat(...combinations.map((inputs) =>
+            (inputValues[inputName] || [0, 1]).map((value) => Object.assign({}, inputs, { [inputName]: value }))));
+    });
+
+    const examples = combinations.map((inputs) => ({ inputs: inputs, label: perceptron.predict(inputs) }));
+    network.train(examples, { epochs: options.epochs });
+
+    return network;
+}
+
+module.exports = { MultilayerPerceptron, networkLike };
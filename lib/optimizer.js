@@ -0,0 +1,400 @@
+/*
+ * Tuning the perceptrons. The weights, biases and thresholds of the taxi to
+ * store, brand name and bus home decisions were picked by hand; the
+ * optimizer searches them instead, running many simulated trips for each
+ * candidate and scoring them with an objective. The best candidate is saved
+ * as a weights file that the simulation can load with --weights.
+*/
+
+const fs = require("fs");
+
+const { createRandomSource } = require("./random");
+const { createPerceptrons, runTrip } = require("./trip");
+const { createSilentIO } = require("./io");
+const { createInventory } = require("./inventory");
+
+/* AGENT'S OBJECTIVE: Each simulated trip is scored in dollars, as the money
+   the agent came home with minus a penalty for every uncomfortable or
+   unsuccessful part of the trip:
+
+   PART OF THE TRIP                         DEFAULT
+
+   Every dollar left at home                   +1
+   Every bus ride in bad weather               -5
+   Every ride on a crowded bus                 -2
+   Every item on the list not bought          -10
+
+   A candidate's score is the mean over its trips. Any of the numbers can be
+   changed with an objective file, e.g. {"badWeatherBusRide": 10}.
+*/
+const defaultObjective = { money: 1, badWeatherBusRide: 5, crowdedBusRide: 2, missedItem: 10 };
+
+/**
+ * Reads an objective file. Anything the file leaves out keeps its default.
+ *
+ * @param {*} objectivePath The path to the objective file.
+ * @returns The objective.
+ */
+function loadObjective(objectivePath) {
+    let objective;
+    try {
+        objective = JSON.parse(fs.readFileSync(objectivePath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the objective " + objectivePath + ": " + error.message);
+    }
+
+    if (!objective || typeof objective !== "object" || Array.isArray(objective)) {
+        throw new Error("The objective " + objectivePath + " must be an object such as {\"badWeatherBusRide\": 10}.");
+    }
+    const problems = [];
+    Object.keys(objective).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(defaultObjective, key)) {
+            problems.push("\"" + key + "\" is not part of the objective (use " + Object.keys(defaultObjective).join(", ") + ")");
+        } else if (typeof objective[key] !== "number" || !Number.isFinite(objective[key])) {
+            problems.push("\"" + key + "\" must be a number");
+        }
+    });
+    if (problems.length > 0) {
+        throw new Error("The objective " + objectivePath + " has problems: " + problems.join(", ") + ".");
+    }
+
+    return Object.assign({}, defaultObjective, objective);
+}
+
+/**
+ * Scores one finished trip. See AGENT'S OBJECTIVE above.
+ *
+ * @param {*} trip The finished trip.
+ * @param {*} objective The objective (see defaultObjective).
+ * @returns The score in dollars.
+ */
+function objectiveScore(trip, objective) {
+    const busRides = trip.agent.trace.filter((event) => event.type === "decision" && event.action === "take bus");
+    const missedItems = trip.shoppingList.filter((name) => !trip.shoppingCart.some((cartItem) => cartItem.item === name));
+
+    return trip.money / 100 * objective.money -
+        busRides.filter((event) => event.inputs.weather === 1).length * objective.badWeatherBusRide -
+        busRides.filter((event) => event.inputs.busCrowding === 1).length * objective.crowdedBusRide -
+        missedItems.length * objective.missedItem;
+}
+
+/**
+ * Returns the weights, biases and thresholds of the perceptrons as plain
+ * objects, which is the shape the optimizer changes and saves.
+ *
+ * @param {*} saved Optional saved settings to start from (see createPerceptrons).
+ * @returns An object keyed like createPerceptrons, e.g. {taxiToStore: {name, weights, bias, threshold}}.
+ */
+function startingConfiguration(saved) {
+    const perceptrons = createPerceptrons(saved);
+    const configuration = {};
+
+    Object.keys(perceptrons).forEach((key) => {
+        const perceptron = perceptrons[key];
+        configuration[key] = { name: perceptron.name, weights: Object.assign({}, perceptron.weights), bias: perceptron.bias, threshold: perceptron.threshold };
+    });
+
+    return configuration;
+}
+
+/**
+ * Lists the names of every number the optimizer can change, e.g.
+ * "taxiToStore.cost" for a weight, "taxiToStore.bias" and "taxiToStore.threshold".
+ *
+ * @param {*} configuration A configuration (see startingConfiguration).
+ * @returns An array of parameter names.
+ */
+function parameterNames(configuration) {
+    const names = [];
+
+    Object.keys(configuration).forEach((key) => {
+        Object.keys(configuration[key].weights).forEach((input) => names.push(key + "." + input));
+        names.push(key + ".bias", key + ".threshold");
+    });
+
+    return names;
+}
+
+/**
+ * Reads one parameter of a configuration.
+ *
+ * @param {*} configuration A configuration (see startingConfiguration).
+ * @param {*} name The parameter's name (see parameterNames).
+ * @returns Its value.
+ */
+function getParameter(configuration, name) {
+    const [key, part] = name.split(".");
+    return part === "bias" || part === "threshold" ? configuration[key][part] : configuration[key].weights[part];
+}
+
+/**
+ * Returns a copy of a configuration with one parameter changed.
+ *
+ * @param {*} configuration A configuration (see startingConfiguration).
+ * @param {*} name The parameter's name (see parameterNames).
+ * @param {*} value Its new value. It is rounded to six decimal places.
+ * @returns The new configuration. The one given is not changed.
+ */
+function setParameter(configuration, name, value) {
+    const [key, part] = name.split(".");
+    const copy = JSON.parse(JSON.stringify(configuration));
+    const rounded = Math.round(value * 1e6) / 1e6;
+
+    if (part === "bias" || part === "threshold") {
+        copy[key][part] = rounded;
+    } else {
+        copy[key].weights[part] = rounded;
+    }
+
+    return copy;
+}
+
+/**
+ * Runs trips with a configuration and scores them.
+ *
+ * DEV NOTE: Every candidate is run on the same trip seeds, drawn from the
+ * search's seed, and at a freshly stocked store. So two candidates only ever
+ * score differently because they decide differently, not because one was
+ * luckier with the weather.
+ *
+ * @param {*} configuration The configuration to try (see startingConfiguration).
+ * @param {*} options The catalog, the number of trips, the seed, the
+ * objective, and optionally the autopilot (default "nearest"), activation,
+ * road map, road closure setting, departure time and environment model.
+ * @returns The mean objective score of the trips.
+ */
+function evaluateConfiguration(configuration, options) {
+    const seeds = createRandomSource(options.seed);
+    const inventory = createInventory(options.catalog);
+    let total = 0;
+
+    for (let i = 0; i < options.trips; i++) {
+        const trip = runTrip({
+            catalog: options.catalog,
+            seed: Math.floor(seeds.next() * 4294967296),
+            autopilot: options.autopilot !== undefined ? options.autopilot : "nearest",
+            perceptrons: createPerceptrons(configuration, { activation: options.activation }),
+            io: createSilentIO(),
+            roadMap: options.roadMap,
+            closures: options.closures,
+            departure: options.departure,
+            environmentModel: options.environmentModel,
+            inventory: inventory
+        });
+        total += objectiveScore(trip, options.objective);
+    }
+
+    return Math.round(total / options.trips * 1e4) / 1e4;
+}
+
+/**
+ * Tries every combination of values for a few parameters. Each parameter is
+ * tried at its starting value and at steps either side of it, e.g. a
+ * threshold of 1.5 with a step of 0.2 and 2 steps is tried at 1.1, 1.3, 1.5,
+ * 1.7 and 1.9.
+ *
+ * @param {*} start The configuration to start from.
+ * @param {*} options The evaluation options (see evaluateConfiguration), the
+ * parameters to search, the step and the number of steps either side.
+ * @returns The best configuration, its score and the number of configurations tried.
+ */
+function gridSearch(start, options) {
+    let candidates = [start];
+
+    options.parameters.forEach((name) => {
+        const next = [];
+        candidates.forEach((candidate) => {
+            for (let step = -options.steps; step <= options.steps; step++) {
+                next.push(setParameter(candidate, name, getParameter(start, name) + step * options.stepSize));
+            }
+        });
+        candidates = next;
+    });
+
+    let best = null;
+    candidates.forEach((candidate) => {
+        const score = evaluateConfiguration(candidate, options);
+        if (best === null || score > best.score) {
+            best = { configuration: candidate, score: score };
+        }
+    });
+
+    return { configuration: best.configuration, score: best.score, evaluated: candidates.length };
+}
+
+/**
+ * Climbs towards a better configuration one small change at a time: each
+ * iteration moves one randomly chosen parameter a step up or down and keeps
+ * the change if the score goes up.
+ *
+ * DEV NOTE: Once every parameter has had a turn without an improvement, the
+ * step is halved, so the search settles in once the big wins are taken.
+ *
+ * @param {*} start The configuration to start from.
+ * @param {*} options The evaluation options (see evaluateConfiguration), the
+ * parameters to search, the starting step and the number of iterations.
+ * @returns The best configuration, its score and the number of configurations tried.
+ */
+function hillClimb(start, options) {
+    const random = createRandomSource((options.seed + 1) >>> 0);
+    let best = { configuration: start, score: evaluateConfiguration(start, options) };
+    let stepSize = options.stepSize;
+    let failures = 0;
+
+    for (let i = 0; i < options.iterations; i++) {
+        const name = options.parameters[Math.floor(random.next() * options.parameters.length)];
+        const direction = random.next() < 0.5 ? -1 : 1;
+        const candidate = setParameter(best.configuration, name, getParameter(best.configuration, name) + direction * stepSize);
+        const score = evaluateConfiguration(candidate, options);
+
+        if (score > best.score) {
+            best = { configuration: candidate, score: score };
+            failures = 0;
+        } else if (++failures >= options.parameters.length) {
+            stepSize /= 2;
+            failures = 0;
+        }
+    }
+
+    return { configuration: best.configuration, score: best.score, evaluated: options.iterations + 1 };
+}
+
+/**
+ * Searches for the configuration that scores best on the objective.
+ *
+ * @param {*} options The method ("grid" or "hill-climb"), the catalog, and
+ * optionally the number of trips per configuration (default 100), the seed
+ * (default 1), the objective (default defaultObjective), the saved settings
+ * to start from, the parameters to search (default the three thresholds for
+ * grid and every parameter for hill-climb), the step (default 0.2), the steps
+ * either side for grid (default 2), the iterations for hill-climb (default
+ * 200), and the autopilot, activation, road map, road closure setting, departure time and
+ * environment model to run the trips with.
+ * @returns The result: the method, objective, trips, seed, the score of the
+ * starting configuration and of the best one, the number of configurations
+ * tried and the best configuration's perceptrons.
+ */
+function optimize(options) {
+    if (options.method !== "grid" && options.method !== "hill-climb") {
+        throw new Error("The optimizer's method must be grid or hill-climb.");
+    }
+
+    const start = startingConfiguration(options.start);
+    const given = (value, otherwise) => value !== undefined ? value : otherwise;
+    const settings = Object.assign({}, options, {
+        trips: given(options.trips, 100),
+        seed: given(options.seed, 1),
+        objective: given(options.objective, defaultObjective),
+        stepSize: given(options.stepSize, 0.2),
+        steps: given(options.steps, 2),
+        iterations: given(options.iterations, 200),
+        parameters: given(options.parameters, options.method === "grid" ? Object.keys(start).map((key) => key + ".threshold") : parameterNames(start))
+    });
+
+    const unknown = settings.parameters.filter((name) => !parameterNames(start).includes(name));
+    if (unknown.length > 0) {
+        throw new Error("Unknown parameters: " + unknown.join(", ") + ". Use names such as taxiToStore.cost, busHome.bias or brandName.threshold.");
+    }
+
+    const found = settings.method === "grid" ? gridSearch(start, settings) : hillClimb(start, settings);
+
+    return {
+        method: settings.method,
+        objective: settings.objective,
+        trips: settings.trips,
+        seed: settings.seed,
+        startingScore: evaluateConfiguration(start, settings),
+        score: found.score,
+        evaluated: found.evaluated,
+        perceptrons: found.configuration
+    };
+}
+
+/**
+ * Lays out the result of a search: the scores, and every parameter that
+ * changed with its starting and best value.
+ *
+ * @param {*} result The result returned by optimize.
+ * @param {*} saved Optional saved settings the search started from.
+ * @returns The result as a string.
+ */
+function formatOptimization(result, saved) {
+    const start = startingConfiguration(saved);
+    const lines = [
+        "Optimized with " + result.method + " over " + result.evaluated + " configurations of " + result.trips + " trips each (seed " + result.seed + ").",
+        "Objective score: " + result.startingScore.toFixed(2) + " before, " + result.score.toFixed(2) + " after.",
+        ""
+    ];
+
+    const changed = parameterNames(start).filter((name) => getParameter(start, name) !== getParameter(result.perceptrons, name));
+    if (changed.length === 0) {
+        lines.push("No change to the weights did better than the ones the search started from.");
+    }
+    changed.forEach((name) => {
+        lines.push("  " + name.padEnd(28) + String(getParameter(start, name)).padStart(8) + " -> " + getParameter(result.perceptrons, name));
+    });
+
+    return lines.join("\n");
+}
+
+/**
+ * Writes the result of a search to a weights file.
+ *
+ * @param {*} weightsPath The path of the file to write. An existing file is replaced.
+ * @param {*} result The result returned by optimize.
+ */
+function saveWeights(weightsPath, result) {
+    fs.writeFileSync(weightsPath, JSON.stringify(result, null, 4) + "\n");
+}
+
+/**
+ * Reads the perceptrons from a weights file. A learning state file (see
+ * learning.js) has its perceptrons in the same place, so it can be read too.
+ *
+ * @param {*} weightsPath The path of the weights file.
+ * @returns The saved settings, keyed like createPerceptrons.
+ */
+function loadWeights(weightsPath) {
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(weightsPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the weights " + weightsPath + ": " + error.message);
+    }
+
+    if (!file || typeof file.perceptrons !== "object" || file.perceptrons === null) {
+        throw new Error("The weights file " + weightsPath + " has no perceptrons.");
+    }
+    const defaults = createPerceptrons();
+    Object.keys(file.perceptrons).forEach((key) => {
+        const saved = file.perceptrons[key];
+
+        if (!defaults[key]) {
+            throw new Error("The weights file " + weightsPath + " has an unknown perceptron \"" + key + "\".");
+        }
+        if (!saved.weights || Object.keys(saved.weights).join(", ") !== defaults[key].inputNames.join(", ") ||
+            !Object.values(saved.weights).concat(saved.bias, saved.threshold).every((value) => typeof value === "number" && Number.isFinite(value))) {
+            throw new Error("The weights file " + weightsPath + " has settings for \"" + key + "\" that do not match its inputs (" +
+                defaults[key].inputNames.join(", ") + ") or are not numbers.");
+        }
+    });
+
+    return file.perceptrons;
+}
+
+module.exports = {
+    defaultObjective,
+    loadObjective,
+    objectiveScore,
+    startingConfiguration,
+    parameterNames,
+    getParameter,
+    setParameter,
+    evaluateConfiguration,
+    gridSearch,
+    hillClimb,
+    optimize,
+    formatOptimization,
+    saveWeights,
+    loadWeights
+};
@@ -0,0 +1,224 @@
+/*
+ * The command line options of StoreTrip.js.
+*/
+
+const { parseTime } = require("./clock");
+const { decisionKeys, policyNames } = require("./policy");
+
+/**
+ * Reads the value of --policy.
+ *
+ * @param {*} value A policy name, a list such as "taxiToStore=human,busHome=rules", or
+ * the path of a .json file.
+ * @returns The policy names keyed by decision, or the path of the file as a string.
+ */
+function parsePolicy(value) {
+    if (value.endsWith(".json")) {
+        return value;
+    }
+    if (!value.includes("=")) {
+        if (!policyNames.includes(value)) {
+            throw new Error("--policy must be " + policyNames.join(", ") + ", a list such as \"taxiToStore=human\", or a .json file.");
+        }
+        const choices = {};
+        decisionKeys.forEach((decision) => { choices[decision] = value; });
+        return choices;
+    }
+
+    const choices = {};
+    value.split(",").map((choice) => choice.trim()).filter((choice) => choice !== "").forEach((choice) => {
+        const [decision, policy] = choice.split("=").map((part) => part.trim());
+        if (!decisionKeys.includes(decision)) {
+            throw new Error("--policy: \"" + decision + "\" is not a decision (use " + decisionKeys.join(", ") + ").");
+        }
+        if (!policyNames.includes(policy)) {
+            throw new Error("--policy: the policy for " + decision + " must be " + policyNames.join(", ") + ".");
+        }
+        choices[decision] = policy;
+    });
+    return choices;
+}
+
+/**
+ * Reads the command line options the program understands from an argv array.
+ * Options may be written as "--seed 42" or "--seed=42".
+ *
+ * --seed <number>        Seed for the random number generator.
+ * --autopilot <strategy> Let the agent choose its own route through the store
+ *                        (nearest, cheapest, or a scripted route such as l,r,s).
+ * --catalog <path>       Store catalog to shop from (default: store-catalog.json).
+ * --roads <path>         Road map to travel on (default: road-map.json).
+ * --environment <path>   Probabilities of the weather, traffic and bus crowding
+ *                        (default: environment-model.json).
+ * --activation <name>   How the perceptrons turn their sums into decisions: step (default),
+ *                        sigmoid or tanh. Sigmoid and tanh make every decision a probability.
+ * --multilayer           Decide whether to take the bus home with a small multi-layer network.
+ * --depart <HH:MM>      When the agent sets out, on a 24 hour clock (default 10:00).
+ * --closures <setting>   Which roads are closed: none, random, or a list of road names
+ *                        such as "Main Street,Lake Drive" closed on both legs.
+ * --trace <path>         Write every perception and decision to a JSON Lines file.
+ * --report <path>        Write the trip, or the batch summary, as an HTML page with charts.
+ * --receipt <path>       Write the trip's ledger and itemized receipt as text, or as JSON or CSV
+ *                        when the file ends in .json or .csv.
+ * --record <path>        Record the seed, every random draw and every answer typed to a session file.
+ * --replay <path>        Run a recorded session again without asking anything and report where
+ *                        its decisions or money differ from the recording.
+ * --explain              Show how each decision's sum came about and which single change
+ *                        to the conditions would have changed it.
+ * --serve <port>        Start the HTTP API for running and inspecting trips (see lib/server.js).
+ * --batch <trips>        Run many trips without narration and print summary statistics.
+ * --summary-json <path>  With --batch or --campaign, also write the summary statistics to a JSON file.
+ * --campaign <days>      Run the same household for many days, with a pantry that runs down and a weekly
+ *                        income, and print how its money, pantry and travel went (see lib/campaign.js).
+ * --household <path>     With --campaign, the household to run (default: household.json).
+ * --optimize <method>    Search the perceptrons' weights, biases and thresholds with grid or hill-climb
+ *                        and save the best ones to a weights file (see lib/optimizer.js).
+ * --trips <number>       With --optimize, the trips to run for each configuration (default 100).
+ * --iterations <number>  With --optimize hill-climb, the changes to try (default 200).
+ * --parameters <list>    With --optimize, the parameters to search, such as "taxiToStore.threshold,busHome.cost".
+ * --objective <path>     With --optimize, a JSON file that changes the objective's rewards and penalties.
+ * --output <path>        With --optimize, the weights file to write (default: optimized-weights.json).
+ * --weights <path>       Decide with the weights, biases and thresholds saved in a weights file.
+ * --policy <choice>      How each decision is made: perceptron (the default), rules, random, human
+ *                        (ask the user) or q-learning (the Q table trained by --train-q). One name
+ *                        for every decision, a list such as "taxiToStore=human,busHome=rules", or
+ *                        the path of a .json file with the same choices (see lib/policy.js).
+ * --train-q <trips>      Train the Q-learning policies over many trips and save their Q table.
+ * --compare <trips>      Run the same trips with the perceptrons and with q-learning and compare them.
+ * --q-table <path>       Q table file (default: q-table.json).
+ * --plugins <path>       Load the plugins listed in a plugin config file, which can listen to the
+ *                        trip's events and veto its decisions (see lib/plugins.js).
+ * --learn                Load the agent's weights from the state file, learn from the trip and save them.
+ * --state <path>         Learning state file (default: agent-state.json).
+ * --reset-learning       Delete the learning state file so the agent starts from the default weights.
+ * --learning-history     Print the score and weight changes of every trip the agent has learned from.
+ *
+ * @param {*} argv The command line arguments after the script name, e.g. process.argv.slice(2).
+ * @returns An object with one property per option that was given.
+ */
+function parseCommandLine(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        let name = argv[i];
+        let value;
+
+        if (name.includes("=")) {
+            value = name.slice(name.indexOf("=") + 1);
+            name = name.slice(0, name.indexOf("="));
+        }
+
+        const requireValue = (message) => {
+            value = value !== undefined ? value : argv[++i];
+            if (value === undefined || value === "") {
+                throw new Error(message);
+            }
+            return value;
+        };
+
+        if (name === "--seed") {
+            requireValue("--seed needs a number.");
+            if (!/^\d+$/.test(value) || Number(value) > 0xFFFFFFFF) {
+                throw new Error("--seed must be a whole number between 0 and 4294967295.");
+            }
+            options.seed = Number(value);
+        } else if (name === "--autopilot") {
+            options.autopilot = requireValue("--autopilot needs a strategy: nearest, cheapest, or a route such as l,r,s.");
+        } else if (name === "--catalog") {
+            options.catalog = requireValue("--catalog needs the path to a store catalog file.");
+        } else if (name === "--roads") {
+            options.roads = requireValue("--roads needs the path to a road map file.");
+        } else if (name === "--environment") {
+            options.environment = requireValue("--environment needs the path to an environment model file.");
+        } else if (name === "--depart") {
+            requireValue("--depart needs the time the agent sets out, such as 09:30.");
+            if (Number.isNaN(parseTime(value)) || parseTime(value) === 1440) {
+                throw new Error("--depart must be a time from 00:00 to 23:59, such as 09:30 or 18:45.");
+            }
+            options.departure = parseTime(value);
+        } else if (name === "--closures") {
+            requireValue("--closures needs none, random, or a list of road names such as \"Main Street,Lake Drive\".");
+            options.closures = value === "none" || value === "random" ? value :
+                value.split(",").map((road) => road.trim()).filter((road) => road !== "");
+        } else if (name === "--trace") {
+            options.trace = requireValue("--trace needs the path of the .jsonl file to write.");
+        } else if (name === "--report") {
+            options.report = requireValue("--report needs the path of the .html file to write.");
+        } else if (name === "--receipt") {
+            options.receipt = requireValue("--receipt needs the path of the file to write the receipt to.");
+        } else if (name === "--record") {
+            options.record = requireValue("--record needs the path of the session file to write.");
+        } else if (name === "--replay") {
+            options.replay = requireValue("--replay needs the path of a session file.");
+        } else if (name === "--serve") {
+            requireValue("--serve needs the port to listen on, e.g. 3000.");
+            if (!/^\d+$/.test(value) || Number(value) > 65535) {
+                throw new Error("--serve must be a port number between 0 and 65535.");
+            }
+            options.serve = Number(value);
+        } else if (name === "--batch") {
+            requireValue("--batch needs the number of trips to run.");
+            if (!/^\d+$/.test(value) || Number(value) < 1) {
+                throw new Error("--batch must be a whole number of trips, 1 or more.");
+            }
+            options.batch = Number(value);
+        } else if (name === "--optimize") {
+            requireValue("--optimize needs a search method: grid or hill-climb.");
+            if (value !== "grid" && value !== "hill-climb") {
+                throw new Error("--optimize must be grid or hill-climb.");
+            }
+            options.optimize = value;
+        } else if (name === "--policy") {
+            options.policy = parsePolicy(requireValue("--policy needs a policy name, a list such as \"taxiToStore=human\", or a .json file."));
+        } else if (name === "--plugins") {
+            options.plugins = requireValue("--plugins needs the path of a plugin config file.");
+        } else if (name === "--q-table") {
+            options.qTable = requireValue("--q-table needs the path of the Q table file.");
+        } else if (name === "--household") {
+            options.household = requireValue("--household needs the path of a household file.");
+        } else if (name === "--trips" || name === "--iterations" || name === "--train-q" || name === "--compare" || name === "--campaign") {
+            requireValue(name + " needs a number.");
+            if (!/^\d+$/.test(value) || Number(value) < 1) {
+                throw new Error(name + " must be a whole number, 1 or more.");
+            }
+            options[{ "--trips": "trips", "--iterations": "iterations", "--train-q": "trainQ", "--compare": "compare", "--campaign": "campaign" }[name]] = Number(value);
+        } else if (name === "--parameters") {
+            requireValue("--parameters needs a list of parameters such as \"taxiToStore.threshold,busHome.cost\".");
+            options.parameters = value.split(",").map((parameter) => parameter.trim()).filter((parameter) => parameter !== "");
+        } else if (name === "--objective") {
+            options.objective = requireValue("--objective needs the path of an objective file.");
+        } else if (name === "--output") {
+            options.output = requireValue("--output needs the path of the weights file to write.");
+        } else if (name === "--weights") {
+            options.weights = requireValue("--weights needs the path of a weights file.");
+        } else if (name === "--activation") {
+            requireValue("--activation needs step, sigmoid or tanh.");
+            if (!["step", "sigmoid", "tanh"].includes(value)) {
+                throw new Error("--activation must be step, sigmoid or tanh.");
+            }
+            options.activation = value;
+        } else if (name === "--learn" || name === "--reset-learning" || name === "--learning-history" || name === "--multilayer" ||
+            name === "--explain") {
+            if (value !== undefined) {
+                throw new Error(name + " does not take a value.");
+            }
+            options[{
+                "--learn": "learn",
+                "--reset-learning": "resetLearning",
+                "--learning-history": "learningHistory",
+                "--multilayer": "multilayer",
+                "--explain": "explain"
+            }[name]] = true;
+        } else if (name === "--state") {
+            options.state = requireValue("--state needs the path of the learning state file.");
+        } else if (name === "--summary-json") {
+            options.summaryJson = requireValue("--summary-json needs the path of the .json file to write.");
+        } else {
+            throw new Error("Unknown option \"" + argv[i] + "\".");
+        }
+    }
+
+    return options;
+}
+
+module.exports = { parseCommandLine };
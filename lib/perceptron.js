@@ -0,0 +1,195 @@
+/*
+ * Perceptrons, one of the fundamental components of neural networks. The
+ * agent makes every one of its decisions with one of these.
+*/
+
+const { getZeroOrOneWithChance } = require("./random");
+
+/**
+ * Returns the sum of the weighted inputs from both arrays plus the bias.
+ * Bias may either be a positive value, negative value, or zero.
+ * 
+ * DEV NOTE: The for loop performs the perceptron's mathematicial
+ * calculations by multiplying each input with its weight and adding
+ * the product of each weighted input to the overall sum value. The bias is
+ * added afterwards that, if not zero, affects the sum of the weighted inputs.
+ * 
+ * @param {*} sum The summation of the weighted inputs' products.
+ * @param {*} inputsArray Array that contains the values for the inputs in the agent's environment. Must be an array object.
+ * @param {*} weightsArray Array that contains the weights of the inputs from the environment. Must be an array object. 
+ * @param {*} bias This value is independent of the sum and is added at the end to influence the sum.
+ * @returns The sum and bias added together; the bias may or may not change the value of sum.
+ */
+function summationOfInputsAndWeights(sum, inputsArray, weightsArray, bias) {
+    for (let i = 0; i < inputsArray.length; i++) {
+        sum += inputsArray[i] * weightsArray[i];
+    }
+
+    return sum + bias;
+}
+
+/* DEV NOTE: The activation functions turn how far the weighted sum is above
+   (or below) the threshold into the probability of the perceptron firing.
+   The step function is the original all-or-nothing rule, so a sum of 1.49
+   against a threshold of 1.5 never fires and 1.5 always does. Sigmoid and
+   tanh rise smoothly from 0 to 1 and give exactly 0.5 at the threshold. The
+   tanh curve is rescaled from [-1, 1] to [0, 1], which makes it a sigmoid
+   that is twice as steep. */
+const activations = {
+    step: (x) => x >= 0 ? 1 : 0,
+    sigmoid: (x) => 1 / (1 + Math.exp(-x)),
+    tanh: (x) => (Math.tanh(x) + 1) / 2
+};
+
+/**
+ * The Perceptron class is a single artificial neuron the agent uses to make
+ * a yes (1) or no (0) decision from a set of named inputs.
+ *
+ * @property name -- A readable name for the decision the perceptron makes.
+ *
+ * @property weights -- An object that maps each input name to its weight. The
+ * order of the keys is the order the inputs are summed in.
+ *
+ * @property bias -- This value is added to the sum of the weighted inputs.
+ *
+ * @property threshold -- The perceptron fires (returns 1) when the weighted sum
+ * plus the bias is greater than or equal to the threshold.
+ *
+ * @property activation -- "step" (the default), "sigmoid" or "tanh". With sigmoid
+ * or tanh the perceptron gives the probability of firing instead of a hard yes
+ * or no, and evaluate draws the output from a random source with that probability.
+ *
+ * @property steepness -- How sharply sigmoid and tanh rise around the threshold
+ * (default 10). At 10, a sum 0.1 below the threshold still fires about 27% of the time.
+ *
+ * @method weightedSum(inputs) -- Returns the sum of the weighted inputs plus the bias.
+ *
+ * @method probability(inputs) -- Returns the probability of firing, from 0 to 1.
+ *
+ * @method evaluate(inputs, randomSource) -- Returns everything about one decision: the
+ * inputs, weights, bias, weighted sum, threshold, activation, probability and output.
+ * This is what gets written to the trip trace. With a sigmoid or tanh activation and a
+ * random source, the output is drawn with the probability; otherwise the perceptron
+ * fires when the probability is at least 0.5.
+ * 
+ * @method predict(inputs) -- Returns 1 if the weighted sum reaches the threshold, else 0.
+ *
+ * @method toJSON() -- Returns the name, weights, bias, threshold, activation and steepness
+ * as a plain object, which can be passed back to the constructor to rebuild the perceptron.
+ *
+ * @method train(examples, options) -- Adjusts the weights and bias with the perceptron
+ * learning rule until every example is classified correctly or the epochs run out.
+ *
+ * @param inputs - An object that maps each input name to its value, e.g. {cost: 1, weather: 0}.
+ * @param randomSource - The seeded random source to draw probabilistic outputs from (see createRandomSource).
+ * @param examples - An array of labeled examples, e.g. [{inputs: {cost: 1, weather: 1}, label: 1}].
+ * @param options - Optional learningRate (default 0.1) and epochs (default 100).
+ */
+class Perceptron {
+    constructor({ name, weights, bias = 0, threshold = 0, activation = "step", steepness = 10 }) {
+        if (!activations[activation]) {
+            throw new Error("Unknown activation \"" + activation + "\". Use " + Object.keys(activations).join(", ") + ".");
+        }
+
+        this.name = name;
+        this.weights = Object.assign({}, weights);
+        this.bias = bias;
+        this.threshold = threshold;
+        this.activation = activation;
+        this.steepness = steepness;
+    }
+
+    get inputNames() {
+        return Object.keys(this.weights);
+    }
+
+    weightedSum(inputs) {
+        const inputsArray = this.inputNames.map((inputName) => {
+            if (typeof inputs[inputName] !== "number") {
+                throw new Error("Perceptron \"" + this.name + "\" is missing a value for input \"" + inputName + "\".");
+            }
+            return inputs[inputName];
+        });
+        const weightsArray = this.inputNames.map((inputName) => this.weights[inputName]);
+
+        // Rounded so that sums which are equal on paper (e.g. 0.6 + 0.6 - 0.2 and 1.0)
+        // compare as equal against the threshold.
+        return Math.round(summationOfInputsAndWeights(0, inputsArray, weightsArray, this.bias) * 1e10) / 1e10;
+    }
+
+    probability(inputs) {
+        const distance = this.weightedSum(inputs) - this.threshold;
+        const probability = this.activation === "step" ? activations.step(distance) : activations[this.activation](this.steepness * distance);
+
+        return Math.round(probability * 1e10) / 1e10;
+    }
+
+    evaluate(inputs, randomSource) {
+        const sum = this.weightedSum(inputs);
+        const probability = this.probability(inputs);
+        const usedInputs = {};
+        this.inputNames.forEach((inputName) => { usedInputs[inputName] = inputs[inputName]; });
+
+        return {
+            perceptron: this.name,
+            inputs: usedInputs,
+            weights: Object.assign({}, this.weights),
+            bias: this.bias,
+            sum: sum,
+            threshold: this.threshold,
+            activation: this.activation,
+            probability: probability,
+            output: this.activation !== "step" && randomSource ? getZeroOrOneWithChance(randomSource, probability) : (probability >= 0.5 ? 1 : 0)
+        };
+    }
+
+    predict(inputs) {
+        return this.evaluate(inputs).output;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            weights: Object.assign({}, this.weights),
+            bias: this.bias,
+            threshold: this.threshold,
+            activation: this.activation,
+            steepness: this.steepness
+        };
+    }
+
+    /* DEV NOTE: The perceptron learning rule nudges every weight by
+       learningRate * error * input, where error is the expected label minus
+       the prediction (either -1, 0, or 1). The bias is nudged the same way as
+       if it were the weight of an input that is always 1. Values are rounded
+       so that repeated training does not pile up floating point noise. */
+    train(examples, options = {}) {
+        const learningRate = options.learningRate !== undefined ? options.learningRate : 0.1;
+        const epochs = options.epochs !== undefined ? options.epochs : 100;
+        const round = (value) => Math.round(value * 1e10) / 1e10;
+
+        for (let epoch = 1; epoch <= epochs; epoch++) {
+            let errors = 0;
+
+            for (const example of examples) {
+                const error = example.label - this.predict(example.inputs);
+
+                if (error !== 0) {
+                    errors++;
+                    for (const inputName of this.inputNames) {
+                        this.weights[inputName] = round(this.weights[inputName] + learningRate * error * example.inputs[inputName]);
+                    }
+                    this.bias = round(this.bias + learningRate * error);
+                }
+            }
+
+            if (errors === 0) {
+                return { epochs: epoch, converged: true };
+            }
+        }
+
+        return { epochs: epochs, converged: false };
+    }
+}
+
+module.exports = { summationOfInputsAndWeights, activations, Perceptron };
@@ -0,0 +1,113 @@
+/*
+ * Trip events and plugins. Every trip has an EventEmitter (trip.events) that
+ * tells whoever is listening what the agent is doing as it happens, so other
+ * tools do not have to read the narration:
+ *
+ *   tripStart              The tripStart trace event: the seed, autopilot strategy and starting money.
+ *   environmentPerceived   A perception trace event, when the agent perceives where it is
+ *                          (see Agent.addEnvironment).
+ *   decisionProposed       A decision a policy has made but the agent has not acted on yet
+ *                          (see below).
+ *   decisionMade           A decision trace event, when the agent acts (see Agent.addAction).
+ *   itemAddedToCart        The item, its variant (type) and price, and the number of items in the cart.
+ *   checkout               The receipt (see createReceipt), just before it is paid.
+ *   moneyChanged           The ledger entry of a payment (see payFor).
+ *   tripEnd                The tripEnd trace event: the money left and what the agent went without.
+ *
+ * A decisionProposed event holds the name of the decision (e.g. "taxi to
+ * store"), its phase, inputs and output, what the agent does for each output
+ * (outcomes), what each output costs in cents (costs) and the money the agent
+ * has. A listener can call veto(reason) to make the agent do the other thing,
+ * or change(output, reason) to choose the output itself. The reason is said to
+ * the user and kept in the decision's trace event.
+ *
+ * A plugin is a local module that exports a name and a register(events,
+ * options) function, which subscribes to the events it wants. Plugins are
+ * listed in a plugin config file:
+ *
+ *   {"plugins": [{"module": "plugins/budget-guard.js", "options": {"floor": 2000}}]}
+ *
+ * Module paths are relative to the config file.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+// The events a trip emits, in the order they first happen.
+const tripEvents = ["tripStart", "environmentPerceived", "decisionProposed", "decisionMade", "itemAddedToCart", "checkout", "moneyChanged", "tripEnd"];
+
+/**
+ * Creates the decisionProposed event for a decision a policy has made.
+ *
+ * @param {*} proposal The decision's name, phase, inputs, output, outcomes,
+ * costs and the money the agent has.
+ * @returns The event, with the veto and change functions and the overrides
+ * made so far (each {output, reason}).
+ */
+function createDecisionProposal(proposal) {
+    return Object.assign({}, proposal, {
+        overrides: [],
+        veto: function (reason) {
+            this.change(1 - this.output, reason);
+        },
+        change: function (output, reason) {
+            if (output !== 0 && output !== 1) {
+                throw new Error("A decision can only be changed to 1 or 0, not " + output + ".");
+            }
+            this.output = output;
+            this.overrides.push({ output: output, reason: reason });
+        }
+    });
+}
+
+/**
+ * Reads a plugin config file and loads the plugins it lists.
+ *
+ * @param {*} configPath The path of the plugin config file.
+ * @returns An array of plugins, each with its name, the path of its module,
+ * its options and its register function.
+ */
+function loadPlugins(configPath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the plugin config " + configPath + ": " + error.message);
+    }
+
+    if (!config || !Array.isArray(config.plugins) || !config.plugins.every((entry) => entry && typeof entry.module === "string")) {
+        throw new Error("The plugin config " + configPath + " must list its plugins like {\"plugins\": [{\"module\": \"plugins/budget-guard.js\"}]}.");
+    }
+
+    return config.plugins.map((entry) => {
+        const modulePath = path.resolve(path.dirname(configPath), entry.module);
+        let plugin;
+        try {
+            plugin = require(modulePath);
+        } catch (error) {
+            throw new Error("Could not load the plugin " + entry.module + ": " + error.message);
+        }
+        if (!plugin || typeof plugin.register !== "function") {
+            throw new Error("The plugin " + entry.module + " does not export a register function.");
+        }
+
+        return {
+            name: plugin.name || entry.module,
+            module: modulePath,
+            options: entry.options || {},
+            register: plugin.register
+        };
+    });
+}
+
+/**
+ * Subscribes plugins to a trip's events.
+ *
+ * @param {*} events The trip's EventEmitter.
+ * @param {*} plugins The plugins (see loadPlugins).
+ */
+function registerPlugins(events, plugins) {
+    plugins.forEach((plugin) => plugin.register(events, plugin.options));
+}
+
+module.exports = { tripEvents, createDecisionProposal, loadPlugins, registerPlugins };
@@ -0,0 +1,282 @@
+/*
+ * Decision policies. Each of the agent's yes (1) or no (0) decisions (taxi to
+ * the store, brand name and bus home) is made by a policy, and any policy can
+ * make any of them. A policy is an object with:
+ *
+ *   name                                      The decision it makes, e.g. "taxi to store".
+ *   inputNames                                The names of the inputs it reads.
+ *   evaluate(inputs, randomSource, context)   Returns the decision. The context holds the
+ *                                             trip's I/O object (io) and the outcomes of
+ *                                             firing and not firing (e.g. {1: "take a taxi",
+ *                                             0: "take the bus"}).
+ *
+ * A decision has at least the inputs, the probability of firing and the
+ * output. Policies that weigh their inputs against a threshold (Perceptron,
+ * MultilayerPerceptron and QLearningPolicy) add the sum and threshold; the
+ * others add a reason, the sentence the agent says about how it decided.
+ * A policy whose answer would mean nothing if the inputs had been different
+ * (one that asks the user or decides at random) sets whatIf to false, so
+ * its explanations have no counterfactuals.
+*/
+
+const fs = require("fs");
+
+const { getZeroOrOneWithChance } = require("./random");
+const { createPerceptrons } = require("./trip");
+const { createQLearningPolicies } = require("./qlearning");
+
+// The decisions a policy can be chosen for, and the policies there are to choose from.
+const decisionKeys = ["taxiToStore", "brandName", "busHome"];
+const policyNames = ["perceptron", "rules", "random", "human", "q-learning"];
+
+/* AGENT'S RULES: The rule-based policy goes down a list of rules and does
+   what the first rule that matches says. A rule matches when every input it
+   names has the value it gives. When no rule matches, it does what its
+   otherwise says.
+
+   DECISION         RULES                                           OTHERWISE
+
+   Taxi to store    taxi if the weather is bad and the bus crowded  bus
+   Brand name       local if there are local goods                  brand name
+   Bus home         bus if under $40, taxi if the weather is bad,   bus
+                    taxi if the bus is crowded
+*/
+const ruleDefaults = {
+    taxiToStore: { rules: [{ when: { weather: 1, busCrowding: 1 }, output: 1 }], otherwise: 0 },
+    brandName: { rules: [{ when: { localGoods: 1 }, output: 0 }], otherwise: 1 },
+    busHome: {
+        rules: [{ when: { moneyUnder40: 1 }, output: 1 }, { when: { weather: 1 }, output: 0 }, { when: { busCrowding: 1 }, output: 0 }],
+        otherwise: 1
+    }
+};
+
+// Words for what a decision does, e.g. "take a taxi", when the context does not give them.
+const outcomeOf = (context, output) => context && context.outcomes ? context.outcomes[output] : "answer " + output;
+
+// Copies out the inputs a policy reads, for the decision.
+const usedInputs = (policy, inputs) => {
+    const used = {};
+    policy.inputNames.forEach((inputName) => {
+        if (typeof inputs[inputName] !== "number") {
+            throw new Error("Policy \"" + policy.name + "\" is missing a value for input \"" + inputName + "\".");
+        }
+        used[inputName] = inputs[inputName];
+    });
+    return used;
+};
+
+/**
+ * The RuleBasedPolicy class decides with a short list of rules. See AGENT'S RULES above.
+ *
+ * @property name -- The decision it makes.
+ *
+ * @property inputNames -- The names of the inputs it reads.
+ *
+ * @property rules -- An array of rules, each with when (an object that maps input
+ * names to the value they must have) and output (1 or 0).
+ *
+ * @property otherwise -- The output when no rule matches.
+ *
+ * @method evaluate(inputs, randomSource, context) -- Returns the decision, with the
+ * number of the rule that matched (0 for none) and the reason.
+ */
+class RuleBasedPolicy {
+    constructor({ name, inputNames, rules, otherwise }) {
+        this.name = name;
+        this.inputNames = inputNames.slice();
+        this.rules = rules.map((rule) => ({ when: Object.assign({}, rule.when), output: rule.output }));
+        this.otherwise = otherwise;
+    }
+
+    evaluate(inputs, randomSource, context) {
+        const used = usedInputs(this, inputs);
+        const index = this.rules.findIndex((rule) => Object.keys(rule.when).every((inputName) => used[inputName] === rule.when[inputName]));
+        const output = index === -1 ? this.otherwise : this.rules[index].output;
+        const conditions = index === -1 ? "" : Object.keys(this.rules[index].when).map((inputName) => inputName + " is " + this.rules[index].when[inputName]).join(" and ");
+
+        return {
+            perceptron: this.name,
+            policy: "rules",
+            inputs: used,
+            rule: index + 1,
+            reason: index === -1 ? "None of my rules apply, so I'll " + outcomeOf(context, output) + "." :
+                "My rule is to " + outcomeOf(context, output) + " when " + conditions + ".",
+            probability: output,
+            output: output
+        };
+    }
+}
+
+/**
+ * The RandomPolicy class is a baseline that ignores its inputs and decides at
+ * random.
+ *
+ * DEV NOTE: It draws from the trip's random source, so the weather, traffic
+ * and shelves after its first decision differ from the same seed decided by
+ * another policy.
+ *
+ * @property name -- The decision it makes.
+ *
+ * @property inputNames -- The names of the inputs it is given (and ignores).
+ *
+ * @property chance -- The probability of firing, from 0 to 1 (default 0.5).
+ *
+ * @property whatIf -- Always false: the inputs have no say in the decision.
+ *
+ * @method evaluate(inputs, randomSource, context) -- Returns the decision. Without a
+ * random source it fires when the chance is at least 0.5.
+ */
+class RandomPolicy {
+    constructor({ name, inputNames, chance = 0.5 }) {
+        this.name = name;
+        this.inputNames = inputNames.slice();
+        this.chance = chance;
+        this.whatIf = false;
+    }
+
+    evaluate(inputs, randomSource, context) {
+        return {
+            perceptron: this.name,
+            policy: "random",
+            inputs: usedInputs(this, inputs),
+            reason: "I'll leave it to chance whether to " + outcomeOf(context, 1) + " (" + Math.round(this.chance * 100) + "%).",
+            probability: this.chance,
+            output: randomSource ? getZeroOrOneWithChance(randomSource, this.chance) : (this.chance >= 0.5 ? 1 : 0)
+        };
+    }
+}
+
+/**
+ * The HumanPolicy class puts the decision to the user: the agent says what
+ * it would do either way and the user answers 1 or 0.
+ *
+ * @property name -- The decision it makes.
+ *
+ * @property inputNames -- The names of the inputs the agent perceived.
+ *
+ * @property whatIf -- Always false: the user is not asked what they would have done.
+ *
+ * @method evaluate(inputs, randomSource, context) -- Asks through the context's I/O
+ * object until the answer is 1 or 0, and returns the decision.
+ */
+class HumanPolicy {
+    constructor({ name, inputNames }) {
+        this.name = name;
+        this.inputNames = inputNames.slice();
+        this.whatIf = false;
+    }
+
+    evaluate(inputs, randomSource, context) {
+        if (!context || !context.io) {
+            throw new Error("The decision \"" + this.name + "\" is up to the user, but there is no one to ask.");
+        }
+        const used = usedInputs(this, inputs);
+        const prompt = "Should I " + outcomeOf(context, 1) + " (1) or " + outcomeOf(context, 0) + " (0)? ";
+        let answer = context.io.question(prompt).trim();
+
+        while (answer !== "1" && answer !== "0") {
+            context.io.log("ERROR: Invalid input. Try again.\n");
+            answer = context.io.question(prompt).trim();
+        }
+
+        return {
+            perceptron: this.name,
+            policy: "human",
+            inputs: used,
+            reason: "",
+            probability: Number(answer),
+            output: Number(answer)
+        };
+    }
+}
+
+/**
+ * Creates the policies the agent decides with, one for each decision.
+ *
+ * @param {*} choices Optional policy names keyed by decision, e.g. {taxiToStore: "human",
+ * busHome: "rules"}. Decisions left out use the perceptron.
+ * @param {*} saved Optional saved weights for the perceptrons (see createPerceptrons).
+ * @param {*} settings Optional activation and multilayer for the perceptrons
+ * (see createPerceptrons), and the qTable for q-learning (see loadQTable).
+ * @returns An object with the taxiToStore, brandName and busHome policies,
+ * which can be passed to runTrip as its perceptrons.
+ */
+function createPolicies(choices, saved, settings) {
+    const policies = createPerceptrons(saved, settings);
+
+    Object.keys(choices || {}).forEach((key) => {
+        const base = { name: policies[key].name, inputNames: policies[key].inputNames };
+
+        if (choices[key] === "rules") {
+            policies[key] = new RuleBasedPolicy(Object.assign(base, ruleDefaults[key]));
+        } else if (choices[key] === "random") {
+            policies[key] = new RandomPolicy(base);
+        } else if (choices[key] === "human") {
+            policies[key] = new HumanPolicy(base);
+        } else if (choices[key] === "q-learning") {
+            if (!settings || !settings.qTable) {
+                throw new Error("The q-learning policy for \"" + key + "\" needs a Q table (see --train-q).");
+            }
+            policies[key] = createQLearningPolicies(settings.qTable)[key];
+        }
+    });
+
+    return policies;
+}
+
+/**
+ * Checks a choice of policies.
+ *
+ * @param {*} choices Policy names keyed by decision.
+ * @returns An array of problems. Empty if the choices are usable.
+ */
+function validatePolicyChoices(choices) {
+    if (!choices || typeof choices !== "object" || Array.isArray(choices)) {
+        return ["The policies must be an object such as {\"taxiToStore\": \"human\"}."];
+    }
+
+    const problems = [];
+    Object.keys(choices).forEach((key) => {
+        if (!decisionKeys.includes(key)) {
+            problems.push("\"" + key + "\" is not a decision (use " + decisionKeys.join(", ") + ").");
+        } else if (!policyNames.includes(choices[key])) {
+            problems.push("The policy for \"" + key + "\" must be one of " + policyNames.join(", ") + ".");
+        }
+    });
+    return problems;
+}
+
+/**
+ * Reads a policy file, which chooses the policy for each decision, e.g.
+ * {"taxiToStore": "human", "brandName": "perceptron"}.
+ *
+ * @param {*} policyPath The path to the policy file.
+ * @returns The policy names keyed by decision.
+ */
+function loadPolicyChoices(policyPath) {
+    let choices;
+    try {
+        choices = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the policies " + policyPath + ": " + error.message);
+    }
+
+    const problems = validatePolicyChoices(choices);
+    if (problems.length > 0) {
+        throw new Error("The policies " + policyPath + " have problems: " + problems.join(" "));
+    }
+
+    return choices;
+}
+
+module.exports = {
+    decisionKeys,
+    policyNames,
+    ruleDefaults,
+    RuleBasedPolicy,
+    RandomPolicy,
+    HumanPolicy,
+    createPolicies,
+    validatePolicyChoices,
+    loadPolicyChoices
+};
@@ -0,0 +1,334 @@
+/*
+ * A Q-learning agent: instead of weighing its inputs with hand-picked
+ * weights, it learns from the reward of many simulated trips which choice
+ * pays off in each situation. Its policies can be used in place of the
+ * perceptrons for the taxi to store, brand name and bus home decisions.
+*/
+
+const fs = require("fs");
+
+const { createRandomSource } = require("./random");
+const { createPerceptrons, runTrip } = require("./trip");
+const { createSilentIO } = require("./io");
+const { createInventory } = require("./inventory");
+const { defaultObjective, objectiveScore } = require("./optimizer");
+
+/* AGENT'S Q-LEARNING: The agent keeps a table for each decision. The table
+   maps every situation it has perceived (its state) to how good it expects
+   each choice (its action) to turn out: Q(state, 0) and Q(state, 1).
+
+   DECISION         STATE                                       ACTIONS
+
+   Taxi to store    cost, weather, traffic, bus crowding,       0 bus, 1 taxi
+                    time bucket
+   Brand name       cost, local goods, brand name, spending     0 local, 1 brand name
+                    bias
+   Bus home         cost, weather, traffic, bus crowding,       0 taxi, 1 bus
+                    money bucket (under $40 or not), time bucket
+
+   The time input (see timeFactor in trip.js) goes in one of three buckets:
+   0 when the bus is at most a quarter of an hour slower than a taxi, 1 when
+   it is up to an hour slower, and 2 when it is slower still, e.g. waiting
+   overnight for the first bus. Rounding it like cost would give the table a
+   state for every few minutes of waiting, most of them seen once or never.
+
+   The only reward comes at the end of the trip: its objective score (see
+   optimizer.js), the dollars left at home minus the discomfort penalties.
+   After every trip each decision's Q value is moved towards the best Q value
+   of the decision that came after it, or towards the reward for the last one:
+
+       Q(s, a) <- Q(s, a) + learningRate * (target - Q(s, a))
+
+   While training, the agent tries the other choice every so often
+   (exploration) so that it finds out what it would be missing.
+*/
+const qLearningDefaults = { learningRate: 0.1, discount: 1, exploration: 0.1 };
+
+/**
+ * Puts the time input of a transport decision in its bucket. See AGENT'S
+ * Q-LEARNING above.
+ *
+ * @param {*} time The time input, how much longer the bus takes in half hours.
+ * @returns 0, 1 or 2.
+ */
+function timeBucket(time) {
+    if (time <= 0.5) return 0;
+    if (time <= 2) return 1;
+    return 2;
+}
+
+/**
+ * The QLearningPolicy class makes one of the agent's yes (1) or no (0)
+ * decisions from a Q table. It can be used in place of a Perceptron.
+ *
+ * @property name -- A readable name for the decision, the same as the perceptron's.
+ *
+ * @property inputNames -- The names of the inputs that make up the state.
+ *
+ * @property table -- An object that maps each state to its two Q values, e.g.
+ * {"cost=1,weather=1,traffic=0,busCrowding=0": [12.5, 9.75]}.
+ *
+ * @property exploration -- The chance of trying a random choice instead of the best one.
+ *
+ * @method stateOf(inputs) -- Returns the state for the inputs as a string. The
+ * time input is put in its bucket (see timeBucket). Other inputs that are not
+ * 0 or 1, such as cost, are rounded to one decimal place.
+ *
+ * @method evaluate(inputs) -- Returns everything about one decision, like
+ * Perceptron.evaluate. The sum is Q(state, 1) - Q(state, 0), compared against a
+ * threshold of 0, so the policy fires when firing is expected to turn out better.
+ * Ties, such as a state never seen before, go to 0.
+ *
+ * @method predict(inputs) -- Returns the best choice for the inputs, without exploring.
+ *
+ * @method toJSON() -- Returns the name, input names and table as a plain object,
+ * which can be passed back to the constructor to rebuild the policy.
+ *
+ * @param inputs - An object that maps each input name to its value, e.g. {cost: 1, weather: 0}.
+ */
+class QLearningPolicy {
+    constructor({ name, inputNames, table = {}, exploration = 0, randomSource = null }) {
+        this.name = name;
+        this.inputNames = inputNames.slice();
+        this.table = {};
+        Object.keys(table).forEach((state) => { this.table[state] = table[state].slice(); });
+        this.exploration = exploration;
+        // Exploring draws from a source of its own, so that it never changes the
+        // weather, traffic or shelves that the trip's seed would have given.
+        this.randomSource = randomSource;
+    }
+
+    stateOf(inputs) {
+        return this.inputNames.map((inputName) => {
+            if (typeof inputs[inputName] !== "number") {
+                throw new Error("Policy \"" + this.name + "\" is missing a value for input \"" + inputName + "\".");
+            }
+            let value = inputs[inputName];
+            if (inputName === "time") {
+                value = timeBucket(value);
+            } else if (value !== 0 && value !== 1) {
+                value = Math.round(value * 10) / 10;
+            }
+            return inputName + "=" + value;
+        }).join(",");
+    }
+
+    qValues(state) {
+        return this.table[state] || [0, 0];
+    }
+
+    evaluate(inputs) {
+        const state = this.stateOf(inputs);
+        const qValues = this.qValues(state);
+        const best = qValues[1] > qValues[0] ? 1 : 0;
+        const exploring = this.exploration > 0 && this.randomSource !== null;
+        const usedInputs = {};
+        this.inputNames.forEach((inputName) => { usedInputs[inputName] = inputs[inputName]; });
+
+        let output = best;
+        if (exploring && this.randomSource.next() < this.exploration) {
+            output = this.randomSource.next() < 0.5 ? 0 : 1;
+        }
+
+        return {
+            perceptron: this.name,
+            inputs: usedInputs,
+            state: state,
+            qValues: qValues.slice(),
+            bias: 0,
+            sum: Math.round((qValues[1] - qValues[0]) * 1e10) / 1e10,
+            threshold: 0,
+            activation: "q-learning",
+            probability: exploring ? (1 - this.exploration) * best + this.exploration / 2 : best,
+            output: output
+        };
+    }
+
+    predict(inputs) {
+        const qValues = this.qValues(this.stateOf(inputs));
+        return qValues[1] > qValues[0] ? 1 : 0;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            inputNames: this.inputNames.slice(),
+            table: JSON.parse(JSON.stringify(this.table))
+        };
+    }
+}
+
+/**
+ * Creates a Q-learning policy for each of the agent's decisions.
+ *
+ * @param {*} saved Optional saved tables keyed like the result, e.g. {busHome: {table}}.
+ * @param {*} settings Optional exploration (default 0) and the random source to explore with.
+ * @returns An object with the taxiToStore, brandName and busHome policies,
+ * which can be passed to runTrip as its perceptrons.
+ */
+function createQLearningPolicies(saved, settings) {
+    const perceptrons = createPerceptrons();
+    const policies = {};
+
+    Object.keys(perceptrons).forEach((key) => {
+        policies[key] = new QLearningPolicy({
+            name: perceptrons[key].name,
+            inputNames: perceptrons[key].inputNames,
+            table: saved && saved[key] ? saved[key].table : {},
+            exploration: settings && settings.exploration !== undefined ? settings.exploration : 0,
+            randomSource: settings && settings.randomSource ? settings.randomSource : null
+        });
+    });
+
+    return policies;
+}
+
+/**
+ * Updates the Q tables from one finished trip. See AGENT'S Q-LEARNING above.
+ *
+ * DEV NOTE: The decisions are updated from the last to the first, so the
+ * reward at the end reaches the decisions at the start of the trip in the
+ * same pass instead of one trip later.
+ *
+ * @param {*} trip The finished trip, decided by the policies.
+ * @param {*} policies The policies (see createQLearningPolicies). Their tables are changed in place.
+ * @param {*} reward The trip's reward.
+ * @param {*} settings Optional learningRate and discount (see qLearningDefaults).
+ */
+function learnFromReward(trip, policies, reward, settings) {
+    const learningRate = settings && settings.learningRate !== undefined ? settings.learningRate : qLearningDefaults.learningRate;
+    const discount = settings && settings.discount !== undefined ? settings.discount : qLearningDefaults.discount;
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    const byName = {};
+    Object.keys(policies).forEach((key) => { byName[policies[key].name] = policies[key]; });
+
+    const decisions = trip.agent.trace.filter((event) => event.type === "decision" && event.state !== undefined && byName[event.perceptron]);
+
+    for (let i = decisions.length - 1; i >= 0; i--) {
+        const decision = decisions[i];
+        const policy = byName[decision.perceptron];
+        const next = decisions[i + 1];
+        const target = next ? discount * Math.max(...byName[next.perceptron].qValues(next.state)) : reward;
+        const qValues = policy.qValues(decision.state).slice();
+
+        qValues[decision.output] = round(qValues[decision.output] + learningRate * (target - qValues[decision.output]));
+        policy.table[decision.state] = qValues;
+    }
+}
+
+/**
+ * Trains the Q-learning policies over many simulated trips.
+ *
+ * @param {*} options The catalog, and optionally the number of trips (default
+ * 5000), the seed (default 1), the objective to reward (default
+ * defaultObjective), the learningRate, discount and exploration (see
+ * qLearningDefaults), saved tables to carry on from, and the autopilot,
+ * road map, road closure setting, departure time and environment model to run the trips with.
+ * @returns The result: the trips, seed, objective and settings it trained
+ * with, the mean reward of the first and last tenth of the trips, and the
+ * trained policies.
+ */
+function trainQLearning(options) {
+    const given = (value, otherwise) => value !== undefined ? value : otherwise;
+    const trips = given(options.trips, 5000);
+    const seed = given(options.seed, 1);
+    const objective = given(options.objective, defaultObjective);
+    const settings = {
+        learningRate: given(options.learningRate, qLearningDefaults.learningRate),
+        discount: given(options.discount, qLearningDefaults.discount),
+        exploration: given(options.exploration, qLearningDefaults.exploration)
+    };
+    const seeds = createRandomSource(seed);
+    const policies = createQLearningPolicies(options.start, { exploration: settings.exploration, randomSource: createRandomSource((seed + 1) >>> 0) });
+    const inventory = createInventory(options.catalog);
+    const rewards = [];
+
+    for (let i = 0; i < trips; i++) {
+        const trip = runTrip({
+            catalog: options.catalog,
+            seed: Math.floor(seeds.next() * 4294967296),
+            autopilot: given(options.autopilot, "nearest"),
+            perceptrons: policies,
+            io: createSilentIO(),
+            roadMap: options.roadMap,
+            closures: options.closures,
+            departure: options.departure,
+            environmentModel: options.environmentModel,
+            inventory: inventory
+        });
+        const reward = objectiveScore(trip, objective);
+
+        learnFromReward(trip, policies, reward, settings);
+        rewards.push(reward);
+    }
+
+    const tenth = Math.max(1, Math.floor(trips / 10));
+    const mean = (values) => Math.round(values.reduce((total, value) => total + value, 0) / values.length * 100) / 100;
+    const trained = {};
+    Object.keys(policies).forEach((key) => { trained[key] = policies[key].toJSON(); });
+
+    return {
+        trips: trips,
+        seed: seed,
+        objective: objective,
+        settings: settings,
+        firstRewards: mean(rewards.slice(0, tenth)),
+        lastRewards: mean(rewards.slice(-tenth)),
+        policies: trained
+    };
+}
+
+/**
+ * Writes trained policies to a Q table file.
+ *
+ * @param {*} tablePath The path of the file to write. An existing file is replaced.
+ * @param {*} result The result returned by trainQLearning.
+ */
+function saveQTable(tablePath, result) {
+    fs.writeFileSync(tablePath, JSON.stringify(result, null, 4) + "\n");
+}
+
+/**
+ * Reads the trained policies from a Q table file.
+ *
+ * @param {*} tablePath The path of the Q table file.
+ * @returns The saved tables, keyed like createQLearningPolicies.
+ */
+function loadQTable(tablePath) {
+    if (!fs.existsSync(tablePath)) {
+        throw new Error("There is no Q table at " + tablePath + ". Train one first with --train-q.");
+    }
+
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(tablePath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the Q table " + tablePath + ": " + error.message);
+    }
+
+    const defaults = createPerceptrons();
+    Object.keys(defaults).forEach((key) => {
+        const saved = file && file.policies && file.policies[key];
+
+        if (!saved || !saved.table || typeof saved.table !== "object" ||
+            !Object.values(saved.table).every((qValues) => Array.isArray(qValues) && qValues.length === 2 && qValues.every(Number.isFinite))) {
+            throw new Error("The Q table " + tablePath + " has no usable table for \"" + key + "\". Train it again with --train-q.");
+        }
+        if ((saved.inputNames || []).join(", ") !== defaults[key].inputNames.join(", ")) {
+            throw new Error("The Q table " + tablePath + " has a table for \"" + key + "\" that does not match its inputs (" +
+                defaults[key].inputNames.join(", ") + "). Train it again with --train-q.");
+        }
+    });
+
+    return file.policies;
+}
+
+module.exports = {
+    qLearningDefaults,
+    QLearningPolicy,
+    createQLearningPolicies,
+    learnFromReward,
+    trainQLearning,
+    saveQTable,
+    loadQTable
+};
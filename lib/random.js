@@ -0,0 +1,57 @@
+/*
+ * Seeded randomness. Every random factor in a trip (weather, traffic, bus
+ * crowding and local goods) draws from one of these sources, so a trip can
+ * be repeated exactly from its seed.
+*/
+
+/**
+ * Creates a seeded source of random numbers. The same seed always produces
+ * the same sequence of numbers, which makes a whole trip reproducible.
+ *
+ * DEV NOTE: This is the mulberry32 generator. It keeps a single 32-bit
+ * integer of state and scrambles it on every call, which is plenty for
+ * deciding the weather, traffic, bus crowding and local goods.
+ *
+ * @param {*} seed A whole number between 0 and 4294967295.
+ * @returns An object with the seed and a next() function that returns a number in [0, 1).
+ */
+function createRandomSource(seed) {
+    let state = seed >>> 0;
+
+    return {
+        seed: seed,
+        next: function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    };
+}
+
+/**
+ * Returns either 0 or 1 randomly; can think of it as returning either "false" or "true" randomly.
+ * 
+ * @param {*} randomSource The seeded random source to draw from (see createRandomSource).
+ * @returns 0 or 1
+ */
+function getZeroOrOne(randomSource) {
+    return Math.floor(randomSource.next() * 2);
+}
+
+/**
+ * Returns 1 with the given chance and 0 otherwise.
+ *
+ * DEV NOTE: A number from the top end of [0, 1) counts as a 1, so a chance of
+ * 0.5 gives the same answer as getZeroOrOne for the same random number.
+ *
+ * @param {*} randomSource The seeded random source to draw from (see createRandomSource).
+ * @param {*} chance The probability of a 1, from 0 to 1.
+ * @returns 0 or 1
+ */
+function getZeroOrOneWithChance(randomSource, chance) {
+    return randomSource.next() >= 1 - chance ? 1 : 0;
+}
+
+module.exports = { createRandomSource, getZeroOrOne, getZeroOrOneWithChance };
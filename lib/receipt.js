@@ -0,0 +1,120 @@
+/*
+ * The grocery receipt and the trip's ledger. The ledger lists every
+ * transaction of the trip in order (the fare to the store, the groceries, any
+ * optional items and the fare home), and can be printed or exported as JSON
+ * or CSV. Every amount is in cents (see money.js).
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const { centsToDecimal, salesTaxOn, cashPayment } = require("./money");
+
+/**
+ * Makes the itemized receipt for the groceries in the cart.
+ *
+ * DEV NOTE: The tax is worked out on each line and rounded half up to the
+ * nearest cent (see salesTaxOn), and the receipt's tax is the sum of the lines,
+ * so the lines always add up to the total printed at the bottom.
+ *
+ * @param {*} cart The items in the shopping cart, e.g. [{item: "eggs", type: "local", price: 600}].
+ * @param {*} salesTaxRate The sales tax rate, e.g. 0.05 for 5%.
+ * @param {*} money The money the agent has before paying, in cents.
+ * @returns The receipt: its lines (item, variant, unit price, tax and total),
+ * the subtotal, tax and total, and the payment handed over and the change.
+ */
+function createReceipt(cart, salesTaxRate, money) {
+    const lines = cart.map((cartItem) => {
+        const tax = salesTaxOn(cartItem.price, salesTaxRate);
+        return { item: cartItem.item, variant: cartItem.type, unitPrice: cartItem.price, tax: tax, total: cartItem.price + tax };
+    });
+    const subtotal = lines.reduce((sum, line) => sum + line.unitPrice, 0);
+    const tax = lines.reduce((sum, line) => sum + line.tax, 0);
+
+    return Object.assign({ lines: lines, subtotal: subtotal, tax: tax, total: subtotal + tax }, cashPayment(subtotal + tax, money));
+}
+
+/**
+ * Lays out a receipt the way the till prints it.
+ *
+ * @param {*} receipt A receipt made by createReceipt.
+ * @returns The receipt as a string of lines.
+ */
+function formatReceipt(receipt) {
+    const amount = (cents) => ("$" + centsToDecimal(cents)).padStart(10);
+    const lines = ["  " + "Item".padEnd(16) + "Variant".padEnd(12) + "Price".padStart(10) + "Tax".padStart(10) + "Total".padStart(10)];
+
+    receipt.lines.forEach((line) => {
+        lines.push("  " + line.item.padEnd(16) + line.variant.padEnd(12) + amount(line.unitPrice) + amount(line.tax) + amount(line.total));
+    });
+    [["Subtotal", receipt.subtotal], ["Sales tax", receipt.tax], ["Total", receipt.total], ["Paid", receipt.payment], ["Change", receipt.change]]
+        .forEach((row) => lines.push("  " + row[0].padEnd(48) + amount(row[1])));
+
+    return lines.join("\n");
+}
+
+/**
+ * Lays out the whole ledger: one line per transaction, with the grocery
+ * receipt under the groceries.
+ *
+ * @param {*} ledger The trip's ledger (trip.ledger).
+ * @returns The ledger as a string of lines.
+ */
+function formatLedger(ledger) {
+    const amount = (cents) => ("$" + centsToDecimal(cents)).padStart(10);
+    const lines = [" #  " + "Phase".padEnd(10) + "Transaction".padEnd(24) + "Amount".padStart(10) + "Money left".padStart(12)];
+
+    ledger.forEach((transaction, i) => {
+        lines.push(String(i + 1).padStart(2) + "  " + transaction.phase.padEnd(10) + transaction.description.padEnd(24) +
+            amount(transaction.amount) + amount(transaction.moneyAfter).padStart(12));
+        if (transaction.receipt) {
+            lines.push(formatReceipt(transaction.receipt).split("\n").map((line) => "    " + line).join("\n"));
+        }
+    });
+
+    return lines.join("\n");
+}
+
+/**
+ * Turns the ledger into CSV. Each transaction is one row, except the
+ * groceries, which have a row for each line of the receipt before their own.
+ * Amounts are in dollars with two decimal places.
+ *
+ * @param {*} ledger The trip's ledger (trip.ledger).
+ * @returns The CSV text, with a header row.
+ */
+function ledgerToCSV(ledger) {
+    const cell = (value) => /[",\n]/.test(String(value)) ? "\"" + String(value).replace(/"/g, "\"\"") + "\"" : String(value);
+    const money = (cents) => cents === undefined ? "" : centsToDecimal(cents);
+    const rows = [["transaction", "phase", "item", "variant", "unit price", "tax", "total", "payment", "change", "money left"]];
+
+    ledger.forEach((transaction, i) => {
+        if (transaction.receipt) {
+            transaction.receipt.lines.forEach((line) => {
+                rows.push([i + 1, transaction.phase, line.item, line.variant, money(line.unitPrice), money(line.tax), money(line.total), "", "", ""]);
+            });
+        }
+        rows.push([i + 1, transaction.phase, transaction.description, "", transaction.receipt ? money(transaction.receipt.subtotal) : money(transaction.amount),
+            transaction.receipt ? money(transaction.receipt.tax) : money(0), money(transaction.amount),
+            money(transaction.payment), money(transaction.change), money(transaction.moneyAfter)]);
+    });
+
+    return rows.map((row) => row.map(cell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Writes the ledger to a file. The format follows the file's extension:
+ * .json for JSON, .csv for CSV and anything else for the printed layout.
+ *
+ * @param {*} ledgerPath The path of the file to write. An existing file is replaced.
+ * @param {*} ledger The trip's ledger (trip.ledger).
+ */
+function writeLedger(ledgerPath, ledger) {
+    const extension = path.extname(ledgerPath).toLowerCase();
+    const text = extension === ".json" ? JSON.stringify({ transactions: ledger }, null, 4) + "\n" :
+        extension === ".csv" ? ledgerToCSV(ledger) : formatLedger(ledger) + "\n";
+
+    fs.writeFileSync(ledgerPath, text);
+}
+
+module.exports = { createReceipt, formatReceipt, formatLedger, ledgerToCSV, writeLedger };
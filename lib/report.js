@@ -0,0 +1,298 @@
+/*
+ * Rendering a trip, or the summary of a batch of trips, as a single static
+ * HTML page. The charts are drawn as inline SVG and the styles are inline too,
+ * so the page opens offline without fetching anything.
+*/
+
+const { tripRecord } = require("./trace");
+const { centsToDecimal, formatMoney } = require("./money");
+const { defaultDeparture, formatTime } = require("./clock");
+
+// The colors of the charts, shared by every report.
+const colors = { line: "#2b6cb0", bar: "#4a90c2", threshold: "#c53030", fired: "#2f855a", muted: "#a0aec0", text: "#2d3748" };
+
+const styles = [
+    "body { font-family: sans-serif; color: " + colors.text + "; max-width: 960px; margin: 2em auto; padding: 0 1em; }",
+    "h1 { font-size: 1.6em; } h2 { font-size: 1.2em; margin-top: 2em; border-bottom: 1px solid #e2e8f0; }",
+    "table { border-collapse: collapse; } td, th { padding: 0.3em 0.8em; text-align: left; border-bottom: 1px solid #edf2f7; }",
+    "td.amount, th.amount { text-align: right; } svg { display: block; margin: 1em 0; } svg text { font-size: 12px; fill: " + colors.text + "; }",
+    ".note { color: #718096; font-size: 0.9em; }"
+].join("\n");
+
+/**
+ * Escapes text so it can be put inside HTML or SVG.
+ *
+ * @param {*} text The text to escape.
+ * @returns The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Wraps the sections of a report in a complete HTML page.
+ *
+ * @param {*} title The title of the page.
+ * @param {*} sections An array of HTML strings, one per section.
+ * @returns The page as a string.
+ */
+function htmlPage(title, sections) {
+    return "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n<title>" + escapeHtml(title) + "</title>\n" +
+        "<style>\n" + styles + "\n</style>\n</head>\n<body>\n<h1>" + escapeHtml(title) + "</h1>\n" + sections.join("\n") + "\n</body>\n</html>\n";
+}
+
+/**
+ * Draws the environments the agent passed through, in order, with the
+ * conditions it perceived on each leg of the trip.
+ *
+ * @param {*} trip The finished trip.
+ * @returns The timeline as an SVG string.
+ */
+function environmentTimeline(trip) {
+    const environments = trip.agent.environmentSequence;
+    const streets = trip.agent.trace.filter((event) => event.type === "perception" && event.environment === "street");
+    const width = 150;
+    const parts = [];
+    let street = 0;
+
+    environments.forEach((environment, i) => {
+        const x = 10 + i * width;
+        parts.push("<rect x=\"" + x + "\" y=\"10\" width=\"" + (width - 30) + "\" height=\"36\" rx=\"6\" fill=\"" + (environment === "street" ? "#ebf4ff" : "#f0fff4") + "\" stroke=\"" + colors.muted + "\"/>");
+        parts.push("<text x=\"" + (x + (width - 30) / 2) + "\" y=\"33\" text-anchor=\"middle\">" + escapeHtml(environment) + "</text>");
+        if (i < environments.length - 1) {
+            parts.push("<line x1=\"" + (x + width - 28) + "\" y1=\"28\" x2=\"" + (x + width - 4) + "\" y2=\"28\" stroke=\"" + colors.muted + "\"/>");
+        }
+
+        if (environment === "street" && streets[street]) {
+            const inputs = streets[street].inputs;
+            ["Weather: " + (inputs.weather ? "awful" : "nice"), "Traffic: " + (inputs.traffic ? "heavy" : "normal"),
+                "Bus: " + (inputs.busCrowding ? "crowded" : "space")].forEach((line, row) => {
+                parts.push("<text x=\"" + x + "\" y=\"" + (66 + row * 16) + "\">" + line + "</text>");
+            });
+            street++;
+        }
+    });
+
+    return "<svg width=\"" + (environments.length * width) + "\" height=\"115\" role=\"img\">" + parts.join("") + "</svg>";
+}
+
+/**
+ * Draws the agent's money after every payment as a line chart.
+ *
+ * @param {*} timeline The money timeline from tripRecord.
+ * @returns The chart as an SVG string.
+ */
+function moneyChart(timeline) {
+    const width = 640;
+    const height = 220;
+    const left = 50;
+    const top = 20;
+    const plotWidth = width - left - 20;
+    const plotHeight = height - top - 60;
+    const highest = Math.max(...timeline.map((point) => point.money), 1);
+    const x = (i) => left + (timeline.length === 1 ? 0 : i / (timeline.length - 1) * plotWidth);
+    const y = (money) => top + plotHeight - money / highest * plotHeight;
+    const parts = [];
+
+    parts.push("<line x1=\"" + left + "\" y1=\"" + (top + plotHeight) + "\" x2=\"" + (left + plotWidth) + "\" y2=\"" + (top + plotHeight) + "\" stroke=\"" + colors.muted + "\"/>");
+    parts.push("<text x=\"" + (left - 6) + "\" y=\"" + (top + 4) + "\" text-anchor=\"end\">" + formatMoney(highest) + "</text>");
+    parts.push("<text x=\"" + (left - 6) + "\" y=\"" + (top + plotHeight + 4) + "\" text-anchor=\"end\">$0</text>");
+    parts.push("<polyline fill=\"none\" stroke=\"" + colors.line + "\" stroke-width=\"2\" points=\"" +
+        timeline.map((point, i) => x(i).toFixed(1) + "," + y(point.money).toFixed(1)).join(" ") + "\"/>");
+
+    timeline.forEach((point, i) => {
+        parts.push("<circle cx=\"" + x(i).toFixed(1) + "\" cy=\"" + y(point.money).toFixed(1) + "\" r=\"4\" fill=\"" + colors.line + "\"><title>" +
+            escapeHtml(point.event + ": " + formatMoney(point.money)) + "</title></circle>");
+        parts.push("<text x=\"" + x(i).toFixed(1) + "\" y=\"" + (y(point.money) - 8).toFixed(1) + "\" text-anchor=\"middle\">" + formatMoney(point.money) + "</text>");
+        parts.push("<text x=\"" + x(i).toFixed(1) + "\" y=\"" + (top + plotHeight + 20 + (i % 2) * 16) + "\" text-anchor=\"middle\">" + escapeHtml(point.event) + "</text>");
+    });
+
+    return "<svg width=\"" + width + "\" height=\"" + height + "\" role=\"img\">" + parts.join("") + "</svg>";
+}
+
+/**
+ * Draws each perceptron decision as a bar for its sum, with a mark at the
+ * threshold it had to reach. Bars that reached it are drawn in green.
+ *
+ * @param {*} decisions The decision events from the trip trace.
+ * @returns The chart as an SVG string.
+ */
+function decisionChart(decisions) {
+    const perceptronDecisions = decisions.filter((decision) => decision.sum !== undefined);
+    const width = 640;
+    const left = 230;
+    const rowHeight = 30;
+    const plotWidth = width - left - 60;
+    const values = perceptronDecisions.map((decision) => decision.sum).concat(perceptronDecisions.map((decision) => decision.threshold), 0);
+    const lowest = Math.min(...values);
+    const highest = Math.max(...values);
+    const x = (value) => left + (highest === lowest ? 0 : (value - lowest) / (highest - lowest) * plotWidth);
+    const parts = [];
+
+    perceptronDecisions.forEach((decision, i) => {
+        const y = 10 + i * rowHeight;
+        const label = decision.perceptron + (decision.item ? " (" + decision.item + ")" : "") + ": " + decision.action;
+        const from = Math.min(x(0), x(decision.sum));
+
+        parts.push("<text x=\"" + (left - 8) + "\" y=\"" + (y + 15) + "\" text-anchor=\"end\">" + escapeHtml(label) + "</text>");
+        parts.push("<rect x=\"" + from.toFixed(1) + "\" y=\"" + (y + 4) + "\" width=\"" + Math.abs(x(decision.sum) - x(0)).toFixed(1) + "\" height=\"16\" fill=\"" +
+            (decision.sum >= decision.threshold ? colors.fired : colors.bar) + "\"><title>sum " + decision.sum + ", threshold " + decision.threshold + "</title></rect>");
+        parts.push("<line x1=\"" + x(decision.threshold).toFixed(1) + "\" y1=\"" + y + "\" x2=\"" + x(decision.threshold).toFixed(1) + "\" y2=\"" + (y + 24) +
+            "\" stroke=\"" + colors.threshold + "\" stroke-width=\"2\"/>");
+        parts.push("<text x=\"" + (Math.max(x(decision.sum), x(decision.threshold)) + 6).toFixed(1) + "\" y=\"" + (y + 15) + "\">" +
+            Number(decision.sum.toFixed(2)) + " / " + decision.threshold + "</text>");
+    });
+
+    return "<svg width=\"" + width + "\" height=\"" + (20 + perceptronDecisions.length * rowHeight) + "\" role=\"img\">" + parts.join("") + "</svg>";
+}
+
+/**
+ * Draws a horizontal bar for each labeled percentage.
+ *
+ * @param {*} bars An array of bars, e.g. [{label: "Taxi to the store", percent: 12.5}].
+ * @returns The chart as an SVG string.
+ */
+function percentChart(bars) {
+    const left = 200;
+    const plotWidth = 360;
+    const parts = [];
+
+    bars.forEach((bar, i) => {
+        const y = 10 + i * 26;
+        parts.push("<text x=\"" + (left - 8) + "\" y=\"" + (y + 13) + "\" text-anchor=\"end\">" + escapeHtml(bar.label) + "</text>");
+        parts.push("<rect x=\"" + left + "\" y=\"" + y + "\" width=\"" + (bar.percent / 100 * plotWidth).toFixed(1) + "\" height=\"18\" fill=\"" + colors.bar + "\"/>");
+        parts.push("<text x=\"" + (left + bar.percent / 100 * plotWidth + 6).toFixed(1) + "\" y=\"" + (y + 13) + "\">" + bar.percent.toFixed(1) + "%</text>");
+    });
+
+    return "<svg width=\"" + (left + plotWidth + 60) + "\" height=\"" + (20 + bars.length * 26) + "\" role=\"img\">" + parts.join("") + "</svg>";
+}
+
+/**
+ * Draws the spread of the money left at the end of a batch: the whiskers run
+ * from the minimum to the maximum, the box from P25 to P75, and the mark in
+ * the box is the median.
+ *
+ * @param {*} money The finalMoney part of a batch summary.
+ * @returns The chart as an SVG string.
+ */
+function moneySpreadChart(money) {
+    const left = 20;
+    const plotWidth = 600;
+    const x = (value) => left + (money.max === money.min ? plotWidth / 2 : (value - money.min) / (money.max - money.min) * plotWidth);
+    const parts = [];
+
+    parts.push("<line x1=\"" + x(money.min).toFixed(1) + "\" y1=\"40\" x2=\"" + x(money.max).toFixed(1) + "\" y2=\"40\" stroke=\"" + colors.muted + "\"/>");
+    parts.push("<rect x=\"" + x(money.p25).toFixed(1) + "\" y=\"25\" width=\"" + (x(money.p75) - x(money.p25)).toFixed(1) + "\" height=\"30\" fill=\"#ebf4ff\" stroke=\"" + colors.line + "\"/>");
+    parts.push("<line x1=\"" + x(money.median).toFixed(1) + "\" y1=\"25\" x2=\"" + x(money.median).toFixed(1) + "\" y2=\"55\" stroke=\"" + colors.line + "\" stroke-width=\"3\"/>");
+    [["Min", money.min], ["P10", money.p10], ["Median", money.median], ["P90", money.p90], ["Max", money.max]].forEach((mark, i) => {
+        parts.push("<line x1=\"" + x(mark[1]).toFixed(1) + "\" y1=\"58\" x2=\"" + x(mark[1]).toFixed(1) + "\" y2=\"64\" stroke=\"" + colors.muted + "\"/>");
+        parts.push("<text x=\"" + x(mark[1]).toFixed(1) + "\" y=\"" + (80 + (i % 2) * 16) + "\" text-anchor=\"middle\">" + mark[0] + " $" + centsToDecimal(mark[1]) + "</text>");
+    });
+
+    return "<svg width=\"" + (left * 2 + plotWidth) + "\" height=\"110\" role=\"img\">" + parts.join("") + "</svg>";
+}
+
+/**
+ * Renders one finished trip as an HTML page: a timeline of the environments,
+ * the money over the trip, every perceptron's sum against its threshold, and
+ * the receipt for the shopping cart.
+ *
+ * @param {*} trip The finished trip returned by runTrip.
+ * @returns The page as a string.
+ */
+function renderTripReport(trip) {
+    const record = tripRecord(trip);
+    const dollars = (cents) => "$" + centsToDecimal(cents);
+    const row = (cells) => "<tr>" + cells.map((cell) => cell.amount !== undefined ?
+        "<td class=\"amount\">" + dollars(cell.amount) + "</td>" : "<td>" + escapeHtml(cell) + "</td>").join("") + "</tr>";
+
+    const receipt = ["<table>", "<tr><th>Item</th><th>Variant</th><th class=\"amount\">Price</th><th class=\"amount\">Tax</th><th class=\"amount\">Total</th></tr>"];
+    record.receipt.lines.forEach((line) => receipt.push(row([line.item, line.variant, { amount: line.unitPrice }, { amount: line.tax }, { amount: line.total }])));
+    receipt.push(row(["Subtotal", "", "", "", { amount: record.receipt.subtotal }]));
+    receipt.push(row(["Sales tax", "", "", "", { amount: record.receipt.tax }]));
+    receipt.push(row(["Total", "", "", "", { amount: record.receipt.total }]));
+    receipt.push(row(["Paid", "", "", "", { amount: record.receipt.payment }]));
+    receipt.push(row(["Change", "", "", "", { amount: record.receipt.change }]));
+    receipt.push("</table>");
+
+    const ledger = ["<table>", "<tr><th>Phase</th><th>Transaction</th><th class=\"amount\">Amount</th><th class=\"amount\">Money left</th></tr>"];
+    record.ledger.forEach((transaction) => ledger.push(row([transaction.phase, transaction.description,
+        { amount: transaction.amount }, { amount: transaction.moneyAfter }])));
+    ledger.push(row(["", "Spent on the trip", { amount: record.totalSpent }, ""]));
+    ledger.push("</table>");
+
+    const notes = [];
+    record.cart.substitutions.forEach((substitution) => notes.push("Bought " + substitution.bought + " " + substitution.item +
+        " because the " + substitution.wanted + " shelf was empty."));
+    record.cart.missedItems.forEach((item) => notes.push("Could not buy " + item + ": both shelves were empty."));
+    record.cart.unaffordableItems.forEach((item) => notes.push("Could not buy " + item + ": it would have left too little money for the bus home."));
+    record.cart.abandonedItems.forEach((item) => notes.push("Left without " + item + ": checked out before getting to it."));
+
+    // The options that change what happens on the trip, so the command replays this one.
+    const tripStart = trip.agent.trace[0];
+    let replay = "node StoreTrip.js --seed " + trip.random.seed;
+    if (tripStart.autopilot) {
+        replay += " --autopilot " + tripStart.autopilot;
+    }
+    if (record.departure !== defaultDeparture) {
+        replay += " --depart " + String(Math.floor(record.departure / 60)).padStart(2, "0") + ":" + String(record.departure % 60).padStart(2, "0");
+    }
+
+    return htmlPage("Trip to the store (seed " + trip.random.seed + ")", [
+        "<p>Started with " + dollars(trip.agent.trace[0].money) + " and came home with " + dollars(record.finalMoney) +
+            ". Run <code>" + escapeHtml(replay) + "</code> to replay it with narration.</p>",
+        "<p>Set out at " + formatTime(record.departure) + record.arrivals.map((arrival) => ", got " +
+            (arrival.place === "home" ? "home" : "to the " + escapeHtml(arrival.place)) + " at " + formatTime(arrival.time)).join("") + ".</p>",
+        "<h2>Environments</h2>",
+        environmentTimeline(trip),
+        "<h2>Money over the trip</h2>",
+        moneyChart(record.moneyTimeline),
+        "<h2>Perceptron sums and thresholds</h2>",
+        "<p class=\"note\">Each bar is a perceptron's weighted sum. The red mark is the threshold it had to reach to fire.</p>",
+        decisionChart(record.decisions),
+        "<h2>Receipt</h2>",
+        receipt.join("\n"),
+        "<h2>Every transaction</h2>",
+        ledger.join("\n"),
+        notes.length > 0 ? "<ul>" + notes.map((note) => "<li>" + escapeHtml(note) + "</li>").join("") + "</ul>" : ""
+    ]);
+}
+
+/**
+ * Renders the summary of a batch of trips as an HTML page: the taxi and bus
+ * rates, the item choices and the spread of the money left at the end.
+ *
+ * @param {*} summary The summary returned by runBatch.
+ * @returns The page as a string.
+ */
+function renderBatchReport(summary) {
+    const transport = [
+        { label: "Taxi to the store", percent: summary.transport.toStore.taxiPercent },
+        { label: "Bus to the store", percent: summary.transport.toStore.busPercent },
+        { label: "Taxi home", percent: summary.transport.toHome.taxiPercent },
+        { label: "Bus home", percent: summary.transport.toHome.busPercent }
+    ];
+
+    const items = [];
+    Object.keys(summary.items).forEach((name) => {
+        items.push({ label: "Local " + name, percent: summary.items[name].localPercent });
+        items.push({ label: "Brand name " + name, percent: summary.items[name].brandNamePercent });
+        items.push({ label: name + " missed", percent: summary.items[name].missedPercent });
+    });
+    Object.keys(summary.optionalItems).forEach((name) => {
+        items.push({ label: name, percent: summary.optionalItems[name].boughtPercent });
+    });
+
+    return htmlPage("Batch of " + summary.trips + " trips (batch seed " + summary.seed + ")", [
+        "<h2>Getting there and back</h2>",
+        percentChart(transport),
+        "<h2>What the agent bought</h2>",
+        percentChart(items),
+        "<h2>Money left at the end</h2>",
+        moneySpreadChart(summary.finalMoney),
+        "<p>Least money left: seed " + summary.finalMoney.minSeed + ". Most money left: seed " + summary.finalMoney.maxSeed +
+            ". Run <code>node StoreTrip.js --seed " + summary.finalMoney.minSeed + " --report trip.html</code> to see one of them.</p>"
+    ]);
+}
+
+module.exports = { escapeHtml, renderTripReport, renderBatchReport };
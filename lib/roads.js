@@ -0,0 +1,406 @@
+/*
+ * The roads between home and the store. The road map lists the places and
+ * the roads joining them with their lengths in miles, the taxi and bus fares,
+ * how fast the taxi and bus go and when the buses leave, and which roads are
+ * closed on each leg of the trip. See road-map.json for the default road map.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const { toCents } = require("./money");
+const { parseTime, nextBus } = require("./clock");
+
+// The road map used when no other is given.
+const defaultRoadMapPath = path.join(__dirname, "..", "road-map.json");
+
+// How fast the taxi and bus go and when the buses leave, for a road map that does not say.
+const defaultTravel = {
+    taxi: { milesPerHour: 24, trafficMilesPerHour: 12, pickupMinutes: 4 },
+    bus: {
+        milesPerHour: 15,
+        trafficMilesPerHour: 10,
+        crowdedMinutes: 5,
+        timetable: { firstDeparture: "06:00", lastDeparture: "23:00", everyMinutes: 15 }
+    }
+};
+
+// The legs of the trip, as used in the closures of the road map.
+const legs = {
+    toStore: { from: "home", to: "store" },
+    toHome: { from: "store", to: "home" }
+};
+
+/**
+ * Checks that a road map has everything the trip needs and returns a list of
+ * the problems found. An empty list means the road map is valid.
+ *
+ * DEV NOTE: The places must include "home" and "store", and the roads closed
+ * on each leg must still leave a way between them, because the agent has to
+ * get to the store and back.
+ *
+ * @param {*} roadMap The parsed contents of a road map file.
+ * @returns An array of error messages.
+ */
+function validateRoadMap(roadMap) {
+    const errors = [];
+    const isPrice = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+    if (typeof roadMap !== "object" || roadMap === null || Array.isArray(roadMap)) {
+        return ["the road map must be a JSON object."];
+    }
+
+    const fares = roadMap.fares || {};
+    if (!fares.taxi || !isPrice(fares.taxi.baseFare) || !isPrice(fares.taxi.perMile)) {
+        errors.push("fares.taxi needs a baseFare and a perMile price.");
+    } else if (fares.taxi.baseFare === 0) {
+        errors.push("fares.taxi.baseFare must be more than 0.");
+    }
+    if (!fares.bus || !isPrice(fares.bus.flatFare)) {
+        errors.push("fares.bus needs a flatFare price.");
+    }
+
+    if (!Array.isArray(roadMap.places) || !roadMap.places.every((place) => typeof place === "string" && place !== "")) {
+        errors.push("places must be a list of place names.");
+        return errors;
+    }
+    for (const place of ["home", "store"]) {
+        if (!roadMap.places.includes(place)) {
+            errors.push("places must include \"" + place + "\".");
+        }
+    }
+
+    const roadNames = [];
+
+    if (!Array.isArray(roadMap.roads) || roadMap.roads.length === 0) {
+        errors.push("roads must be a list with at least one road.");
+        return errors;
+    }
+    roadMap.roads.forEach((road, index) => {
+        const label = typeof road.name === "string" && road.name !== "" ? "road \"" + road.name + "\"" : "road " + (index + 1);
+
+        if (typeof road.name !== "string" || road.name === "") {
+            errors.push(label + " is missing a name.");
+        } else if (roadNames.includes(road.name)) {
+            errors.push(label + " is listed twice.");
+        } else {
+            roadNames.push(road.name);
+        }
+
+        for (const end of ["from", "to"]) {
+            if (!roadMap.places.includes(road[end])) {
+                errors.push(label + " goes " + end + " unknown place \"" + road[end] + "\".");
+            }
+        }
+        if (typeof road.miles !== "number" || !(road.miles > 0) || !Number.isFinite(road.miles)) {
+            errors.push(label + " needs a length in miles greater than 0.");
+        }
+    });
+
+    errors.push(...travelErrors(roadMap.travel));
+
+    if (roadMap.randomClosureChance !== undefined &&
+        !(typeof roadMap.randomClosureChance === "number" && roadMap.randomClosureChance >= 0 && roadMap.randomClosureChance <= 1)) {
+        errors.push("randomClosureChance must be a number from 0 to 1, e.g. 0.2 for 20%.");
+    }
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const closures = roadMap.closures || {};
+    Object.keys(legs).forEach((leg) => {
+        if (closures[leg] === undefined) return;
+
+        if (!Array.isArray(closures[leg])) {
+            errors.push("closures." + leg + " must be a list of road names.");
+            return;
+        }
+        errors.push(...closureErrors(roadMap, closures[leg]).map((error) => "closures." + leg + ": " + error));
+    });
+
+    return errors;
+}
+
+/**
+ * Checks the travel section of a road map: the taxi's and bus's speeds in
+ * miles per hour (with and without heavy traffic), the minutes the taxi takes
+ * to arrive and a crowded bus loses, and the bus timetable.
+ *
+ * @param {*} travel The travel section, or undefined to use defaultTravel.
+ * @returns An array of error messages.
+ */
+function travelErrors(travel) {
+    if (travel === undefined) {
+        return [];
+    }
+    if (typeof travel !== "object" || travel === null || !travel.taxi || !travel.bus) {
+        return ["travel must have a taxi and a bus section."];
+    }
+
+    const errors = [];
+    const isSpeed = (value) => typeof value === "number" && Number.isFinite(value) && value > 0;
+    const isMinutes = (value) => Number.isInteger(value) && value >= 0;
+
+    ["taxi", "bus"].forEach((vehicle) => {
+        if (!isSpeed(travel[vehicle].milesPerHour) || !isSpeed(travel[vehicle].trafficMilesPerHour)) {
+            errors.push("travel." + vehicle + " needs a milesPerHour and a trafficMilesPerHour greater than 0.");
+        }
+    });
+    if (!isMinutes(travel.taxi.pickupMinutes)) {
+        errors.push("travel.taxi.pickupMinutes must be a whole number of minutes.");
+    }
+    if (!isMinutes(travel.bus.crowdedMinutes)) {
+        errors.push("travel.bus.crowdedMinutes must be a whole number of minutes.");
+    }
+
+    const timetable = travel.bus.timetable || {};
+    const first = parseTime(timetable.firstDeparture);
+    const last = parseTime(timetable.lastDeparture);
+    if (Number.isNaN(first) || Number.isNaN(last) || first > last || last >= 1440) {
+        errors.push("travel.bus.timetable needs a firstDeparture and a lastDeparture such as \"06:00\" and \"23:00\", the first no later than the last.");
+    }
+    if (!(Number.isInteger(timetable.everyMinutes) && timetable.everyMinutes > 0)) {
+        errors.push("travel.bus.timetable.everyMinutes must be a whole number of minutes greater than 0.");
+    }
+
+    return errors;
+}
+
+/**
+ * Checks a list of closed roads against a road map: every road must exist and
+ * home and the store must still be joined by an open road.
+ *
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @param {*} closedRoads The names of the closed roads.
+ * @returns An array of error messages.
+ */
+function closureErrors(roadMap, closedRoads) {
+    const errors = [];
+
+    closedRoads.forEach((name) => {
+        if (!roadMap.roads.some((road) => road.name === name)) {
+            errors.push("there is no road called \"" + name + "\".");
+        }
+    });
+
+    if (errors.length === 0 && !findRoute(roadMap, "home", "store", closedRoads)) {
+        errors.push("with " + closedRoads.join(" and ") + " closed there is no way between home and the store.");
+    }
+
+    return errors;
+}
+
+/**
+ * Reads a road map from a JSON file and validates it.
+ *
+ * @param {*} roadMapPath The path to the road map file.
+ * @returns The road map object, with the closures defaulting to none, the
+ * travel section defaulting to defaultTravel and the timetable's departures
+ * in minutes since midnight (see clock.js).
+ */
+function loadRoadMap(roadMapPath) {
+    let roadMap;
+
+    try {
+        roadMap = JSON.parse(fs.readFileSync(roadMapPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the road map " + roadMapPath + ": " + error.message);
+    }
+
+    const errors = validateRoadMap(roadMap);
+    if (errors.length > 0) {
+        throw new Error("The road map " + roadMapPath + " is invalid:\n - " + errors.join("\n - "));
+    }
+
+    roadMap.closures = Object.assign({ toStore: [], toHome: [] }, roadMap.closures);
+    roadMap.randomClosureChance = roadMap.randomClosureChance !== undefined ? roadMap.randomClosureChance : 0;
+    roadMap.travel = JSON.parse(JSON.stringify(roadMap.travel || defaultTravel));
+    ["firstDeparture", "lastDeparture"].forEach((key) => {
+        roadMap.travel.bus.timetable[key] = parseTime(roadMap.travel.bus.timetable[key]);
+    });
+
+    return roadMap;
+}
+
+/**
+ * Finds the shortest open route between two places. Roads can be driven
+ * both ways.
+ *
+ * DEV NOTE: This is Dijkstra's algorithm. The road map is only a handful of
+ * places, so the next place to visit is found by looking through all of them.
+ * Ties go to the place listed first in the road map.
+ *
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @param {*} from The place to start from, e.g. "home".
+ * @param {*} to The place to get to, e.g. "store".
+ * @param {*} closedRoads The names of the roads that cannot be used.
+ * @returns An object with the places passed through, the names of the roads
+ * taken and the length in miles, or null if every way is closed.
+ */
+function findRoute(roadMap, from, to, closedRoads) {
+    const openRoads = roadMap.roads.filter((road) => !closedRoads.includes(road.name));
+    const miles = {};
+    const previous = {};
+    const done = {};
+
+    roadMap.places.forEach((place) => { miles[place] = Infinity; });
+    miles[from] = 0;
+
+    while (true) {
+        const place = roadMap.places.filter((candidate) => !done[candidate] && miles[candidate] < Infinity)
+            .reduce((nearest, candidate) => nearest === null || miles[candidate] < miles[nearest] ? candidate : nearest, null);
+
+        if (place === null) return null;
+        if (place === to) break;
+        done[place] = true;
+
+        openRoads.forEach((road) => {
+            const next = road.from === place ? road.to : road.to === place ? road.from : null;
+
+            if (next !== null && !done[next] && miles[place] + road.miles < miles[next]) {
+                miles[next] = miles[place] + road.miles;
+                previous[next] = { place: place, road: road.name };
+            }
+        });
+    }
+
+    const places = [to];
+    const roads = [];
+    for (let place = to; place !== from; place = previous[place].place) {
+        roads.unshift(previous[place].road);
+        places.unshift(previous[place].place);
+    }
+
+    return { places: places, roads: roads, miles: Math.round(miles[to] * 100) / 100 };
+}
+
+/**
+ * Works out the taxi and bus fares for a ride.
+ *
+ * DEV NOTE: The taxi charges a base fare plus a price per mile, so a detour
+ * makes it dearer. The bus charges the same flat fare however far it goes.
+ *
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @param {*} miles The length of the ride in miles.
+ * @returns An object with the taxi and bus fares in cents. (The road map gives them in dollars.)
+ */
+function faresFor(roadMap, miles) {
+    return {
+        taxi: toCents(roadMap.fares.taxi.baseFare + roadMap.fares.taxi.perMile * miles),
+        bus: toCents(roadMap.fares.bus.flatFare)
+    };
+}
+
+/**
+ * Works out how long a ride takes by taxi and by bus, from the time the agent
+ * is ready to go until it gets there.
+ *
+ * DEV NOTE: Heavy traffic slows both down to their trafficMilesPerHour. The
+ * taxi takes pickupMinutes to arrive. The agent waits at the stop for the
+ * next bus in the timetable (see nextBus in clock.js), and a crowded bus takes
+ * crowdedMinutes longer because it stops longer to let everyone on and off.
+ * Rides are rounded up to whole minutes.
+ *
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @param {*} miles The length of the ride in miles.
+ * @param {*} time The time the agent is ready to go, in minutes since midnight.
+ * @param {*} conditions The traffic and busCrowding (0 or 1) on the streets.
+ * @returns An object with the taxi and bus, each with the minutes of waiting,
+ * the minutes of riding, the total minutes and the time of arrival. The bus
+ * also has the time it leaves.
+ */
+function travelTimes(roadMap, miles, time, conditions) {
+    const travel = roadMap.travel;
+    const ride = (vehicle) => Math.ceil(miles / (conditions.traffic === 1 ? vehicle.trafficMilesPerHour : vehicle.milesPerHour) * 60);
+    const departure = nextBus(travel.bus.timetable, time);
+    const taxi = { wait: travel.taxi.pickupMinutes, ride: ride(travel.taxi) };
+    const bus = { departure: departure, wait: departure - time, ride: ride(travel.bus) + (conditions.busCrowding === 1 ? travel.bus.crowdedMinutes : 0) };
+
+    [taxi, bus].forEach((vehicle) => {
+        vehicle.total = vehicle.wait + vehicle.ride;
+        vehicle.arrival = time + vehicle.total;
+    });
+
+    return { taxi: taxi, bus: bus };
+}
+
+/**
+ * Decides which roads are closed on a leg of the trip.
+ *
+ * DEV NOTE: With "random", every road has the road map's randomClosureChance
+ * of being closed, drawn from the trip's seeded random source. A road whose
+ * closure would cut home off from the store stays open, so there is always
+ * a way there and back.
+ *
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @param {*} leg "toStore" or "toHome".
+ * @param {*} setting Leave it out for the closures in the road map, or give
+ * "none", "random" or a list of road names closed on both legs.
+ * @param {*} randomSource The seeded random source to draw from (see createRandomSource).
+ * @returns The names of the closed roads.
+ */
+function chooseClosures(roadMap, leg, setting, randomSource) {
+    if (setting === undefined) {
+        return roadMap.closures[leg].slice();
+    }
+    if (setting === "none") {
+        return [];
+    }
+    if (setting !== "random") {
+        return setting.slice();
+    }
+
+    const closedRoads = [];
+    roadMap.roads.forEach((road) => {
+        if (randomSource.next() < roadMap.randomClosureChance &&
+            findRoute(roadMap, legs[leg].from, legs[leg].to, closedRoads.concat(road.name))) {
+            closedRoads.push(road.name);
+        }
+    });
+
+    return closedRoads;
+}
+
+/**
+ * Plans a leg of the trip: which roads are closed, the shortest open route,
+ * and what the taxi and bus would charge for it.
+ *
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @param {*} leg "toStore" or "toHome".
+ * @param {*} setting The closure setting (see chooseClosures).
+ * @param {*} randomSource The seeded random source to draw from (see createRandomSource).
+ * @returns An object with the closed roads, the route (see findRoute) and the fares (see faresFor).
+ */
+function planLeg(roadMap, leg, setting, randomSource) {
+    const closedRoads = chooseClosures(roadMap, leg, setting, randomSource);
+    const route = findRoute(roadMap, legs[leg].from, legs[leg].to, closedRoads);
+
+    return { closedRoads: closedRoads, route: route, fares: faresFor(roadMap, route.miles) };
+}
+
+/**
+ * Returns the fares of the ride the perceptron weights were tuned for: the
+ * shortest way from home to the store with every road open.
+ *
+ * @param {*} roadMap The road map (see loadRoadMap).
+ * @returns An object with the taxi and bus fares in cents (see faresFor).
+ */
+function referenceFares(roadMap) {
+    return faresFor(roadMap, findRoute(roadMap, "home", "store", []).miles);
+}
+
+module.exports = {
+    defaultRoadMapPath,
+    defaultTravel,
+    travelErrors,
+    validateRoadMap,
+    closureErrors,
+    loadRoadMap,
+    findRoute,
+    faresFor,
+    travelTimes,
+    chooseClosures,
+    planLeg,
+    referenceFares
+};
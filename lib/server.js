@@ -0,0 +1,215 @@
+/*
+ * A small HTTP API for running and inspecting trips, built on Node's own
+ * http module. Trips are kept in memory for as long as the server runs.
+ *
+ *   POST /trips               Start a trip. The JSON body may give the seed,
+ *                             autopilot, closures, departure ("HH:MM"), activation,
+ *                             money and answers.
+ *   POST /trips/:id/answers   Answer the store prompt a trip is waiting on,
+ *                             with a JSON body such as {"answer": "l"}.
+ *   GET  /trips/:id           The trip record.
+ *   GET  /trips               A summary of every trip so far.
+*/
+
+const http = require("http");
+
+const { createScriptedIO } = require("./io");
+const { runTrip } = require("./trip");
+const { createPolicies } = require("./policy");
+const { defaultRoadMapPath, closureErrors, loadRoadMap } = require("./roads");
+const { tripRecord } = require("./trace");
+const { parseTime } = require("./clock");
+
+/**
+ * Checks the body of a POST /trips request and returns a list of the problems
+ * found. An empty list means the trip can be started.
+ *
+ * @param {*} body The parsed JSON body.
+ * @param {*} roadMap The road map the server travels on (see loadRoadMap).
+ * @returns An array of error messages.
+ */
+function validateTripRequest(body, roadMap) {
+    const errors = [];
+
+    if (typeof body !== "object" || body === null || Array.isArray(body)) {
+        return ["the request body must be a JSON object."];
+    }
+    if (body.seed !== undefined && !(Number.isInteger(body.seed) && body.seed >= 0 && body.seed <= 0xFFFFFFFF)) {
+        errors.push("seed must be a whole number between 0 and 4294967295.");
+    }
+    if (body.autopilot !== undefined && (typeof body.autopilot !== "string" || body.autopilot === "")) {
+        errors.push("autopilot must be nearest, cheapest, or a route such as \"l,r,s\".");
+    }
+    if (body.closures !== undefined && body.closures !== "none" && body.closures !== "random") {
+        if (!Array.isArray(body.closures) || !body.closures.every((road) => typeof road === "string")) {
+            errors.push("closures must be \"none\", \"random\" or a list of road names.");
+        } else {
+            errors.push(...closureErrors(roadMap, body.closures).map((error) => "closures: " + error));
+        }
+    }
+    if (body.departure !== undefined && !(typeof body.departure === "string" && parseTime(body.departure) < 1440)) {
+        errors.push("departure must be a time from 00:00 to 23:59, such as \"09:30\".");
+    }
+    if (body.activation !== undefined && !["step", "sigmoid", "tanh"].includes(body.activation)) {
+        errors.push("activation must be step, sigmoid or tanh.");
+    }
+    if (body.money !== undefined && !(Number.isInteger(body.money) && body.money >= 0)) {
+        errors.push("money must be a whole number of cents, e.g. 7500 for $75.");
+    }
+    if (body.answers !== undefined && !(Array.isArray(body.answers) && body.answers.every((answer) => typeof answer === "string"))) {
+        errors.push("answers must be a list of strings, e.g. [\"l\", \"r\", \"s\"].");
+    }
+
+    return errors;
+}
+
+/**
+ * Creates the HTTP server for the trip API. Call listen(port) on it to start it.
+ *
+ * DEV NOTE: A trip without an autopilot asks for the route through the store.
+ * Through the API, the trip runs until it needs an answer it has not been
+ * given, and is kept with the status "waiting" and the prompt it is waiting
+ * on. Each answer posted to it runs the trip again from its seed with all of
+ * the answers so far (see createScriptedIO), until it reaches home. Decisions
+ * left to a human policy wait for an answer in the same way.
+ *
+ * @param {*} options The catalog to shop from, and optionally the road map,
+ * environment model, saved weights, the policies chosen for each decision and
+ * the Q table they need (see createPolicies), and the plugins to run every trip
+ * with (see plugins.js; the defaults are used otherwise).
+ * @returns An http.Server with the trips it has run in its trips property.
+ */
+function createTripServer(options) {
+    const trips = [];
+    const roadMap = options.roadMap || loadRoadMap(defaultRoadMapPath);
+
+    const runRecord = (record) => {
+        const io = createScriptedIO(record.answers);
+
+        try {
+            const trip = runTrip({
+                catalog: options.catalog,
+                seed: record.request.seed,
+                autopilot: record.request.autopilot,
+                perceptrons: createPolicies(options.policies, options.weights, { activation: record.request.activation, qTable: options.qTable }),
+                io: io,
+                money: record.request.money,
+                roadMap: roadMap,
+                closures: record.request.closures,
+                departure: record.request.departure,
+                environmentModel: options.environmentModel,
+                plugins: options.plugins
+            });
+
+            Object.assign(record, { status: "finished", prompt: undefined, narration: io.lines }, tripRecord(trip));
+        } catch (error) {
+            if (error.waitingFor === undefined) {
+                throw error;
+            }
+            Object.assign(record, { status: "waiting", prompt: error.waitingFor, narration: io.lines });
+        }
+
+        return record;
+    };
+
+    const send = (response, statusCode, body) => {
+        response.writeHead(statusCode, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(body, null, 4) + "\n");
+    };
+
+    const routes = [
+        {
+            method: "GET",
+            path: /^\/trips$/,
+            handle: (request, response) => send(response, 200, trips.map((record) => ({
+                id: record.id,
+                status: record.status,
+                seed: record.request.seed,
+                createdAt: record.createdAt,
+                finalMoney: record.finalMoney
+            })))
+        },
+        {
+            method: "GET",
+            path: /^\/trips\/(\d+)$/,
+            handle: (request, response, record) => send(response, 200, record)
+        },
+        {
+            method: "POST",
+            path: /^\/trips$/,
+            handle: (request, response, record, body) => {
+                const errors = validateTripRequest(body, roadMap);
+                if (errors.length > 0) {
+                    return send(response, 400, { errors: errors });
+                }
+
+                const tripRequest = {
+                    seed: body.seed !== undefined ? body.seed : Math.floor(Math.random() * 4294967296),
+                    autopilot: body.autopilot,
+                    closures: body.closures,
+                    departure: body.departure !== undefined ? parseTime(body.departure) : undefined,
+                    activation: body.activation,
+                    money: body.money
+                };
+                const newRecord = { id: String(trips.length + 1), createdAt: new Date().toISOString(), request: tripRequest,
+                    answers: (body.answers || []).slice() };
+
+                trips.push(runRecord(newRecord));
+                send(response, 201, newRecord);
+            }
+        },
+        {
+            method: "POST",
+            path: /^\/trips\/(\d+)\/answers$/,
+            handle: (request, response, record, body) => {
+                if (record.status !== "waiting") {
+                    return send(response, 409, { errors: ["trip " + record.id + " is not waiting for an answer."] });
+                }
+                if (!body || typeof body.answer !== "string") {
+                    return send(response, 400, { errors: ["the request body must give the answer, e.g. {\"answer\": \"l\"}."] });
+                }
+
+                record.answers.push(body.answer);
+                send(response, 200, runRecord(record));
+            }
+        }
+    ];
+
+    const server = http.createServer((request, response) => {
+        const url = request.url.split("?")[0];
+        const route = routes.find((candidate) => candidate.method === request.method && candidate.path.test(url));
+
+        if (!route) {
+            const known = routes.some((candidate) => candidate.path.test(url));
+            return send(response, known ? 405 : 404, { errors: [(known ? "Method not allowed: " : "Not found: ") + request.method + " " + url] });
+        }
+
+        const id = url.match(route.path)[1];
+        const record = id !== undefined ? trips.find((candidate) => candidate.id === id) : undefined;
+        if (id !== undefined && !record) {
+            return send(response, 404, { errors: ["There is no trip " + id + "."] });
+        }
+
+        let text = "";
+        request.on("data", (chunk) => { text += chunk; });
+        request.on("end", () => {
+            let body;
+            try {
+                body = text.trim() === "" ? {} : JSON.parse(text);
+            } catch (error) {
+                return send(response, 400, { errors: ["The request body is not valid JSON: " + error.message] });
+            }
+
+            try {
+                route.handle(request, response, record, body);
+            } catch (error) {
+                send(response, 500, { errors: [error.message] });
+            }
+        });
+    });
+
+    server.trips = trips;
+    return server;
+}
+
+module.exports = { validateTripRequest, createTripServer };
@@ -0,0 +1,314 @@
+/*
+ * Recording and replaying a whole trip. A session file holds everything a
+ * trip depends on: its settings, every random number it drew and every line
+ * the user typed. Replaying the file runs the trip again without asking
+ * anything and reports where its decisions or money part ways with the
+ * recording, so a session that showed a bug can be kept as a regression test.
+*/
+
+const fs = require("fs");
+
+const { createRandomSource } = require("./random");
+const { runTrip } = require("./trip");
+const { policyNames, createPolicies, validatePolicyChoices } = require("./policy");
+const { formatMoney } = require("./money");
+
+// The version of the session file format. Files of any other version are refused.
+const sessionVersion = 1;
+
+/**
+ * Wraps a random source so that every number it returns is also written down.
+ *
+ * @param {*} randomSource The seeded random source to draw from (see createRandomSource).
+ * @param {*} draws The array to push each number onto.
+ * @returns A random source that can be used in place of the one given.
+ */
+function createRecordingRandom(randomSource, draws) {
+    return {
+        seed: randomSource.seed,
+        next: function () {
+            const value = randomSource.next();
+            draws.push(value);
+            return value;
+        }
+    };
+}
+
+/**
+ * Wraps an I/O object so that every answer the user gives is also written
+ * down along with the prompt it answered.
+ *
+ * @param {*} io The I/O object the user is actually at (see createConsoleIO).
+ * @param {*} inputs The array to push each {prompt, answer} onto.
+ * @returns An I/O object that can be used in place of the one given.
+ */
+function createRecordingIO(io, inputs) {
+    return {
+        log: function (message) {
+            io.log(message);
+        },
+        question: function (prompt, completer) {
+            const answer = io.question(prompt, completer);
+            inputs.push({ prompt: prompt, answer: answer });
+            return answer;
+        }
+    };
+}
+
+/**
+ * Creates a random source that gives back the numbers of a recording in order.
+ *
+ * DEV NOTE: If the trip draws more numbers than were recorded, the source
+ * carries on with the seeded sequence where the recording stopped (which is
+ * what the recorded trip would have drawn next) and notes the divergence once.
+ *
+ * @param {*} seed The seed of the recorded trip.
+ * @param {*} draws The recorded numbers.
+ * @param {*} divergences The array to push a divergence message onto.
+ * @returns A random source.
+ */
+function createReplayRandom(seed, draws, divergences) {
+    const seeded = createRandomSource(seed);
+    let drawn = 0;
+
+    draws.forEach(() => seeded.next());
+
+    return {
+        seed: seed,
+        next: function () {
+            drawn += 1;
+            if (drawn <= draws.length) {
+                return draws[drawn - 1];
+            }
+            if (drawn === draws.length + 1) {
+                divergences.push("The replay drew more than the " + draws.length + " random numbers in the recording.");
+            }
+            return seeded.next();
+        }
+    };
+}
+
+/**
+ * Creates an I/O object that answers questions from a recording instead of
+ * asking the user. The prompts and answers are narrated as if they were typed.
+ *
+ * DEV NOTE: If the trip asks something other than the recorded prompt, or asks
+ * after the recording has run out, the divergence is noted. Once the
+ * recording has run out the answer is "checkout abandon", which ends the
+ * store loop so the rest of the trip can still be compared.
+ *
+ * @param {*} io The I/O object to narrate through.
+ * @param {*} inputs The recorded {prompt, answer} pairs.
+ * @param {*} divergences The array to push divergence messages onto.
+ * @returns An I/O object.
+ */
+function createReplayIO(io, inputs, divergences) {
+    let answered = 0;
+
+    return {
+        log: function (message) {
+            io.log(message);
+        },
+        question: function (prompt) {
+            let answer = "checkout abandon";
+
+            if (answered < inputs.length) {
+                if (inputs[answered].prompt !== prompt) {
+                    divergences.push("Input " + (answered + 1) + ": the recording answered \"" + inputs[answered].prompt.trim() +
+                        "\" but the replay asked \"" + prompt.trim() + "\".");
+                }
+                answer = inputs[answered].answer;
+            } else if (answered === inputs.length) {
+                divergences.push("The replay asked \"" + prompt.trim() + "\" after the " + inputs.length +
+                    " recorded inputs ran out, so it answered \"checkout abandon\".");
+            }
+            answered += 1;
+
+            io.log(prompt + answer);
+            return answer;
+        }
+    };
+}
+
+/**
+ * Lists the decisions of a finished trip with the money left after each one.
+ *
+ * @param {*} trip The finished trip.
+ * @returns An array of {action, moneyAfter}.
+ */
+function sessionDecisions(trip) {
+    return trip.agent.trace.filter((event) => event.type === "decision")
+        .map((event) => ({ action: event.action, moneyAfter: event.moneyAfter }));
+}
+
+/**
+ * Runs a trip while recording everything needed to replay it.
+ *
+ * @param {*} options The same options as runTrip, except that the perceptrons
+ * are made from the policies chosen for each decision, the saved weights and
+ * the activation and multilayer settings (see createPolicies) so that the
+ * replay can make them the same way. The answers given to a human policy are
+ * recorded like any other input. Any file paths given in
+ * files (catalog, roads, environment, plugins) are kept in the session too.
+ * @returns An object with the finished trip and the session.
+ */
+function recordSession(options) {
+    const draws = [];
+    const inputs = [];
+    const settings = {
+        autopilot: options.autopilot,
+        closures: options.closures,
+        departure: options.departure,
+        activation: options.activation,
+        multilayer: options.multilayer || false,
+        weights: options.weights,
+        policies: options.policies || {},
+        money: options.money
+    };
+
+    const trip = runTrip(Object.assign({}, options, {
+        random: createRecordingRandom(createRandomSource(options.seed), draws),
+        io: createRecordingIO(options.io, inputs),
+        perceptrons: createPolicies(settings.policies, settings.weights, { activation: settings.activation, multilayer: settings.multilayer })
+    }));
+
+    return {
+        trip: trip,
+        session: {
+            version: sessionVersion,
+            seed: options.seed,
+            settings: settings,
+            files: options.files || {},
+            draws: draws,
+            inputs: inputs,
+            decisions: sessionDecisions(trip),
+            finalMoney: trip.money
+        }
+    };
+}
+
+/**
+ * Compares the decisions and money of a replayed trip with the recording.
+ *
+ * @param {*} session The recorded session.
+ * @param {*} trip The replayed trip.
+ * @returns An array of messages, one for each difference. Empty if the replay matches.
+ */
+function compareWithSession(session, trip) {
+    const replayed = sessionDecisions(trip);
+    const describe = (decision) => decision ? "\"" + decision.action + "\" leaving " +
+        (decision.moneyAfter !== undefined ? formatMoney(decision.moneyAfter) : "the money as it was") : "nothing";
+    const divergences = [];
+
+    for (let i = 0; i < Math.max(session.decisions.length, replayed.length); i++) {
+        const recorded = session.decisions[i];
+        const now = replayed[i];
+
+        if (!recorded || !now || recorded.action !== now.action || recorded.moneyAfter !== now.moneyAfter) {
+            divergences.push("Decision " + (i + 1) + ": the recording made " + describe(recorded) + ", the replay made " + describe(now) + ".");
+        }
+    }
+    if (session.finalMoney !== trip.money) {
+        divergences.push("Final money: the recording came home with " + formatMoney(session.finalMoney) +
+            ", the replay with " + formatMoney(trip.money) + ".");
+    }
+
+    return divergences;
+}
+
+/**
+ * Runs a recorded trip again, answering every question from the recording.
+ *
+ * @param {*} session The recorded session (see recordSession and loadSession).
+ * @param {*} options The catalog, road map and environment model to run the
+ * trip with, and optionally the plugins (see plugins.js), the I/O object to
+ * narrate through (default silent) and whether to explain every decision.
+ * @returns An object with the replayed trip and the divergences from the
+ * recording, in the order they were found.
+ */
+function replaySession(session, options) {
+    const divergences = [];
+    const narration = options.io || { log: function () {} };
+
+    const trip = runTrip({
+        catalog: options.catalog,
+        seed: session.seed,
+        random: createReplayRandom(session.seed, session.draws, divergences),
+        io: createReplayIO(narration, session.inputs, divergences),
+        autopilot: session.settings.autopilot,
+        perceptrons: createPolicies(session.settings.policies, session.settings.weights,
+            { activation: session.settings.activation, multilayer: session.settings.multilayer }),
+        money: session.settings.money,
+        roadMap: options.roadMap,
+        closures: session.settings.closures,
+        departure: session.settings.departure,
+        environmentModel: options.environmentModel,
+        plugins: options.plugins,
+        explain: options.explain
+    });
+
+    return { trip: trip, divergences: divergences.concat(compareWithSession(session, trip)) };
+}
+
+/**
+ * Writes a session to a file.
+ *
+ * @param {*} sessionPath The path of the file to write. An existing file is replaced.
+ * @param {*} session The session made by recordSession.
+ */
+function saveSession(sessionPath, session) {
+    fs.writeFileSync(sessionPath, JSON.stringify(session, null, 4) + "\n");
+}
+
+/**
+ * Reads a session file and checks that it can be replayed.
+ *
+ * @param {*} sessionPath The path of the session file.
+ * @returns The session.
+ */
+function loadSession(sessionPath) {
+    let session;
+    try {
+        session = JSON.parse(fs.readFileSync(sessionPath, "utf8"));
+    } catch (error) {
+        throw new Error("Could not read the session " + sessionPath + ": " + error.message);
+    }
+
+    if (!session || session.version !== sessionVersion) {
+        throw new Error("The session " + sessionPath + " is not a version " + sessionVersion + " session file.");
+    }
+    const problems = [];
+    if (!Number.isInteger(session.seed) || session.seed < 0) problems.push("its seed is missing");
+    if (!session.settings || typeof session.settings !== "object") {
+        problems.push("its settings are missing");
+    } else if (session.settings.policies !== undefined && validatePolicyChoices(session.settings.policies).length > 0) {
+        problems.push("its policies must each be one of " + policyNames.join(", "));
+    } else if (session.settings.departure !== undefined && !(Number.isInteger(session.settings.departure) &&
+        session.settings.departure >= 0 && session.settings.departure < 1440)) {
+        problems.push("its departure must be a number of minutes since midnight");
+    }
+    if (!Array.isArray(session.draws) || !session.draws.every((draw) => typeof draw === "number" && draw >= 0 && draw < 1)) {
+        problems.push("its random draws must be numbers from 0 up to 1");
+    }
+    if (!Array.isArray(session.inputs) || !session.inputs.every((input) => input && typeof input.prompt === "string" && typeof input.answer === "string")) {
+        problems.push("its inputs must each have a prompt and an answer");
+    }
+    if (!Array.isArray(session.decisions) || !Number.isInteger(session.finalMoney)) problems.push("its decisions or final money are missing");
+    if (problems.length > 0) {
+        throw new Error("The session " + sessionPath + " cannot be replayed: " + problems.join(", ") + ".");
+    }
+
+    return session;
+}
+
+module.exports = {
+    createRecordingRandom,
+    createRecordingIO,
+    createReplayRandom,
+    createReplayIO,
+    recordSession,
+    compareWithSession,
+    replaySession,
+    saveSession,
+    loadSession
+};
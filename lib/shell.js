@@ -0,0 +1,102 @@
+/*
+ * The command shell the user shops with inside the store. Reading a command
+ * and completing it with the tab key live here; carrying the commands out is
+ * up to the store scenario (see storeScenario).
+*/
+
+const { findSection } = require("./catalog");
+
+// Every command the shell understands, with the help text for each.
+const shellCommands = {
+    go: "go left|right|straight    Walk to a section of the store and shop there (or just type its letter).",
+    cart: "cart                      Show what is in the cart so far.",
+    wallet: "wallet                    Show the money I have and what the cart will cost at checkout.",
+    list: "list                      Show the items still on the checklist.",
+    return: "return <item>             Put an item back on the shelf and decide again between local and brand name.",
+    undo: "undo                      Take back the last go or return.",
+    checkout: "checkout [abandon]        Pay and leave. Add abandon to leave without the items still on the checklist.",
+    help: "help                      Show these commands."
+};
+
+/**
+ * Finds the section of the store a user means by its key ("l"), its name
+ * ("straight ahead") or the first word of its name ("straight").
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} text What the user typed, in lower case.
+ * @returns The section, or undefined if there is no such section.
+ */
+function sectionNamed(catalog, text) {
+    return findSection(catalog, text) ||
+        catalog.sections.find((section) => section.name === text || section.name.split(" ")[0] === text);
+}
+
+/**
+ * Reads one line typed into the shell.
+ *
+ * DEV NOTE: A section's letter on its own is still read as going there, so
+ * the route answers from before the shell existed (and every autopilot) keep
+ * working.
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} line The line that was typed.
+ * @returns An object with the command's name and its argument (the section
+ * key for go, the item name for return), or null if the line is not a command.
+ */
+function parseCommand(catalog, line) {
+    const text = String(line).trim().toLowerCase().replace(/\s+/g, " ");
+    const words = text.split(" ");
+    const name = words[0];
+    const argument = words.slice(1).join(" ");
+
+    if (findSection(catalog, text)) {
+        return { name: "go", argument: text };
+    }
+    if (!Object.prototype.hasOwnProperty.call(shellCommands, name)) {
+        return null;
+    }
+    if (name === "go") {
+        const section = sectionNamed(catalog, argument);
+        return section ? { name: "go", argument: section.key } : null;
+    }
+    if (name === "return") {
+        return argument === "" ? null : { name: "return", argument: argument };
+    }
+    if (name === "checkout") {
+        return argument === "" || argument === "abandon" ? { name: "checkout", argument: argument } : null;
+    }
+
+    return argument === "" ? { name: name, argument: "" } : null;
+}
+
+/**
+ * Returns the ways a partly typed line can be finished, for tab completion.
+ * Commands that need more than their name are offered whole, e.g. "go left",
+ * "return eggs" for each item in the cart, and "checkout abandon".
+ *
+ * @param {*} catalog The store catalog (see loadCatalog).
+ * @param {*} cart The items in the shopping cart, e.g. [{item: "eggs", type: "local", price: 6}].
+ * @param {*} line The line typed so far.
+ * @returns An array of the complete commands that start with it.
+ */
+function completeCommand(catalog, cart, line) {
+    const text = String(line).replace(/^\s+/, "").toLowerCase().replace(/\s+/g, " ");
+    const commands = [];
+
+    Object.keys(shellCommands).forEach((name) => {
+        if (name === "go") {
+            catalog.sections.forEach((section) => commands.push("go " + section.name.split(" ")[0]));
+        } else if (name === "return") {
+            cart.map((item) => item.item).filter((item, i, items) => items.indexOf(item) === i)
+                .forEach((item) => commands.push("return " + item));
+        } else if (name === "checkout") {
+            commands.push("checkout", "checkout abandon");
+        } else {
+            commands.push(name);
+        }
+    });
+
+    return commands.filter((command) => command.startsWith(text));
+}
+
+module.exports = { shellCommands, sectionNamed, parseCommand, completeCommand };
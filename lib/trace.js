@@ -0,0 +1,58 @@
+/*
+ * Exporting the agent's trace of perceptions and decisions, and the record of
+ * a finished trip built from it.
+*/
+
+const fs = require("fs");
+
+/**
+ * Writes the agent's trace to a JSON Lines file, one event per line.
+ *
+ * @param {*} tracePath The path of the .jsonl file to write. An existing file is replaced.
+ * @param {*} events The events to write, e.g. trip.agent.trace.
+ */
+function writeTrace(tracePath, events) {
+    fs.writeFileSync(tracePath, events.map((event) => JSON.stringify(event)).join("\n") + "\n");
+}
+
+/**
+ * Builds the record of a finished trip that the HTTP API and the HTML report
+ * use: every decision, the shopping cart, the receipt and the ledger of every
+ * transaction, the money after every payment, and when the agent set out and
+ * got to each place (in minutes since midnight, see clock.js). Amounts are in cents.
+ *
+ * @param {*} trip The finished trip.
+ * @returns A plain object that can be sent as JSON.
+ */
+function tripRecord(trip) {
+    const trace = trip.agent.trace;
+    const groceries = trip.ledger.find((transaction) => transaction.kind === "groceries");
+
+    return {
+        decisions: trace.filter((event) => event.type === "decision"),
+        cart: {
+            items: trip.shoppingCart.map((item) => ({ item: item.item, type: item.type, price: item.price })),
+            optionalItems: trip.optionalItemsBought.map((item) => ({ item: item.name, price: item.price })),
+            substitutions: trip.substitutions,
+            missedItems: trip.missedItems,
+            unaffordableItems: trip.unaffordableItems,
+            abandonedItems: trip.abandonedItems
+        },
+        receipt: groceries ? groceries.receipt : null,
+        ledger: trip.ledger,
+        totalSpent: trace[0].money - trip.money,
+        moneyTimeline: trace.filter((event) => event.type === "tripStart" || event.type === "tripEnd" ||
+            (event.moneyAfter !== undefined && event.moneyAfter !== event.moneyBefore))
+            .map((event) => ({
+                step: event.step,
+                phase: event.phase,
+                event: event.type === "payment" ? "pay for " + event.description : event.action || event.type,
+                money: event.moneyAfter !== undefined ? event.moneyAfter : event.money
+            })),
+        finalMoney: trip.money,
+        departure: trip.departure,
+        arrivals: trip.arrivals
+    };
+}
+
+module.exports = { writeTrace, tripRecord };
@@ -0,0 +1,1253 @@
+/*
+ * The trip itself. The 3 main functions (takeBusOrTaxi, storeScenario, and
+ * takeTaxiOrBus) each take the trip object made by createTrip and work on
+ * it, so nothing about one trip is shared with the next.
+*/
+
+const EventEmitter = require("events");
+
+const { createAgent } = require("./agent");
+const { createRandomSource } = require("./random");
+const { Perceptron } = require("./perceptron");
+const { networkLike } = require("./network");
+const { explainDecision, formatExplanation } = require("./explain");
+const { createInventory, stockOf, takeFromShelf, putBackOnShelf, restockInventory, otherShoppersVisit } = require("./inventory");
+const { findSection, itemsInSection } = require("./catalog");
+const { createAutopilot } = require("./autopilot");
+const { shellCommands, parseCommand, completeCommand } = require("./shell");
+const { createConsoleIO } = require("./io");
+const { formatMoney } = require("./money");
+const { defaultDeparture, formatTime, formatMinutes } = require("./clock");
+const { createReceipt, formatReceipt } = require("./receipt");
+const { defaultRoadMapPath, loadRoadMap, planLeg, referenceFares, travelTimes } = require("./roads");
+const { defaultEnvironmentModelPath, loadEnvironmentModel, nextConditions } = require("./environment");
+const { createDecisionProposal, registerPlugins } = require("./plugins");
+
+// Under $40 the agent is short of money: it says so on the way home, where
+// it is the moneyUnder40 input, and again when it sums up the trip. A
+// campaign (see campaign.js) uses the same line to decide whether to shop.
+const littleMoney = 4000;
+
+/**
+ * Creates the state of a single trip. Everything that changes during a trip
+ * lives on this object, so one trip never leaks into the next.
+ *
+ * @param {*} options The catalog to shop from, the seeded random source, the
+ * autopilot (or null to ask the user for the route), the I/O object used for
+ * the narration and questions (default createConsoleIO()), and optionally the
+ * perceptrons to decide with (default createPerceptrons()), the starting
+ * money in cents (default 7500, which is $75), the road map (default road-map.json), the road
+ * closure setting (see chooseClosures in roads.js), the environment model
+ * (default environment-model.json), the store's inventory (default a
+ * fresh one from the catalog, see createInventory), whether to explain
+ * every decision to the user (default false), the EventEmitter to tell
+ * what happens on the trip (default a new one, see plugins.js), the time the
+ * agent sets out in minutes since midnight (default 10:00 AM, see clock.js) and
+ * the names of the items on the shopping list (default every item in the catalog).
+ * @returns The trip object that takeBusOrTaxi, storeScenario and takeTaxiOrBus work on.
+ */
+function createTrip(options) {
+    const events = options.events || new EventEmitter();
+
+    return {
+        events: events,
+        agent: createAgent(events),
+        catalog: options.catalog,
+        random: options.random,
+        autopilot: options.autopilot || null,
+        perceptrons: options.perceptrons || createPerceptrons(),
+        io: options.io || createConsoleIO(),
+        money: options.money !== undefined ? options.money : 7500,
+        roadMap: options.roadMap || loadRoadMap(defaultRoadMapPath),
+        closures: options.closures,
+        legs: {},
+        environmentModel: options.environmentModel || loadEnvironmentModel(defaultEnvironmentModelPath),
+        conditions: null,
+        explain: options.explain || false,
+        departure: options.departure !== undefined ? options.departure : defaultDeparture,
+        time: options.departure !== undefined ? options.departure : defaultDeparture,
+        arrivals: [],
+        atHome: true,
+        onTheStreets: false,
+        atStore: false,
+        tookBus: false,
+        tookTaxi: false,
+        inventory: options.inventory || createInventory(options.catalog),
+        shoppingList: options.shoppingList || options.catalog.items.map((item) => item.name),
+        shoppingCart: [],
+        substitutions: [],
+        missedItems: [],
+        unaffordableItems: [],
+        abandonedItems: [],
+        optionalItemsBought: [],
+        ledger: [],
+        tookBusHome: false,
+        tookTaxiHome: false
+    };
+}
+
+/**
+ * Pays for something and writes it in the trip's ledger.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} transaction The phase of the trip, the kind of transaction ("fare",
+ * "groceries" or "optional item"), a description, the amount in cents and, for
+ * the groceries, the receipt (see createReceipt). Fares and optional items are
+ * paid with the exact amount.
+ * @returns The transaction as it was written in the ledger, with the payment,
+ * the change and the money before and after it.
+ */
+function payFor(trip, transaction) {
+    const entry = Object.assign({
+        phase: transaction.phase,
+        kind: transaction.kind,
+        description: transaction.description,
+        amount: transaction.amount,
+        payment: transaction.receipt ? transaction.receipt.payment : transaction.amount,
+        change: transaction.receipt ? transaction.receipt.change : 0,
+        moneyBefore: trip.money,
+        moneyAfter: trip.money - transaction.amount
+    }, transaction.receipt ? { receipt: transaction.receipt } : {});
+
+    trip.ledger.push(entry);
+    trip.money = entry.moneyAfter;
+    trip.events.emit("moneyChanged", entry);
+    return entry;
+}
+
+/* AGENT'S STREET PERCEPT: Should I take the bus or hail a taxi to get 
+   to the store today? I have $75 in my wallet. The bus fare is $5. The taxi
+   fare is $8, plus $1 per mile. The distance from home to the store is 2 miles,
+   unless a road is closed and I have to go the long way around.
+   
+   ADDITIONAL FACTORS
+    - Is the weather bad? (increases likelihood of taking taxi)
+    - Is traffic density high? (increases likelihood of taking taxi)
+    - Is the bus crowded? (increases likelihood of taking taxi)
+    - How much longer does the bus take? (increases likelihood of taking taxi)
+    - Agent prefers taking the bus to store (bias for taking bus)
+
+   CRITERIA                 INPUT                   WEIGHT
+   
+   Cost                     x1 = 1                 w1 = 0.7
+   Bad Weather         x2 = either 0 or 1          w2 = 0.5
+   Heavy Traffic       x3 = either 0 or 1          w3 = 0.4
+   Bus Crowding        x4 = either 0 or 1          w4 = 0.3
+   Time                x5 = extra bus time         w5 = 0.3
+   Bias for Bus                                    w6 = -0.2
+
+   DEV NOTE: The input values are to be interpreted as a boolean of 0 (false) or 1 (true).
+   Because it costs money to take either the bus or taxi, the cost input value is
+   1 for the usual 2 mile ride. It comes from the fares (see costFactor), so it
+   drops below 1 when a detour makes the taxi dearer. The bias factor will decrease
+   the sum of the weighted inputs by 0.2, which lowers the threshold for taking a
+   taxi, making it less likely. The weather, traffic and bus crowding are drawn
+   from the environment model (see environment.js), where bad weather makes heavy
+   traffic and a crowded bus more likely. The Time input is how much longer the
+   bus takes than a taxi, waiting included, in half hours (see timeFactor).
+*/
+const taxiToStoreDefaults = {
+    name: "taxi to store",
+    weights: { cost: 0.7, weather: 0.5, traffic: 0.4, busCrowding: 0.3, time: 0.3 },
+    bias: -0.2,
+    threshold: 1.5
+};
+
+/**
+ * Works out the cost input of the transport perceptrons from the fares of a leg.
+ *
+ * DEV NOTE: The weights were tuned for the usual ride from home to the store
+ * with every road open, so that ride has a cost input of 1. The bus fare is
+ * flat, so only the taxi fare changes with the route. On the way to the store
+ * the cost pushes the agent towards the taxi, so the input is the usual taxi
+ * fare divided by this one; on the way home it pushes the agent towards the
+ * bus, so the input is this taxi fare divided by the usual one. Either way a
+ * dearer taxi ride makes the bus more likely.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} leg "toStore" or "toHome".
+ * @returns The cost input, rounded to 2 decimal places.
+ */
+function costFactor(trip, leg) {
+    const usualTaxiFare = referenceFares(trip.roadMap).taxi;
+    const taxiFare = trip.legs[leg].fares.taxi;
+    const ratio = leg === "toStore" ? usualTaxiFare / taxiFare : taxiFare / usualTaxiFare;
+
+    return Math.round(ratio * 100) / 100;
+}
+
+/**
+ * Works out the time input of the transport perceptrons from the travel times of a leg.
+ *
+ * DEV NOTE: The input is how many minutes longer the bus takes than a taxi,
+ * from the time the agent is ready to go until it gets there, divided by 30.
+ * So waiting a quarter of an hour for the bus adds 0.5, and the input is below
+ * 0 when the bus would get there first.
+ *
+ * @param {*} times The travel times of the leg (see travelTimes in roads.js).
+ * @returns The time input, rounded to 2 decimal places.
+ */
+function timeFactor(times) {
+    return Math.round((times.bus.total - times.taxi.total) / 30 * 100) / 100;
+}
+
+/**
+ * Works out how long the bus and a taxi would take on a leg of the trip and
+ * tells the user.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} leg "toStore" or "toHome".
+ * @returns The travel times (see travelTimes in roads.js), which are also kept in the leg's plan.
+ */
+function timeRide(trip, leg) {
+    const times = travelTimes(trip.roadMap, trip.legs[leg].route.miles, trip.time, trip.conditions);
+    trip.legs[leg].times = times;
+
+    trip.io.log("It's " + formatTime(trip.time) + ". The next bus leaves at " + formatTime(times.bus.departure) +
+        " and would get me " + (leg === "toStore" ? "there" : "home") + " in " + formatMinutes(times.bus.total) +
+        "; a taxi would take " + formatMinutes(times.taxi.total) + ".");
+    return times;
+}
+
+/**
+ * Moves the clock on to when the agent gets somewhere and tells the user.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} place Where the agent got to, e.g. "store".
+ * @param {*} time The time it got there, in minutes since midnight.
+ */
+function arriveAt(trip, place, time) {
+    trip.time = time;
+    trip.arrivals.push({ place: place, time: time });
+    trip.io.log("I got " + (place === "home" ? "home" : "to the " + place) + " at " + formatTime(time) + ".");
+}
+
+/**
+ * Plans a leg of the trip on the road map and tells the user which roads are
+ * closed, which way the agent has to go and what the bus and taxi cost.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} leg "toStore" or "toHome".
+ * @returns The plan of the leg (see planLeg in roads.js).
+ */
+function planRoute(trip, leg) {
+    const plan = planLeg(trip.roadMap, leg, trip.closures, trip.random);
+    const miles = plan.route.miles + (plan.route.miles === 1 ? " mile" : " miles");
+    trip.legs[leg] = plan;
+
+    if (plan.closedRoads.length > 0) {
+        trip.io.log(listInWords(plan.closedRoads, "and") + (plan.closedRoads.length === 1 ? " is" : " are") + " closed today.");
+    }
+    trip.io.log((leg === "toStore" ? "The store is " : "Home is ") + miles + " away by " + listInWords(plan.route.roads, "and") + ".");
+
+    if (plan.fares.bus < plan.fares.taxi) {
+        trip.io.log("It's cheaper to take the bus (" + formatMoney(plan.fares.bus) + ") than to hail a taxi (" + formatMoney(plan.fares.taxi) + ").");
+    } else if (plan.fares.taxi < plan.fares.bus) {
+        trip.io.log("It's cheaper to hail a taxi (" + formatMoney(plan.fares.taxi) + ") than to take the bus (" + formatMoney(plan.fares.bus) + ").");
+    } else {
+        trip.io.log("The bus and a taxi both cost " + formatMoney(plan.fares.bus) + ".");
+    }
+
+    return plan;
+}
+
+function takeBusOrTaxi(trip) {
+    const phase = "to store";
+    trip.atHome = false;
+    trip.onTheStreets = true;
+
+    trip.io.log("I need to get to the store.\n");
+
+    const plan = planRoute(trip, "toStore");
+    const cost_factor = costFactor(trip, "toStore");
+
+    const street = nextConditions(trip.environmentModel, trip.conditions, trip.random);
+    trip.conditions = street.conditions;
+
+    let weatherFactor = street.conditions.weather;
+    if (weatherFactor == 0) {
+        trip.io.log("It's nice outside today! ");
+    } else if (weatherFactor == 1) {
+        trip.io.log("The weather looks awful today... ");
+    }
+
+    let trafficFactor = street.conditions.traffic;
+    if (trafficFactor == 0) {
+        trip.io.log("Traffic flow is normal for now. ");
+    } else if (trafficFactor == 1) {
+        trip.io.log("There is a lot of traffic on the roads... ");
+    }
+
+    let busCrowdingFactor = street.conditions.busCrowding;
+    if (busCrowdingFactor == 0) {
+        trip.io.log("Plenty of space on the bus.");
+    } else if (busCrowdingFactor == 1) {
+        trip.io.log("There is a lot of people on the bus.");
+    }
+
+    const times = timeRide(trip, "toStore");
+    trip.io.log("");
+
+    const inputs = {
+        cost: cost_factor,
+        weather: weatherFactor,
+        traffic: trafficFactor,
+        busCrowding: busCrowdingFactor,
+        time: timeFactor(times)
+    };
+    trip.agent.addEnvironment("street", {
+        phase: phase,
+        inputs: inputs,
+        chances: street.chances,
+        closedRoads: plan.closedRoads,
+        route: plan.route,
+        fares: plan.fares,
+        time: trip.time,
+        times: times
+    });
+
+    const moneyBefore = trip.money;
+    const { decision, explanation } = decide(trip, trip.perceptrons.taxiToStore, inputs,
+        { phase: phase, outcomes: { 1: "take a taxi", 0: "take the bus" }, costs: { 1: plan.fares.taxi, 0: plan.fares.bus },
+            canAfford: (output) => (output === 1 ? plan.fares.taxi : plan.fares.bus) <= moneyToSpend(trip) },
+        (weighed) => "Threshold to take a taxi is " + weighed.threshold.toFixed(1) +
+            ". Current conditions: " + weighed.sum.toPrecision(2) + " (chance of a taxi: " + percentChance(weighed) + ")");
+    
+    if (decision.output === 1) {
+        trip.io.log("I have to hail a taxi.");
+        payFor(trip, { phase: phase, kind: "fare", description: "taxi to the store", amount: plan.fares.taxi });
+        trip.tookTaxi = true;
+        trip.agent.addAction("take taxi", Object.assign({ phase: phase }, decision, { explanation: explanation, moneyBefore: moneyBefore, moneyAfter: trip.money }));
+        arriveAt(trip, "store", times.taxi.arrival);
+        trip.onTheStreets = false;
+        return trip.tookTaxi;
+    } else {
+        trip.io.log("I'll take the bus.");
+        payFor(trip, { phase: phase, kind: "fare", description: "bus to the store", amount: plan.fares.bus });
+        trip.tookBus = true;
+        trip.agent.addAction("take bus", Object.assign({ phase: phase }, decision, { explanation: explanation, moneyBefore: moneyBefore, moneyAfter: trip.money }));
+        arriveAt(trip, "store", times.bus.arrival);
+        trip.onTheStreets = false;
+        return trip.tookBus;
+    }
+}
+
+/* AGENT'S STORE PERCEPT: I am at the store. I need milk, eggs, and a lighter.
+   I want an energy drink as well but not if I have less than $40.
+   How I got to the store will determine how I spend.
+   I know that locally produced items are cheaper but the store has
+   sparse inventory of them, if at all. I won't know until I go to the
+   side of the store that has what I need. Brand name items are
+   almost always available but more expensive. Sales tax on all groceries is
+   5% of the subtotal of all items.
+
+   ADDITIONAL FACTORS
+    - Cost of item
+    - Local goods (if available in store, the agent will buy the item instead of brand name)
+    - Spending bias (more likely to save money by buying available local goods if arrived by taxi)
+
+   CRITERIA                 INPUT                   WEIGHT
+   
+   Cost                     x1 = 1                 w1 = 0.6
+   Local Goods         x2 = either 0 or 1          w2 = -0.3
+   Brand Name               x3 = 1                 w3 = 0.6
+   Spending Bias       x4 = either 0 or 1          w4 = -0.2
+
+   DEV NOTE: The input value for Local Goods is to be interpreted as boolean.
+   If there are any local goods on that side of the store, it will be the factor
+   that makes the agent decide to choose the item. If there are no local goods available, 
+   the agent has no other choice but to buy the brand name item. Cost will always be a 
+   certainity so its value is 1. The store always has brand name items in stock 
+   so its value is also 1. If the agent arrived to the store by taxi, they will 
+   be more inclined to buy local goods, if available, so the Spending Bias input
+   is 1 after a taxi ride and 0 after a bus ride.
+
+   Local Goods is 1 when there is at least one unit left on the local shelf
+   once the other shoppers have been through (see inventory.js). The agent
+   counts on the brand name shelf, so Brand Name stays 1, but that shelf can
+   be empty too. If the shelf the agent reaches for is empty, it buys the
+   other variant instead, and if both are empty it goes without.
+
+   The sections, items, prices, sales tax and optional items all come from the
+   store catalog (store-catalog.json by default), so the shopping list above is
+   just the one the default catalog describes.
+*/
+const brandNameDefaults = {
+    name: "buy brand name",
+    weights: { cost: 0.6, localGoods: -0.3, brandName: 0.6, spendingBias: -0.2 },
+    bias: 0,
+    threshold: 1.0
+};
+
+/**
+ * Uses the brand name perceptron to choose between the local and brand name
+ * version of an item and returns the chosen one.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} localItem The cheaper, locally produced version of the item.
+ * @param {*} brandNameItem The brand name version of the item, which is always in stock.
+ * @returns The item object the agent decided to put in the shopping cart.
+ */
+function chooseItemVariant(trip, localItem, brandNameItem) {
+    const cost_factor = 1;
+    const brand_name_factor = 1;
+    const spending_bias_factor = trip.tookTaxi ? 1 : 0;
+    let localGoodsFactor = stockOf(trip.inventory, localItem.item, "local") > 0 ? 1 : 0;
+
+    const inputs = {
+        cost: cost_factor,
+        localGoods: localGoodsFactor,
+        brandName: brand_name_factor,
+        spendingBias: spending_bias_factor
+    };
+
+    trip.io.log("Are there local goods available? 1 for yes, 0 for no: " + localGoodsFactor);
+    trip.agent.recordEvent({
+        type: "perception",
+        phase: "store",
+        item: localItem.item,
+        inputs: { localGoods: localGoodsFactor },
+        shelves: Object.assign({}, trip.inventory.shelves[localItem.item])
+    });
+
+    const { decision, explanation } = decide(trip, trip.perceptrons.brandName, inputs, {
+        phase: "store",
+        outcomes: { 1: "buy brand name " + brandNameItem.item, 0: "buy local " + localItem.item },
+        costs: { 1: brandNameItem.price, 0: localItem.price },
+        canAfford: (output) => canAffordItem(trip, output === 1 ? brandNameItem : localItem)
+    }, (weighed) => "Threshold to buy brand name is " + weighed.threshold.toFixed(1) +
+            ". Current value: " + weighed.sum.toPrecision(2) + " (chance of brand name: " + percentChance(weighed) + ")");
+    const details = Object.assign({ phase: "store", item: localItem.item }, decision,
+        { explanation: explanation, moneyBefore: trip.money, moneyAfter: trip.money });
+
+    if (decision.output === 1) {
+        trip.io.log("Going to get brand name.");
+        trip.agent.addAction("buy brand name " + brandNameItem.item, details);
+        return brandNameItem;
+    } else {
+        trip.io.log("I'm buying local.");
+        trip.agent.addAction("buy local " + localItem.item, details);
+        return localItem;
+    }
+}
+
+/**
+ * Takes the item variant the agent chose off the shelf. If that shelf is empty
+ * the agent takes the other variant instead, and if that is empty too it goes
+ * without the item. It also goes without a variant it cannot afford (see
+ * canAffordItem).
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} wanted The item variant the agent chose (see chooseItemVariant).
+ * @param {*} substitute The other variant of the same item.
+ * @returns The item object to put in the shopping cart, or null if the agent goes without.
+ */
+function takeItem(trip, wanted, substitute) {
+    const details = { phase: "store", item: wanted.item, wanted: wanted.type, moneyBefore: trip.money, moneyAfter: trip.money };
+
+    if (!canAffordItem(trip, wanted)) {
+        trip.io.log("I can't afford any " + wanted.item + " and still get home. I'll have to go without.");
+        trip.unaffordableItems.push(wanted.item);
+        trip.agent.addAction("skip " + wanted.item, details);
+        return null;
+    }
+
+    if (takeFromShelf(trip.inventory, wanted.item, wanted.type)) {
+        return wanted;
+    }
+
+    trip.io.log("The " + wanted.type + " " + wanted.item + " shelf is empty!");
+
+    if (!canAffordItem(trip, substitute)) {
+        trip.io.log("I can't afford the " + substitute.type + " " + substitute.item + " instead. I'll have to go without.");
+        trip.unaffordableItems.push(wanted.item);
+        trip.agent.addAction("skip " + wanted.item, details);
+        return null;
+    }
+
+    if (takeFromShelf(trip.inventory, substitute.item, substitute.type)) {
+        trip.io.log("I'll have to get the " + substitute.type + " " + substitute.item + " instead.");
+        trip.substitutions.push({ item: wanted.item, wanted: wanted.type, bought: substitute.type });
+        trip.agent.addAction("buy " + substitute.type + " " + substitute.item + " instead", details);
+        return substitute;
+    }
+
+    trip.io.log("There's no " + wanted.item + " left at all. I'll have to go without.");
+    trip.missedItems.push(wanted.item);
+    trip.agent.addAction("skip " + wanted.item, details);
+    return null;
+}
+
+/**
+ * Works out how much of its money the agent can spend at the store or on the
+ * way there and still take the bus home.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @returns The money it can spend, in cents.
+ */
+function moneyToSpend(trip) {
+    return trip.money - referenceFares(trip.roadMap).bus;
+}
+
+/**
+ * Works out whether the agent can put an item in its cart and still pay for
+ * the whole cart, with sales tax, and the bus home.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} cartItem The item variant, e.g. {item: "milk", type: "local", price: 700}.
+ * @returns True if the agent can afford it.
+ */
+function canAffordItem(trip, cartItem) {
+    return createReceipt(trip.shoppingCart.concat([cartItem]), trip.catalog.salesTaxRate, trip.money).total <= moneyToSpend(trip);
+}
+
+/**
+ * Puts one of the agent's decisions to its policy (see policy.js) and tells the
+ * user how the policy decided. Then proposes it to the trip's event listeners,
+ * which may veto or change it (see plugins.js), and explains the decision the
+ * agent ends up with.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} policy The policy that makes the decision, e.g. trip.perceptrons.busHome.
+ * @param {*} inputs The inputs the agent perceived, keyed by name.
+ * @param {*} choice The phase of the trip, what the agent does when the policy
+ * fires and when it does not (outcomes), what each costs in cents (costs) and
+ * optionally a function that says whether the agent can pay for an output
+ * (canAfford). The agent never takes a choice it cannot pay for when it can
+ * pay for the other one, whatever the policy and the plugins decided.
+ * @param {*} weighing A function that returns the line to narrate for a decision
+ * weighed against a threshold. Decisions without a sum narrate their reason instead.
+ * @returns An object with the decision and its explanation. A decision that
+ * was overridden has the overrides, and the policy's output as proposedOutput.
+ */
+function decide(trip, policy, inputs, choice, weighing) {
+    let decision = policy.evaluate(inputs, trip.random, { io: trip.io, outcomes: choice.outcomes });
+
+    if (decision.sum !== undefined) {
+        trip.io.log(weighing(decision));
+    } else if (decision.reason) {
+        trip.io.log(decision.reason);
+    }
+
+    const proposal = createDecisionProposal({
+        decision: policy.name,
+        phase: choice.phase,
+        inputs: decision.inputs,
+        output: decision.output,
+        outcomes: choice.outcomes,
+        costs: choice.costs,
+        money: trip.money
+    });
+    trip.events.emit("decisionProposed", proposal);
+
+    const other = 1 - proposal.output;
+    if (choice.canAfford && !choice.canAfford(proposal.output) && choice.canAfford(other)) {
+        proposal.change(other, "I can't afford to " + choice.outcomes[proposal.output] + ", so I'll " + choice.outcomes[other] + " instead.");
+    }
+
+    if (proposal.overrides.length > 0) {
+        proposal.overrides.forEach((override) => trip.io.log(override.reason));
+        decision = Object.assign({}, decision, { output: proposal.output, proposedOutput: decision.output, overrides: proposal.overrides });
+    }
+
+    return { decision: decision, explanation: explain(trip, policy, decision, choice.outcomes) };
+}
+
+/**
+ * Explains a decision (see explain.js) and, if the trip was asked to explain
+ * itself, tells the user how the sum came about and what would have changed it.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} perceptron The perceptron that made the decision.
+ * @param {*} decision The decision it returned from evaluate.
+ * @param {*} outcomes What the agent does when the perceptron fires and when it does not.
+ * @returns The explanation, which goes into the decision's trace event.
+ */
+function explain(trip, perceptron, decision, outcomes) {
+    const explanation = explainDecision(perceptron, decision, outcomes);
+
+    if (trip.explain) {
+        trip.io.log(formatExplanation(explanation));
+    }
+
+    return explanation;
+}
+
+/**
+ * Formats the probability of a decision as a whole percentage, e.g. "27%".
+ *
+ * @param {*} decision A decision returned by a perceptron's evaluate function.
+ * @returns The percentage as a string.
+ */
+function percentChance(decision) {
+    return Math.round(decision.probability * 100) + "%";
+}
+
+/**
+ * Joins a list of words into a readable phrase, e.g. "left, right, or straight ahead".
+ *
+ * @param {*} words An array of strings.
+ * @param {*} conjunction The word placed before the last entry, e.g. "or".
+ * @returns The joined phrase.
+ */
+function listInWords(words, conjunction) {
+    if (words.length <= 2) {
+        return words.join(" " + conjunction + " ");
+    }
+
+    return words.slice(0, -1).join(", ") + ", " + conjunction + " " + words[words.length - 1];
+}
+
+/**
+ * Decides between the local and brand name variants of an item on the
+ * checklist and puts whichever the agent ends up with in the cart.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} item The item from the catalog, e.g. {name: "eggs", variants: {...}}.
+ */
+function shopForItem(trip, item) {
+    const localItem = {item: item.name, type: 'local', price: item.variants["local"]};
+    const brandNameItem = {item: item.name, type: 'brand name', price: item.variants["brand name"]};
+
+    const wanted = chooseItemVariant(trip, localItem, brandNameItem);
+    const bought = takeItem(trip, wanted, wanted === localItem ? brandNameItem : localItem);
+
+    if (bought) {
+        trip.shoppingCart.push(bought);
+        trip.events.emit("itemAddedToCart", { phase: "store", item: bought.item, type: bought.type, price: bought.price, itemsInCart: trip.shoppingCart.length });
+    }
+}
+
+/**
+ * Puts an item from the cart back on its shelf, then lets the agent decide
+ * again between local and brand name. Nothing has been paid for until
+ * checkout, so the refund is just the item's price coming off the cart.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @param {*} itemName The name of the item to put back, e.g. "eggs".
+ * @returns True if the item was in the cart, false if it was not.
+ */
+function returnItem(trip, itemName) {
+    const index = trip.shoppingCart.map((cartItem) => cartItem.item).lastIndexOf(itemName);
+
+    if (index === -1) {
+        trip.io.log("There's no " + itemName + " in my cart.\n");
+        return false;
+    }
+
+    const returned = trip.shoppingCart.splice(index, 1)[0];
+    putBackOnShelf(trip.inventory, returned.item, returned.type);
+    trip.substitutions = trip.substitutions.filter((substitution) => substitution.item !== returned.item);
+
+    trip.io.log("I put the " + returned.type + " " + returned.item + " back on the shelf. That's " + formatMoney(returned.price) + " off my cart.");
+    trip.agent.addAction("return " + returned.type + " " + returned.item,
+        { phase: "store", item: returned.item, refund: returned.price, moneyBefore: trip.money, moneyAfter: trip.money });
+
+    shopForItem(trip, trip.catalog.items.find((item) => item.name === returned.item));
+    trip.io.log("");
+    return true;
+}
+
+/* DEV NOTE: In the store, the user types commands into a small shell (see
+   shell.js): going to a section, looking at the cart, the wallet and the list,
+   returning an item, undoing the last go or return, and checking out. Undo puts
+   back the cart, the shelves and the checklist as they were before the command,
+   but not the random draws or the clock, so going to a section again can turn out differently.
+   The autopilot only ever goes to sections, and checks out as soon as the
+   checklist is done. Each section takes its minutes of the catalog, and
+   checking out takes checkoutMinutes. If the agent gets there before the
+   store opens it waits; once the store closes it has to leave with whatever
+   is in the cart, paid for on the way out, and cannot buy any optional items. Only the items on the shopping list are bought, and
+   the sections with nothing on the list are left out of the checklist. */
+function storeScenario(trip) {
+    trip.atStore = true;
+    trip.agent.addEnvironment("store", { phase: "store" });
+    
+    let checkedOut = false;
+    let closed = false;
+    let showSections = true;
+    let position = { x: 0, y: 0 };
+    let visited = {};
+    const history = [];
+
+    trip.io.log("I'm at the store.\n");
+
+    const day = Math.floor(trip.time / 1440) * 1440;
+    const closingTime = day + trip.catalog.openingHours.closes;
+    if (trip.time < day + trip.catalog.openingHours.opens) {
+        trip.io.log("The store doesn't open until " + formatTime(day + trip.catalog.openingHours.opens) + ", so I'll wait " +
+            formatMinutes(day + trip.catalog.openingHours.opens - trip.time) + ".\n");
+        trip.time = day + trip.catalog.openingHours.opens;
+    }
+    if (!trip.autopilot) {
+        trip.io.log("(Type help to see everything I can do in here.)\n");
+    }
+
+    const onList = (key) => itemsInSection(trip.catalog, key).filter((item) => trip.shoppingList.includes(item.name));
+    const sectionKeys = trip.catalog.sections.map((section) => section.key).filter((key) => onList(key).length > 0);
+    const routePrompt = "Choose " + trip.catalog.sections.map((section) => section.key + " for " + section.name).join(", ") + "> ";
+    const itemsLeft = () => sectionKeys.filter((key) => !visited[key])
+        .reduce((items, key) => items.concat(onList(key).map((item) => item.name)), []);
+    const abandonItemsLeft = () => itemsLeft().forEach((itemName) => {
+        trip.io.log("I'll leave without the " + itemName + ".");
+        trip.abandonedItems.push(itemName);
+        trip.agent.addAction("abandon " + itemName, { phase: "store", item: itemName, moneyBefore: trip.money, moneyAfter: trip.money });
+    });
+
+    while (!checkedOut) {
+        if (trip.time >= closingTime) {
+            trip.io.log(history.length === 0 ?
+                "It's " + formatTime(trip.time) + " and the store closed at " + formatTime(closingTime) + ", so I can't buy anything today." :
+                "It's " + formatTime(trip.time) + " and the store closes at " + formatTime(closingTime) + ", so I have to check out now.");
+            abandonItemsLeft();
+            closed = true;
+            break;
+        }
+        if (showSections) {
+            trip.catalog.sections.forEach((section) => trip.io.log(section.description));
+            trip.io.log("Do I want to go " + listInWords(trip.catalog.sections.map((section) => section.name), "or") + "?\n");
+        }
+        showSections = false;
+
+        const sectionsLeft = sectionKeys.filter((key) => !visited[key]);
+        let routeDecision;
+
+        if (trip.autopilot) {
+            routeDecision = String(trip.autopilot(trip, position, sectionsLeft));
+            trip.io.log(routePrompt + routeDecision + " (autopilot)");
+        } else {
+            routeDecision = String(trip.io.question(routePrompt, (line) => completeCommand(trip.catalog, trip.shoppingCart, line)));
+        }
+
+        const command = parseCommand(trip.catalog, routeDecision);
+        const section = command && command.name === "go" ? findSection(trip.catalog, command.argument) : undefined;
+        const snapshot = {
+            command: routeDecision.trim(),
+            position: position,
+            visited: Object.assign({}, visited),
+            shoppingCart: trip.shoppingCart.slice(),
+            substitutions: trip.substitutions.slice(),
+            missedItems: trip.missedItems.slice(),
+            unaffordableItems: trip.unaffordableItems.slice(),
+            shelves: JSON.parse(JSON.stringify(trip.inventory.shelves))
+        };
+                
+        if (!command) {
+            trip.io.log("ERROR: Invalid input. Try again.\n");
+            showSections = true;
+
+        } else if (section && !sectionKeys.includes(section.key)) {
+            position = section.position;
+
+            trip.io.log("There's nothing on my list here. Better backtrack.\n");
+            showSections = true;
+
+        } else if (section && !visited[section.key]) {
+            position = section.position;
+
+            for (const item of onList(section.key)) {
+                otherShoppersVisit(trip.inventory, trip.catalog, item.name, trip.random);
+                shopForItem(trip, item);
+            }
+            visited[section.key] = true;
+            trip.time += section.minutes;
+            history.push(snapshot);
+
+            trip.io.log("\n");
+
+            if (sectionKeys.every((key) => visited[key])) {
+                if (trip.autopilot) {
+                    checkedOut = true;
+                } else {
+                    trip.io.log("That's everything on my list. (Type checkout to pay.)\n");
+                }
+            } else {
+                showSections = true;
+            }
+
+        } else if (section) {
+            position = section.position;
+
+            trip.io.log("I already have what I need from here. Better backtrack.\n");
+            showSections = true;
+
+        } else if (command.name === "cart") {
+            trip.io.log(trip.shoppingCart.length === 0 ? "My cart is empty." :
+                trip.shoppingCart.map((cartItem) => "  " + cartItem.type + " " + cartItem.item + ": " + formatMoney(cartItem.price)).join("\n"));
+            trip.io.log("");
+
+        } else if (command.name === "wallet") {
+            const total = createReceipt(trip.shoppingCart, trip.catalog.salesTaxRate, trip.money).total;
+            trip.io.log("I have " + formatMoney(trip.money) + ". My cart comes to " + formatMoney(total) + " with tax, which would leave me " +
+                formatMoney(trip.money - total) + ".\n");
+
+        } else if (command.name === "list") {
+            trip.io.log(itemsLeft().length === 0 ? "I have everything I need on my list." : "Still on my list: " + listInWords(itemsLeft(), "and") + ".");
+            if (trip.catalog.optionalItems.length > 0) {
+                trip.io.log("At checkout, if I can spare the money: " + listInWords(trip.catalog.optionalItems.map((item) => item.name), "and") + ".");
+            }
+            trip.io.log("");
+
+        } else if (command.name === "return") {
+            if (returnItem(trip, command.argument)) {
+                history.push(snapshot);
+            }
+
+        } else if (command.name === "undo") {
+            const last = history.pop();
+
+            if (!last) {
+                trip.io.log("There's nothing to undo.\n");
+            } else {
+                position = last.position;
+                visited = last.visited;
+                trip.shoppingCart = last.shoppingCart;
+                trip.substitutions = last.substitutions;
+                trip.missedItems = last.missedItems;
+                trip.unaffordableItems = last.unaffordableItems;
+                trip.inventory.shelves = last.shelves;
+
+                trip.io.log("Undid \"" + last.command + "\". My cart is back to how it was.\n");
+                trip.agent.addAction("undo " + last.command, { phase: "store", moneyBefore: trip.money, moneyAfter: trip.money });
+                showSections = true;
+            }
+
+        } else if (command.name === "checkout") {
+            if (itemsLeft().length > 0 && command.argument !== "abandon") {
+                trip.io.log("I still need " + listInWords(itemsLeft(), "and") + ". (Type checkout abandon to leave without them.)\n");
+            } else {
+                abandonItemsLeft();
+                checkedOut = true;
+            }
+
+        } else if (command.name === "help") {
+            Object.keys(shellCommands).forEach((name) => trip.io.log("  " + shellCommands[name]));
+            trip.io.log("");
+        }
+    }
+
+    const receipt = createReceipt(trip.shoppingCart, trip.catalog.salesTaxRate, trip.money);
+    trip.io.log("Here's my receipt:");
+    trip.io.log(formatReceipt(receipt));
+    trip.agent.recordEvent({
+        type: "payment",
+        phase: "store",
+        description: "groceries",
+        items: trip.shoppingCart.map((item) => item.type + " " + item.item),
+        subtotal: receipt.subtotal,
+        salesTax: receipt.tax,
+        amount: receipt.total,
+        payment: receipt.payment,
+        change: receipt.change,
+        moneyBefore: trip.money,
+        moneyAfter: trip.money - receipt.total
+    });
+    trip.events.emit("checkout", { phase: "store", receipt: receipt });
+    payFor(trip, { phase: "store", kind: "groceries", description: "groceries", amount: receipt.total, receipt: receipt });
+
+    trip.io.log("Money left: " + formatMoney(trip.money));
+
+    if (closed) {
+        trip.io.log("The store is closed, so the tills are shut and I can't buy anything else.");
+    } else {
+        trip.time += trip.catalog.checkoutMinutes;
+        chooseOptionalItems(trip);
+    }
+
+    trip.io.log("");
+}
+
+/**
+ * Works out the fare the agent expects to pay to get home, before it knows
+ * which roads are closed: the dearer of the bus and a taxi on the usual route.
+ *
+ * @param {*} trip The trip the agent is on.
+ * @returns The expected fare home.
+ */
+function expectedFareHome(trip) {
+    const fares = referenceFares(trip.roadMap);
+    return Math.max(fares.bus, fares.taxi);
+}
+
+/* AGENT'S CHECKOUT PERCEPT: The required items are paid for. Which of the
+   optional items on my list (like the energy drink) are worth buying?
+
+   DEV NOTE: Each optional item has a utility, which is what it is worth to the
+   agent in dollars. The agent looks at the items with the most utility per
+   dollar first, and buys one only if it is worth its price and the agent would
+   still have the expected fare home plus the catalog's moneyToKeep afterwards.
+   So an item the agent cannot afford may be skipped for a cheaper one further
+   down the list. */
+function chooseOptionalItems(trip) {
+    const fareHome = expectedFareHome(trip);
+    const valueForMoney = (item) => item.price === 0 ? Infinity : item.utility / item.price;
+    const ranked = trip.catalog.optionalItems.slice().sort((a, b) => valueForMoney(b) - valueForMoney(a));
+
+    for (const optionalItem of ranked) {
+        const details = {
+            phase: "store",
+            item: optionalItem.name,
+            price: optionalItem.price,
+            utility: optionalItem.utility,
+            expectedFareHome: fareHome,
+            moneyToKeep: trip.catalog.moneyToKeep,
+            moneyBefore: trip.money
+        };
+
+        if (optionalItem.utility < optionalItem.price) {
+            trip.io.log("The " + optionalItem.name + " isn't worth " + formatMoney(optionalItem.price) + " to me.");
+            trip.agent.addAction("skip " + optionalItem.name, Object.assign(details, { moneyAfter: trip.money }));
+        } else if (trip.money - optionalItem.price - fareHome < trip.catalog.moneyToKeep) {
+            trip.io.log("Ugh, if I get the " + optionalItem.name + ", I won't have enough money for the ride home and other things...");
+            trip.agent.addAction("skip " + optionalItem.name, Object.assign(details, { moneyAfter: trip.money }));
+        } else {
+            trip.io.log("I'll get the " + optionalItem.name + ".");
+
+            payFor(trip, { phase: "store", kind: "optional item", description: optionalItem.name, amount: optionalItem.price });
+            trip.optionalItemsBought.push(optionalItem);
+            trip.agent.addAction("buy " + optionalItem.name, Object.assign(details, { moneyAfter: trip.money }));
+
+            trip.io.log("Money left: " + formatMoney(trip.money));
+        }
+    }
+}
+
+/* AGENT'S TRANSIT PERCEPT: I am done shopping. Now to get back home.
+   Because I have grocery bags, it would be preferable to take
+   a taxi home so I don't have to hold on to the bags on the bus.
+   Bus and taxi fares are still the same. Unfortunately, one of
+   the main roads is now closed so now it will take an additional
+   mile to get home from the store, regardless of whether I take
+   the bus or taxi. (Which roads are closed comes from the road map,
+   road-map.json by default.)
+
+   ADDITIONAL FACTORS
+    - Is the weather bad? (increases likelihood of taking taxi)
+    - Is traffic density high? (now increases likelihood of taking bus)
+    - Is the bus crowded? (increases likelihood of taking taxi)
+    - Money left (increases likelihood of taking bus)
+    - How much longer does the bus take? (increases likelihood of taking taxi)
+    - Preference for taxi due to groceries (bias for taxi)
+
+   CRITERIA                 INPUT                   WEIGHT
+   
+   Cost                     x1 = 1                 w1 = 0.7
+   Bad Weather        x2 = either 0 or 1           w2 = -0.5
+   Heavy Traffic      x3 = either 0 or 1           w3 = 0.6
+   Bus Crowding       x4 = either 0 or 1           w4 = -0.3
+   Money Left         x5 = either 0 or 1           w5 = 0.4
+   Time               x6 = extra bus time          w6 = -0.3
+   Bias for Taxi                                   w7 = -0.2
+
+   DEV NOTE: The input values for Bad Weather, Heavy Traffic, and
+   Bus Crowding are to be interpreted as a boolean of either 0 (false)
+   or 1 (true). The input value for Money Left is determined on how 
+   much money the agent has left. If they have less than $40, then
+   they will be more likely to take the bus (1). The Bias for Taxi
+   is factored into the decision for the agent as well as Cost.
+   The Cost input is 1 for a taxi ride as long as the usual 2 miles and
+   grows with the taxi fare (see costFactor), so the 3 mile detour makes
+   it 1.1. The weather, traffic and bus crowding follow on from what they
+   were on the way to the store, so a stormy morning is likely to stay stormy.
+   The Time input is worked out as on the way there (see timeFactor), from
+   whenever the agent leaves the store.
+*/
+const busHomeDefaults = {
+    name: "bus home",
+    weights: { cost: 0.7, weather: -0.5, traffic: 0.6, busCrowding: -0.3, moneyUnder40: 0.4, time: -0.3 },
+    bias: -0.2,
+    threshold: 1.3
+};
+
+function takeTaxiOrBus(trip) {
+    const phase = "to home";
+    trip.atStore = false;
+    trip.onTheStreets = true;
+
+    trip.io.log("Time to head home.\n");
+
+    const plan = planRoute(trip, "toHome");
+    const cost_factor = costFactor(trip, "toHome");
+
+    const street = nextConditions(trip.environmentModel, trip.conditions, trip.random);
+    trip.conditions = street.conditions;
+
+    let weatherFactor = street.conditions.weather;
+    if (weatherFactor == 0.0) {
+        trip.io.log("It's nice outside today! ");
+    } else if (weatherFactor == 1.0) {
+        trip.io.log("The weather looks awful today... ");
+    }
+
+    let trafficFactor = street.conditions.traffic;
+    if (trafficFactor == 0.0) {
+        trip.io.log("Traffic flow is normal for now. ");
+    } else if (trafficFactor == 1.0) {
+        trip.io.log("There is a lot of traffic on the roads... ");
+    }
+
+    let busCrowdingFactor = street.conditions.busCrowding;
+    if (busCrowdingFactor == 0) {
+        trip.io.log("Plenty of space on the bus.");
+    } else if (busCrowdingFactor == 1.0) {
+        trip.io.log("There is a lot of people on the bus.");
+    }
+
+    const times = timeRide(trip, "toHome");
+
+    let moneyUnder$40 = 0;
+    if (trip.money < littleMoney) {
+        moneyUnder$40 = 1;
+        trip.io.log("Don't have much cash left...\n");
+    }
+
+    const inputs = {
+        cost: cost_factor,
+        weather: weatherFactor,
+        traffic: trafficFactor,
+        busCrowding: busCrowdingFactor,
+        moneyUnder40: moneyUnder$40,
+        time: timeFactor(times)
+    };
+    trip.agent.addEnvironment("street", {
+        phase: phase,
+        inputs: inputs,
+        chances: street.chances,
+        closedRoads: plan.closedRoads,
+        route: plan.route,
+        fares: plan.fares,
+        time: trip.time,
+        times: times
+    });
+
+    const moneyBefore = trip.money;
+    const { decision, explanation } = decide(trip, trip.perceptrons.busHome, inputs,
+        { phase: phase, outcomes: { 1: "take the bus", 0: "take a taxi" }, costs: { 1: plan.fares.bus, 0: plan.fares.taxi },
+            canAfford: (output) => (output === 1 ? plan.fares.bus : plan.fares.taxi) <= trip.money },
+        (weighed) => "Threshold to take a bus is " + weighed.threshold.toFixed(1) +
+            ". Current conditions: " + weighed.sum.toPrecision(2) + " (chance of the bus: " + percentChance(weighed) + ")");
+
+    if (decision.output === 1) {
+        trip.io.log("Got to take the bus.");
+        payFor(trip, { phase: phase, kind: "fare", description: "bus home", amount: plan.fares.bus });
+        trip.tookBusHome = true;
+        trip.agent.addAction("take bus", Object.assign({ phase: phase }, decision, { explanation: explanation, moneyBefore: moneyBefore, moneyAfter: trip.money }));
+        arriveAt(trip, "home", times.bus.arrival);
+        trip.onTheStreets = false;
+        return trip.tookBusHome;
+    } else {
+        trip.io.log("I'll take the taxi.");
+        payFor(trip, { phase: phase, kind: "fare", description: "taxi home", amount: plan.fares.taxi });
+        trip.tookTaxiHome = true;
+        trip.agent.addAction("take taxi", Object.assign({ phase: phase }, decision, { explanation: explanation, moneyBefore: moneyBefore, moneyAfter: trip.money }));
+        arriveAt(trip, "home", times.taxi.arrival);
+        trip.onTheStreets = false;
+        return trip.tookTaxiHome;
+    }
+}
+
+
+/**
+ * The agent is back home. Sums up how the trip went.
+ *
+ * @param {*} trip The trip the agent is on.
+ */
+function arriveHome(trip) {
+    trip.atHome = true;
+    trip.agent.addEnvironment("home", { phase: "home" });
+    trip.io.log("Money left: " + formatMoney(trip.money) + "\n");
+
+    if (trip.tookBusHome) {
+        trip.io.log("I would have rather took a cab but I got to save what money I have.\n");
+    } else if (trip.tookTaxiHome) {
+        trip.io.log("Smooth ride back home...\n");
+    }
+
+    const optionalItemsSkipped = trip.catalog.optionalItems.filter((item) => !trip.optionalItemsBought.includes(item));
+    const littleMoneyLeft = trip.money < littleMoney;
+    const optionalItemsMessages = [];
+
+    if (trip.optionalItemsBought.length > 0) {
+        const bought = listInWords(trip.optionalItemsBought.map((item) => item.name), "and");
+        optionalItemsMessages.push(littleMoneyLeft ? "But at least I got the " + bought + "." : "And I got the " + bought + "! Nice!");
+    }
+    if (optionalItemsSkipped.length > 0) {
+        const skipped = listInWords(optionalItemsSkipped.map((item) => item.name), trip.optionalItemsBought.length > 0 ? "and" : "or");
+        optionalItemsMessages.push(trip.optionalItemsBought.length > 0 ? "I passed on the " + skipped + " this time." :
+            littleMoneyLeft ? "And I couldn't get the " + skipped + " without spending too much..." : "But no " + skipped + ".");
+    }
+
+    trip.substitutions.forEach((substitution) => {
+        trip.io.log("I had to get " + substitution.bought + " " + substitution.item + " instead of " + substitution.wanted + ".");
+    });
+
+    const wentWithout = trip.missedItems.concat(trip.unaffordableItems, trip.abandonedItems);
+    const missed = listInWords(wentWithout, "or");
+
+    if (littleMoneyLeft) {
+        trip.io.log(wentWithout.length === 0 ? "I got everything I needed but I have little money left." :
+            "I couldn't get any " + missed + ", and I have little money left.");
+    } else {
+        trip.io.log(wentWithout.length === 0 ? "I got everything I needed and still have plenty of money left." :
+            "I couldn't get any " + missed + ", but I still have plenty of money left.");
+    }
+
+    optionalItemsMessages.forEach((message) => trip.io.log(message));
+
+    const minutes = trip.time - trip.departure;
+    trip.io.log("I set out at " + formatTime(trip.departure) + ", " +
+        listInWords(trip.arrivals.map((arrival) => "got " + (arrival.place === "home" ? "back home" : "to the " + arrival.place) +
+            " at " + formatTime(arrival.time)), "and") +
+        ": " + (minutes >= 60 ? Math.floor(minutes / 60) + (minutes >= 120 ? " hours " : " hour ") : "") + formatMinutes(minutes % 60) + " in all.");
+
+    trip.io.log("");
+
+    trip.agent.recordEvent({
+        type: "tripEnd",
+        phase: "home",
+        money: trip.money,
+        substitutions: trip.substitutions,
+        missedItems: trip.missedItems,
+        unaffordableItems: trip.unaffordableItems,
+        abandonedItems: trip.abandonedItems,
+        departure: trip.departure,
+        arrivals: trip.arrivals
+    });
+    trip.events.emit("tripEnd", trip.agent.trace[trip.agent.trace.length - 1]);
+}
+
+/**
+ * Creates the perceptrons the agent decides with, from saved settings where
+ * there are any and from the defaults above otherwise.
+ *
+ * DEV NOTE: With multilayer, the bus home decision, which has the most inputs,
+ * is made by a small multi-layer network (see network.js) trained to start out
+ * making the same decisions as the bus home perceptron. It is trained on the
+ * cost and time inputs the agent really sees (see costFactor and timeFactor):
+ * the bus is rarely more than 20 minutes slower in the day, but after the last
+ * bus it is the next morning's, which can make the time input 12 or more.
+ *
+ * @param {*} saved Optional saved settings keyed like the result, e.g. {taxiToStore: {weights, bias, threshold}}.
+ * @param {*} settings Optional activation ("step", "sigmoid" or "tanh") and
+ * steepness for every perceptron, and multilayer (true or false).
+ * @returns An object with the taxiToStore, brandName and busHome perceptrons.
+ */
+function createPerceptrons(saved, settings) {
+    const defaults = { taxiToStore: taxiToStoreDefaults, brandName: brandNameDefaults, busHome: busHomeDefaults };
+    const activation = {};
+    const perceptrons = {};
+
+    if (settings && settings.activation !== undefined) activation.activation = settings.activation;
+    if (settings && settings.steepness !== undefined) activation.steepness = settings.steepness;
+
+    Object.keys(defaults).forEach((key) => {
+        perceptrons[key] = new Perceptron(Object.assign({}, defaults[key], saved && saved[key], activation));
+    });
+
+    if (settings && settings.multilayer) {
+        perceptrons.busHome = networkLike(perceptrons.busHome, {
+            inputValues: { cost: [0.8, 1, 1.2], time: [-0.1, 0.1, 0.3, 0.6, 1, 3, 8, 14] }
+        });
+    }
+
+    return perceptrons;
+}
+
+
+/**
+ * Runs one whole trip: home to the store, shopping, and back home again.
+ *
+ * @param {*} options The catalog to shop from, the seed for the random source
+ * (or the random source itself, see session.js), the autopilot strategy
+ * (leave it out to ask the user for the route), and
+ * optionally the perceptrons to decide with, the I/O object for the
+ * narration and questions, the starting money, the road map, the road
+ * closure setting, the environment model, the store's inventory and whether
+ * to explain every decision, the EventEmitter to tell what happens and the
+ * plugins to subscribe to it (see plugins.js), the time the agent sets
+ * out and the shopping list (see createTrip). Pass the same inventory to trip
+ * after trip to shop at the same store: it is restocked before every trip but the first.
+ * A shopping list must name at least one item, and only items the store sells.
+ * @returns The finished trip object.
+ */
+function runTrip(options) {
+    if (options.shoppingList) {
+        if (options.shoppingList.length === 0) {
+            throw new Error("A trip needs at least one item on its shopping list.");
+        }
+        const unknown = options.shoppingList.filter((name) => !options.catalog.items.some((item) => item.name === name));
+        if (unknown.length > 0) {
+            throw new Error("The shopping list has " + listInWords(unknown.map((name) => "\"" + name + "\""), "and") + ", which the store does not sell.");
+        }
+    }
+
+    const trip = createTrip({
+        catalog: options.catalog,
+        random: options.random || createRandomSource(options.seed),
+        autopilot: options.autopilot !== undefined ? createAutopilot(options.autopilot) : null,
+        perceptrons: options.perceptrons,
+        io: options.io,
+        money: options.money,
+        roadMap: options.roadMap,
+        closures: options.closures,
+        environmentModel: options.environmentModel,
+        inventory: options.inventory,
+        explain: options.explain,
+        events: options.events,
+        departure: options.departure,
+        shoppingList: options.shoppingList
+    });
+    registerPlugins(trip.events, options.plugins || []);
+
+    if (trip.inventory.trips > 0) {
+        restockInventory(trip.inventory, trip.catalog);
+    }
+    trip.inventory.trips += 1;
+
+    trip.agent.recordEvent({ type: "tripStart", seed: options.seed, autopilot: options.autopilot !== undefined ? options.autopilot : null, money: trip.money });
+    trip.events.emit("tripStart", trip.agent.trace[trip.agent.trace.length - 1]);
+    trip.agent.addEnvironment("home", { phase: "home" });
+
+    trip.io.log("\nSeed: " + options.seed + " (run with --seed " + options.seed + " to repeat this trip)");
+    trip.io.log("Starting money: " + formatMoney(trip.money) + "\n");
+
+    takeBusOrTaxi(trip);
+    trip.io.log("Current money: " + formatMoney(trip.money) + "\n");
+
+    storeScenario(trip);
+
+    takeTaxiOrBus(trip);
+    arriveHome(trip);
+
+    return trip;
+}
+
+module.exports = {
+    littleMoney,
+    taxiToStoreDefaults,
+    brandNameDefaults,
+    busHomeDefaults,
+    createPerceptrons,
+    createTrip,
+    costFactor,
+    timeFactor,
+    timeRide,
+    arriveAt,
+    planRoute,
+    takeBusOrTaxi,
+    chooseItemVariant,
+    takeItem,
+    decide,
+    explain,
+    payFor,
+    shopForItem,
+    returnItem,
+    storeScenario,
+    expectedFareHome,
+    chooseOptionalItems,
+    takeTaxiOrBus,
+    arriveHome,
+    listInWords,
+    percentChance,
+    runTrip
+};
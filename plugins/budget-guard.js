@@ -0,0 +1,26 @@
+/*
+ * A plugin that keeps the agent from spending below a floor (see
+ * lib/plugins.js). Whenever a decision would leave the agent with less than
+ * the floor and the other choice would not, it vetoes the decision, e.g. no
+ * taxi when the fare would leave less than $20.
+ *
+ * Options: floor, the money to keep in cents (default 2000, which is $20).
+*/
+
+const { formatMoney } = require("../lib/money");
+
+module.exports = {
+    name: "budget guard",
+    register: function (events, options) {
+        const floor = options.floor !== undefined ? options.floor : 2000;
+
+        events.on("decisionProposed", (proposal) => {
+            const other = 1 - proposal.output;
+
+            if (proposal.money - proposal.costs[proposal.output] < floor && proposal.money - proposal.costs[other] >= floor) {
+                proposal.veto("Budget guard: if I " + proposal.outcomes[proposal.output] + ", I'll have less than " + formatMoney(floor) +
+                    " left, so I'll " + proposal.outcomes[other] + " instead.");
+            }
+        });
+    }
+};
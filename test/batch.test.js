@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { percentile, runBatch, formatBatchSummary, comparePolicies, formatComparison } = require("../lib/batch");
+const { createPerceptrons } = require("../lib/trip");
+
+const catalog = loadCatalog(defaultCatalogPath);
+
+test("percentile uses the nearest rank", () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+    assert.strictEqual(percentile(values, 10), 1);
+    assert.strictEqual(percentile(values, 50), 5);
+    assert.strictEqual(percentile(values, 90), 9);
+    assert.strictEqual(percentile(values, 100), 10);
+    assert.strictEqual(percentile(values, 0), 1);
+});
+
+test("runBatch is reproducible from its seed and its rates add up", () => {
+    const first = runBatch({ trips: 200, seed: 7, catalog: catalog });
+    const second = runBatch({ trips: 200, seed: 7, catalog: catalog });
+
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(first.trips, 200);
+    assert.ok(Math.abs(first.transport.toStore.taxiPercent + first.transport.toStore.busPercent - 100) < 0.01);
+    assert.ok(Math.abs(first.items.eggs.localPercent + first.items.eggs.brandNamePercent + first.items.eggs.missedPercent - 100) < 0.01);
+    assert.ok(first.finalMoney.min <= first.finalMoney.median && first.finalMoney.median <= first.finalMoney.max);
+    assert.match(formatBatchSummary(first), /Trips simulated: 200 \(batch seed 7\)/);
+});
+
+test("comparePolicies runs every policy on the same trips", () => {
+    const alwaysTaxi = createPerceptrons({ taxiToStore: { threshold: -10 }, busHome: { threshold: 10 } });
+    const comparison = comparePolicies({ "perceptrons": createPerceptrons(), "always taxi": alwaysTaxi }, { trips: 30, seed: 5, catalog: catalog });
+
+    assert.deepStrictEqual(comparison.policies.map((policy) => policy.name), ["perceptrons", "always taxi"]);
+    assert.strictEqual(comparison.policies[1].taxiToStorePercent, 100);
+    assert.strictEqual(comparison.policies[1].taxiHomePercent, 100);
+    assert.strictEqual(comparison.policies[1].comfort, 1);
+    assert.ok(comparison.policies[1].moneyLeft < comparison.policies[0].moneyLeft);
+    assert.deepStrictEqual(comparePolicies({ "perceptrons": createPerceptrons() }, { trips: 30, seed: 5, catalog: catalog }).policies[0],
+        comparison.policies[0]);
+    assert.match(formatComparison(comparison), /always taxi\s+\$\d+\.\d\d\s+1\.000/);
+});
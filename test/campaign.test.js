@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { runTrip } = require("../lib/trip");
+const { Perceptron } = require("../lib/perceptron");
+const {
+    defaultHouseholdPath,
+    validateHousehold,
+    loadHousehold,
+    createPantry,
+    itemsRunningLow,
+    stockPantry,
+    usePantry,
+    goShoppingDefaults,
+    runCampaign,
+    summarizeCampaign,
+    formatCampaignSummary
+} = require("../lib/campaign");
+
+const catalog = loadCatalog(defaultCatalogPath);
+const household = loadHousehold(defaultHouseholdPath, catalog);
+
+test("a trip with a shopping list only goes to the sections on it", () => {
+    const trip = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: createSilentIO(), shoppingList: ["milk"] });
+
+    assert.deepStrictEqual(trip.shoppingCart.map((cartItem) => cartItem.item), ["milk"]);
+    assert.strictEqual(trip.agent.environmentSequence.filter((environment) => environment === "store").length, 1);
+    assert.ok(!trip.agent.actionSequence.some((action) => /eggs|lighter/.test(action)));
+});
+
+test("a trip refuses an empty shopping list or one with items the store does not sell", () => {
+    assert.throws(() => runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: createSilentIO(), shoppingList: [] }),
+        /at least one item on its shopping list/);
+    assert.throws(() => runTrip({ catalog: catalog, seed: 42, autopilot: "cheapest", io: createSilentIO(), shoppingList: ["milk", "bread"] }),
+        /The shopping list has "bread", which the store does not sell\./);
+});
+
+test("the pantry runs down a day at a time and fills up with what the agent brings home", () => {
+    const pantry = createPantry(household);
+
+    assert.deepStrictEqual(pantry, { eggs: 2, milk: 1, lighter: 5 });
+    assert.deepStrictEqual(itemsRunningLow(pantry, 1), ["milk"]);
+    assert.deepStrictEqual(usePantry(pantry), []);
+    assert.deepStrictEqual(usePantry(pantry), ["milk"]);
+    assert.deepStrictEqual(pantry, { eggs: 0, milk: 0, lighter: 3 });
+
+    stockPantry(pantry, household, [{ item: "milk", type: "local", price: 700 }, { item: "candy bar", type: "optional", price: 200 }]);
+    assert.deepStrictEqual(pantry, { eggs: 0, milk: 3, lighter: 3 });
+});
+
+test("the agent waits for a second item to run low unless something has run out", () => {
+    const shopper = new Perceptron(goShoppingDefaults);
+    const decide = (inputs) => shopper.evaluate(Object.assign({ runningLow: 0, runOut: 0, moneyUnder40: 0, paydayTomorrow: 0 }, inputs)).output;
+
+    assert.strictEqual(decide({ runningLow: 0.33 }), 0);
+    assert.strictEqual(decide({ runningLow: 0.33, runOut: 1 }), 1);
+    assert.strictEqual(decide({ runningLow: 0.67 }), 1);
+    assert.strictEqual(decide({ runningLow: 0.67, moneyUnder40: 1 }), 0);
+    assert.strictEqual(decide({ runningLow: 0.67, paydayTomorrow: 1 }), 0);
+    assert.strictEqual(decide({ runningLow: 0.33, runOut: 1, moneyUnder40: 1 }), 0);
+    assert.strictEqual(decide({ runningLow: 0.33, runOut: 1, paydayTomorrow: 1 }), 0);
+    assert.strictEqual(decide({ runningLow: 1, moneyUnder40: 1 }), 1);
+});
+
+test("a campaign carries the money and pantry from day to day and shops only for what is running low", () => {
+    const campaign = runCampaign({ days: 21, seed: 4, catalog: catalog, household: household });
+    let money = household.startingMoney;
+
+    campaign.days.forEach((day) => {
+        assert.strictEqual(day.moneyBefore, money + day.income, "day " + day.day);
+        assert.strictEqual(day.income, day.day % 7 === 0 ? 9000 : 0);
+        if (day.shopped) {
+            assert.ok(day.shoppingList.length > 0);
+            day.bought.forEach((bought) => assert.ok(day.shoppingList.some((name) => bought.endsWith(" " + name)), bought));
+            assert.strictEqual(day.moneyAfter, day.moneyBefore - day.spent.fares - day.spent.groceries - day.spent.optionalItems);
+        } else {
+            assert.strictEqual(day.moneyAfter, day.moneyBefore);
+        }
+        money = day.moneyAfter;
+    });
+
+    assert.ok(campaign.days.some((day) => day.shopped) && campaign.days.some((day) => !day.shopped));
+    assert.deepStrictEqual(runCampaign({ days: 21, seed: 4, catalog: catalog, household: household }), campaign);
+});
+
+test("a household that cannot afford the store goes without and the summary says so", () => {
+    const broke = Object.assign({}, household, { startingMoney: 500, income: { amount: 0, everyDays: 7 } });
+    const summary = summarizeCampaign(runCampaign({ days: 7, seed: 1, catalog: catalog, household: broke }), broke);
+
+    assert.strictEqual(summary.trips, 0);
+    assert.ok(summary.daysUnaffordable > 0);
+    assert.deepStrictEqual(summary.emptyDays, { eggs: [3, 4, 5, 6, 7], milk: [2, 3, 4, 5, 6, 7], lighter: [6, 7] });
+    assert.strictEqual(summary.finalMoney, 500);
+    assert.deepStrictEqual(summary.weeks.map((week) => week.trips), [0]);
+    assert.match(formatCampaignSummary(summary), /milk {16}6 \(day 2, 3, 4, 5, 6, 7\)/);
+
+    summary.weeks[0].moneyAtEnd = -175;
+    assert.match(formatCampaignSummary(summary), / -\$1\.75 /);
+    assert.doesNotMatch(formatCampaignSummary(summary), /\$-/);
+});
+
+test("a trip never spends more money than the household has", () => {
+    const poor = Object.assign({}, household, {
+        startingMoney: 2000,
+        income: { amount: 1000, everyDays: 7 },
+        pantry: [{ item: "eggs", lastsDays: 1, daysLeft: 0 }, { item: "milk", lastsDays: 1, daysLeft: 0 }]
+    });
+    const campaign = runCampaign({ days: 28, seed: 1, catalog: catalog, household: poor });
+
+    assert.ok(campaign.days.some((day) => day.shopped));
+    campaign.days.forEach((day) => assert.ok(day.moneyAfter >= 0, "day " + day.day + " ends with " + day.moneyAfter));
+});
+
+test("validateHousehold reports bad income, unknown pantry items and missing days", () => {
+    const bad = JSON.parse(fs.readFileSync(defaultHouseholdPath, "utf8"));
+    bad.income.everyDays = 0;
+    bad.pantry.push({ item: "bread", lastsDays: 2, daysLeft: 1 }, { item: "eggs", lastsDays: 0 });
+
+    assert.deepStrictEqual(validateHousehold(bad, catalog), [
+        "income needs an amount of money and how often it comes in, e.g. {\"amount\": 90, \"everyDays\": 7}.",
+        "pantry item \"bread\" is not an item the store sells.",
+        "pantry item \"eggs\" is listed twice.",
+        "pantry item \"eggs\" needs lastsDays, the whole number of days one unit lasts.",
+        "pantry item \"eggs\" needs daysLeft, the whole number of days the pantry has left on the first day."
+    ]);
+});
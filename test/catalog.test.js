@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { defaultCatalogPath, validateCatalog, loadCatalog, findSection, itemsInSection } = require("../lib/catalog");
+
+function validCatalog() {
+    return JSON.parse(fs.readFileSync(defaultCatalogPath, "utf8"));
+}
+
+test("the default catalog is valid", () => {
+    assert.deepStrictEqual(validateCatalog(validCatalog()), []);
+});
+
+test("validateCatalog reports missing prices and unknown sections", () => {
+    const catalog = validCatalog();
+    delete catalog.items[0].variants["brand name"];
+    catalog.items[1].section = "q";
+
+    assert.deepStrictEqual(validateCatalog(catalog), [
+        "item \"eggs\" is missing a price for its \"brand name\" variant.",
+        "item \"milk\" is in unknown section \"q\"."
+    ]);
+});
+
+test("validateCatalog reports a bad tax rate, duplicate sections and items, and bad optional items", () => {
+    const catalog = validCatalog();
+    catalog.salesTaxRate = 5;
+    catalog.sections[1].key = "L";
+    catalog.items.push(Object.assign({}, catalog.items[1]));
+    catalog.optionalItems = [{ name: "gum" }];
+
+    const errors = validateCatalog(catalog);
+
+    assert.ok(errors.some((error) => error.startsWith("salesTaxRate")));
+    assert.ok(errors.includes("section 2 reuses the key \"L\"."));
+    assert.deepStrictEqual(errors.filter((error) => error.includes("listed twice")), ["item \"milk\" is listed twice."]);
+    assert.ok(errors.includes("optional item \"gum\" is missing a price."));
+    assert.ok(errors.includes("optional item \"gum\" is missing its utility (what it is worth to the agent, in dollars)."));
+});
+
+test("loadCatalog lists every problem in a bad catalog file", () => {
+    const catalogPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "catalog-")), "bad.json");
+    fs.writeFileSync(catalogPath, JSON.stringify({ salesTaxRate: 0.05, sections: [], items: [] }));
+
+    assert.throws(() => loadCatalog(catalogPath), (error) =>
+        error.message.includes("is invalid") &&
+        error.message.includes("sections must be a list") &&
+        error.message.includes("items must be a list"));
+});
+
+test("findSection and itemsInSection look up the catalog by key", () => {
+    const catalog = loadCatalog(defaultCatalogPath);
+
+    assert.strictEqual(findSection(catalog, "r").name, "right");
+    assert.strictEqual(findSection(catalog, "x"), undefined);
+    assert.deepStrictEqual(itemsInSection(catalog, "s").map((item) => item.name), ["lighter"]);
+});
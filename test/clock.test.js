@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseTime, formatTime, formatMinutes, nextBus } = require("../lib/clock");
+const { loadCatalog, defaultCatalogPath, validateCatalog } = require("../lib/catalog");
+const { defaultRoadMapPath, loadRoadMap, validateRoadMap, travelTimes } = require("../lib/roads");
+const { createScriptedIO } = require("../lib/io");
+const { runTrip, timeFactor } = require("../lib/trip");
+
+const catalog = loadCatalog(defaultCatalogPath);
+const roadMap = loadRoadMap(defaultRoadMapPath);
+
+test("parseTime reads a 24 hour clock and formatTime writes a 12 hour one", () => {
+    assert.strictEqual(parseTime("09:30"), 570);
+    assert.strictEqual(parseTime("7:05"), 425);
+    assert.strictEqual(parseTime("24:00"), 1440);
+    [undefined, "", "9.30", "12:60", "24:01", "noon"].forEach((text) => assert.ok(Number.isNaN(parseTime(text)), String(text)));
+
+    assert.strictEqual(formatTime(0), "12:00 AM");
+    assert.strictEqual(formatTime(545), "9:05 AM");
+    assert.strictEqual(formatTime(720), "12:00 PM");
+    assert.strictEqual(formatTime(1445), "12:05 AM the next day");
+    assert.strictEqual(formatMinutes(1), "1 minute");
+});
+
+test("nextBus waits for the next departure and the first bus of the next day after the last one", () => {
+    const timetable = { firstDeparture: 360, lastDeparture: 1380, everyMinutes: 15 };
+
+    assert.strictEqual(nextBus(timetable, 300), 360);
+    assert.strictEqual(nextBus(timetable, 600), 600);
+    assert.strictEqual(nextBus(timetable, 601), 615);
+    assert.strictEqual(nextBus(timetable, 1381), 1440 + 360);
+});
+
+test("travelTimes slows both rides in traffic and the bus when it is crowded", () => {
+    const calm = travelTimes(roadMap, 2, 601, { traffic: 0, busCrowding: 0 });
+    const busy = travelTimes(roadMap, 2, 601, { traffic: 1, busCrowding: 1 });
+
+    assert.deepStrictEqual(calm.taxi, { wait: 4, ride: 5, total: 9, arrival: 610 });
+    assert.deepStrictEqual(calm.bus, { departure: 615, wait: 14, ride: 8, total: 22, arrival: 623 });
+    assert.strictEqual(busy.taxi.ride, 10);
+    assert.strictEqual(busy.bus.ride, 17);
+    assert.strictEqual(timeFactor(calm), 0.43);
+});
+
+test("the road map's travel section and the catalog's hours are validated", () => {
+    const map = JSON.parse(fs.readFileSync(defaultRoadMapPath, "utf8"));
+    map.travel.taxi.milesPerHour = 0;
+    map.travel.bus.timetable.firstDeparture = "25:00";
+    assert.deepStrictEqual(validateRoadMap(map), [
+        "travel.taxi needs a milesPerHour and a trafficMilesPerHour greater than 0.",
+        "travel.bus.timetable needs a firstDeparture and a lastDeparture such as \"06:00\" and \"23:00\", the first no later than the last."
+    ]);
+
+    const store = JSON.parse(fs.readFileSync(defaultCatalogPath, "utf8"));
+    store.hours = { opens: "21:00", closes: "08:00" };
+    store.checkoutMinutes = -1;
+    store.sections[0].minutes = 2.5;
+    assert.deepStrictEqual(validateCatalog(store), [
+        "section 1 has minutes (the time spent shopping there) that are not a whole number.",
+        "hours needs the time the store opens and closes, such as \"08:00\" and \"21:00\", opening before it closes.",
+        "checkoutMinutes must be a whole number of minutes."
+    ]);
+    assert.deepStrictEqual(validateCatalog(JSON.parse(JSON.stringify(catalog))), []);
+});
+
+test("loadCatalog refuses store hours given as numbers instead of \"HH:MM\"", () => {
+    const store = JSON.parse(fs.readFileSync(defaultCatalogPath, "utf8"));
+    store.hours = { opens: 1200, closes: 1260 };
+    const catalogPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "catalog-")), "numeric-hours.json");
+    fs.writeFileSync(catalogPath, JSON.stringify(store));
+
+    assert.throws(() => loadCatalog(catalogPath), /hours needs the time the store opens and closes/);
+    assert.deepStrictEqual(catalog.openingHours, { opens: parseTime(catalog.hours.opens), closes: parseTime(catalog.hours.closes) });
+});
+
+test("a trip keeps the time, waits for the store to open and checks out when it closes", () => {
+    const early = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createScriptedIO([]), departure: 300 });
+    const store = early.arrivals.find((arrival) => arrival.place === "store");
+
+    assert.deepStrictEqual(early.arrivals.map((arrival) => arrival.place), ["store", "home"]);
+    assert.ok(early.io.lines.includes("The store doesn't open until 8:00 AM, so I'll wait " + formatMinutes(480 - store.time) + ".\n"));
+    assert.ok(early.arrivals[1].time > 480);
+
+    const late = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createScriptedIO([]), departure: parseTime("20:45") });
+    assert.ok(late.io.lines.some((line) => /the store closes at 9:00 PM, so I have to check out now\./.test(line)));
+    assert.deepStrictEqual(late.abandonedItems, ["milk", "lighter"]);
+    assert.strictEqual(late.agent.trace.find((event) => event.type === "tripEnd").departure, parseTime("20:45"));
+});
+
+test("a closed store sells no optional items and takes no time to check out", () => {
+    const late = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createScriptedIO([]), departure: parseTime("20:45") });
+    const closed = runTrip({ catalog: catalog, seed: 3, autopilot: "nearest", io: createScriptedIO([]), departure: parseTime("23:50") });
+    const store = closed.arrivals.find((arrival) => arrival.place === "store");
+
+    [late, closed].forEach((trip) => {
+        assert.deepStrictEqual(trip.optionalItemsBought, []);
+        assert.ok(trip.io.lines.includes("The store is closed, so the tills are shut and I can't buy anything else."));
+    });
+    assert.ok(closed.io.lines.includes("It's " + formatTime(store.time) + " and the store closed at 9:00 PM, so I can't buy anything today."));
+    assert.deepStrictEqual(closed.shoppingCart, []);
+    assert.strictEqual(closed.legs.toHome.times.taxi.arrival - closed.legs.toHome.times.taxi.total, store.time);
+});
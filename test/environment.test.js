@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createRandomSource } = require("../lib/random");
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { runTrip } = require("../lib/trip");
+const {
+    defaultEnvironmentModelPath,
+    validateEnvironmentModel,
+    loadEnvironmentModel,
+    conditionChances,
+    nextConditions
+} = require("../lib/environment");
+
+const model = loadEnvironmentModel(defaultEnvironmentModelPath);
+
+test("validateEnvironmentModel reports missing and out of range probabilities", () => {
+    assert.deepStrictEqual(validateEnvironmentModel({
+        weather: { start: 0.5, afterNiceWeather: 0.2, afterBadWeather: 1.5 },
+        traffic: { niceWeather: 0.4, badWeather: 0.7, persistence: 0.5 }
+    }), [
+        "weather.afterBadWeather must be a probability from 0 to 1.",
+        "busCrowding.niceWeather must be a probability from 0 to 1.",
+        "busCrowding.badWeather must be a probability from 0 to 1.",
+        "busCrowding.persistence must be a probability from 0 to 1."
+    ]);
+});
+
+test("bad weather raises the chance of heavy traffic and a crowded bus", () => {
+    assert.deepStrictEqual(conditionChances(model, null, 0), { weather: 0.5, traffic: 0.4, busCrowding: 0.4 });
+    assert.deepStrictEqual(conditionChances(model, null, 1), { weather: 0.5, traffic: 0.7, busCrowding: 0.7 });
+});
+
+test("the conditions on the last leg carry over to the next", () => {
+    const stormy = { weather: 1, traffic: 1, busCrowding: 1 };
+    const calm = { weather: 0, traffic: 0, busCrowding: 0 };
+
+    assert.deepStrictEqual(conditionChances(model, stormy, 1), { weather: 0.7, traffic: 0.85, busCrowding: 0.79 });
+    assert.deepStrictEqual(conditionChances(model, calm, 0), { weather: 0.2, traffic: 0.2, busCrowding: 0.28 });
+});
+
+test("drawn conditions follow the model's correlation", () => {
+    const random = createRandomSource(5);
+    const counts = { nice: 0, niceTraffic: 0, bad: 0, badTraffic: 0 };
+
+    for (let i = 0; i < 4000; i++) {
+        const conditions = nextConditions(model, null, random).conditions;
+        const weather = conditions.weather === 1 ? "bad" : "nice";
+
+        counts[weather]++;
+        counts[weather + "Traffic"] += conditions.traffic;
+    }
+
+    assert.ok(Math.abs(counts.niceTraffic / counts.nice - 0.4) < 0.05);
+    assert.ok(Math.abs(counts.badTraffic / counts.bad - 0.7) < 0.05);
+});
+
+test("the agent perceives the conditions and their chances on both legs", () => {
+    const trip = runTrip({ catalog: loadCatalog(defaultCatalogPath), seed: 11, autopilot: "nearest", io: createSilentIO() });
+    const streets = trip.agent.trace.filter((event) => event.type === "perception" && event.environment === "street");
+
+    assert.strictEqual(streets.length, 2);
+    assert.deepStrictEqual(streets[1].chances,
+        conditionChances(model, { weather: streets[0].inputs.weather, traffic: streets[0].inputs.traffic,
+            busCrowding: streets[0].inputs.busCrowding }, streets[1].inputs.weather));
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { createPerceptrons, runTrip } = require("../lib/trip");
+const { networkLike } = require("../lib/network");
+const { explainDecision, formatExplanation } = require("../lib/explain");
+
+const outcomes = { 1: "take a taxi", 0: "take the bus" };
+
+test("the contributions and bias add up to the sum", () => {
+    const perceptron = createPerceptrons().taxiToStore;
+    const decision = perceptron.evaluate({ cost: 1, weather: 1, traffic: 1, busCrowding: 0, time: 0 });
+    const explanation = explainDecision(perceptron, decision, outcomes);
+
+    assert.deepStrictEqual(explanation.contributions.map((part) => part.contribution), [0.7, 0.5, 0.4, 0, 0]);
+    assert.strictEqual(explanation.bias, -0.2);
+    assert.strictEqual(explanation.sum, 1.4);
+    assert.strictEqual(explanation.outcome, "take the bus");
+});
+
+test("flipping each 0 or 1 condition finds the changes that would have changed the decision", () => {
+    const perceptron = createPerceptrons().taxiToStore;
+    const decision = perceptron.evaluate({ cost: 1, weather: 1, traffic: 1, busCrowding: 0, time: 0 });
+    const explanation = explainDecision(perceptron, decision, outcomes);
+
+    assert.deepStrictEqual(explanation.counterfactuals.map((counterfactual) => counterfactual.input), ["weather", "traffic", "busCrowding"]);
+    assert.deepStrictEqual(explanation.counterfactuals.filter((counterfactual) => counterfactual.changesDecision)
+        .map((counterfactual) => counterfactual.description), [
+        "I would have chosen to take a taxi if the bus had been crowded."
+    ]);
+});
+
+test("cost and time are not flipped, even when they are exactly 0 or 1", () => {
+    const perceptron = createPerceptrons().brandName;
+    const decision = perceptron.evaluate({ cost: 1, localGoods: 0, brandName: 1, spendingBias: 0 });
+    const explanation = explainDecision(perceptron, decision, { 1: "buy brand name eggs", 0: "buy local eggs" });
+
+    assert.deepStrictEqual(explanation.counterfactuals.map((counterfactual) => counterfactual.input), ["localGoods", "brandName", "spendingBias"]);
+    assert.doesNotMatch(formatExplanation(explanation), /cost had been|time had been/);
+});
+
+test("inputs that are not 0 or 1 are not flipped", () => {
+    const perceptron = createPerceptrons().busHome;
+    const decision = perceptron.evaluate({ cost: 1.1, weather: 0, traffic: 1, busCrowding: 0, moneyUnder40: 0, time: 0 });
+    const explanation = explainDecision(perceptron, decision, { 1: "take the bus", 0: "take a taxi" });
+
+    assert.ok(!explanation.counterfactuals.some((counterfactual) => counterfactual.input === "cost"));
+    assert.match(formatExplanation(explanation), /I would have chosen to take the bus if I had had less than \$40 left\./);
+});
+
+test("a multi-layer network is explained by its counterfactuals alone", () => {
+    const network = networkLike(createPerceptrons().busHome, { epochs: 200 });
+    const decision = network.evaluate({ cost: 1, weather: 0, traffic: 1, busCrowding: 0, moneyUnder40: 1, time: 0 });
+    const explanation = explainDecision(network, decision, { 1: "take the bus", 0: "take a taxi" });
+
+    assert.strictEqual(explanation.contributions, null);
+    assert.strictEqual(explanation.counterfactuals.length, 4);
+    assert.doesNotThrow(() => formatExplanation(explanation));
+});
+
+test("every decision in the trace carries its explanation, and --explain narrates it", () => {
+    const catalog = loadCatalog(defaultCatalogPath);
+    const lines = [];
+    const trip = runTrip({ catalog: catalog, seed: 4, autopilot: "nearest", explain: true,
+        io: { log: (message) => lines.push(message), question: () => assert.fail("the autopilot should answer") } });
+    const decisions = trip.agent.trace.filter((event) => event.type === "decision" && event.perceptron);
+
+    assert.strictEqual(decisions.length, 5);
+    decisions.forEach((event) => assert.ok(event.explanation.counterfactuals.length > 0));
+    assert.strictEqual(lines.filter((line) => line.startsWith("  Why I chose to")).length, 5);
+
+    const quiet = runTrip({ catalog: catalog, seed: 4, autopilot: "nearest", io: createSilentIO() });
+    assert.deepStrictEqual(quiet.agent.trace, trip.agent.trace);
+});
+
+test("an overridden decision is explained as the action the agent took, with the policy's choice and the reason", () => {
+    const catalog = loadCatalog(defaultCatalogPath);
+    const lines = [];
+    const trip = runTrip({ catalog: catalog, seed: 5, autopilot: "nearest", money: 2200, explain: true,
+        io: { log: (message) => lines.push(message), question: () => assert.fail("the autopilot should answer") } });
+    const overridden = trip.agent.trace.filter((event) => event.type === "decision" && event.overrides);
+
+    assert.ok(overridden.length > 0);
+    overridden.forEach((event) => {
+        assert.notStrictEqual(event.explanation.outcome, event.explanation.proposedOutcome);
+        assert.ok(event.overrides[0].reason.endsWith("so I'll " + event.explanation.outcome + " instead."), event.action);
+        assert.deepStrictEqual(event.explanation.overrides, event.overrides.map((override) => override.reason));
+        assert.ok(lines.includes(formatExplanation(event.explanation)));
+        assert.match(formatExplanation(event.explanation), new RegExp("^  Why I was going to " + event.explanation.proposedOutcome + " before I chose to "));
+    });
+});
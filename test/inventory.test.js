@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createRandomSource } = require("../lib/random");
+const { loadCatalog, defaultCatalogPath, validateCatalog } = require("../lib/catalog");
+const { createInventory, stockOf, takeFromShelf, putBackOnShelf, restockInventory, otherShoppersVisit } = require("../lib/inventory");
+const { runBatch } = require("../lib/batch");
+
+const catalog = loadCatalog(defaultCatalogPath);
+
+test("a new inventory has full shelves and variants without a stock count never run out", () => {
+    const unlimited = Object.assign({}, catalog, { items: [{ name: "salt", section: "l", variants: { "local": 1, "brand name": 2 } }] });
+    const inventory = createInventory(unlimited);
+
+    assert.deepStrictEqual(createInventory(catalog).shelves.eggs, { "local": 2, "brand name": 6 });
+    assert.strictEqual(stockOf(inventory, "salt", "local"), Infinity);
+    assert.strictEqual(takeFromShelf(inventory, "salt", "local"), true);
+    assert.strictEqual(stockOf(inventory, "salt", "local"), Infinity);
+});
+
+test("takeFromShelf takes one unit until the shelf is empty", () => {
+    const inventory = createInventory(catalog);
+
+    assert.strictEqual(takeFromShelf(inventory, "lighter", "local"), true);
+    assert.strictEqual(takeFromShelf(inventory, "lighter", "local"), false);
+    assert.strictEqual(stockOf(inventory, "lighter", "local"), 0);
+});
+
+test("putBackOnShelf puts a unit back where it was taken from", () => {
+    const inventory = createInventory(catalog);
+
+    takeFromShelf(inventory, "lighter", "local");
+    putBackOnShelf(inventory, "lighter", "local");
+    assert.strictEqual(stockOf(inventory, "lighter", "local"), 1);
+});
+
+test("restocking refills the shelves a little at a time, never past a full shelf", () => {
+    const inventory = createInventory(catalog);
+    inventory.shelves.eggs = { "local": 0, "brand name": 5 };
+
+    restockInventory(inventory, catalog);
+
+    assert.deepStrictEqual(inventory.shelves.eggs, { "local": 1, "brand name": 6 });
+});
+
+test("the other shoppers buy each unit with the catalog's chance", () => {
+    const inventory = createInventory(catalog);
+    const everyone = Object.assign({}, catalog, { otherShoppersChance: 1 });
+    const nobody = Object.assign({}, catalog, { otherShoppersChance: 0 });
+
+    assert.deepStrictEqual(otherShoppersVisit(inventory, nobody, "milk", createRandomSource(1)), { "local": 0, "brand name": 0 });
+    assert.deepStrictEqual(otherShoppersVisit(inventory, everyone, "milk", createRandomSource(1)), { "local": 2, "brand name": 6 });
+    assert.deepStrictEqual(inventory.shelves.milk, { "local": 0, "brand name": 0 });
+});
+
+test("shopping at the same store trip after trip wears down the local shelves", () => {
+    const batch = runBatch({ trips: 300, seed: 3, catalog: catalog });
+    let freshLocal = 0;
+
+    for (let seed = 0; seed < 300; seed++) {
+        freshLocal += runBatch({ trips: 1, seed: seed, catalog: catalog }).items.eggs.localPercent;
+    }
+
+    assert.ok(batch.items.eggs.localPercent < freshLocal / 300 - 10);
+    assert.ok(batch.finalShelves.eggs.local <= 2);
+});
+
+test("validateCatalog checks stock and restock counts", () => {
+    const bad = JSON.parse(JSON.stringify(catalog));
+    bad.items[0].stock.local = 1.5;
+    delete bad.items[1].stock;
+    bad.otherShoppersChance = 2;
+
+    assert.deepStrictEqual(validateCatalog(bad), [
+        "otherShoppersChance must be a number from 0 to 1, e.g. 0.6 for 60%.",
+        "item \"eggs\" has a \"local\" stock that is not a whole number of units.",
+        "item \"milk\" restocks its \"local\" variant but has no stock count for it.",
+        "item \"milk\" restocks its \"brand name\" variant but has no stock count for it."
+    ]);
+});
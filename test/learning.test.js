@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { createPerceptrons, runTrip } = require("../lib/trip");
+const { scoreTrip, learnFromTrip, loadLearningState, saveLearningState } = require("../lib/learning");
+
+const catalog = loadCatalog(defaultCatalogPath);
+
+function trip(seed, perceptrons) {
+    return runTrip({ catalog: catalog, seed: seed, autopilot: "nearest", perceptrons: perceptrons, io: createSilentIO() });
+}
+
+test("scoreTrip stays between 0 and 1 and gives full marks for buying every item", () => {
+    const result = scoreTrip(trip(1));
+
+    assert.ok(result.score >= 0 && result.score <= 1);
+    assert.strictEqual(result.items, 1);
+});
+
+test("scoreTrip counts the items bought against the trip's shopping list", () => {
+    const result = scoreTrip(runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: createSilentIO(), shoppingList: ["milk"] }));
+
+    assert.strictEqual(result.items, 1);
+});
+
+test("the first trip sets the average score without changing any weights", () => {
+    const state = { trips: 0, averageScore: null, perceptrons: {}, history: [] };
+    const perceptrons = createPerceptrons();
+
+    const entry = learnFromTrip(trip(1, perceptrons), state);
+
+    assert.deepStrictEqual(entry.changes, {});
+    assert.strictEqual(state.averageScore, entry.score);
+    assert.deepStrictEqual(perceptrons.taxiToStore.toJSON(), createPerceptrons().taxiToStore.toJSON());
+});
+
+test("a trip that scores above the average reinforces the decisions it made", () => {
+    const perceptrons = createPerceptrons();
+    const finished = trip(1, perceptrons);
+    const state = { trips: 5, averageScore: scoreTrip(finished).score - 0.1, perceptrons: {}, history: [] };
+    const tookTaxi = finished.tookTaxi;
+    const biasBefore = perceptrons.taxiToStore.bias;
+
+    learnFromTrip(finished, state);
+
+    // Reinforcing a taxi ride raises the taxi perceptron's bias; reinforcing a bus ride lowers it.
+    assert.strictEqual(perceptrons.taxiToStore.bias > biasBefore, tookTaxi);
+    assert.strictEqual(state.trips, 6);
+    assert.strictEqual(state.history.length, 1);
+});
+
+test("a long wait for the bus moves the time weight no further than an input that was on", () => {
+    const perceptrons = createPerceptrons();
+    const finished = runTrip({ catalog: catalog, seed: 3, autopilot: "nearest", perceptrons: perceptrons, io: createSilentIO(), departure: 23 * 60 + 50 });
+    const state = { trips: 5, averageScore: scoreTrip(finished).score - 0.1, perceptrons: {}, history: [] };
+
+    assert.ok(finished.agent.trace.some((event) => event.type === "decision" && event.inputs.time > 1));
+
+    const entry = learnFromTrip(finished, state);
+    ["taxiToStore", "busHome"].forEach((key) => {
+        Object.keys(entry.changes[key].weights).forEach((inputName) => {
+            assert.ok(Math.abs(entry.changes[key].weights[inputName]) <= Math.abs(entry.changes[key].bias), key + " " + inputName);
+        });
+    });
+});
+
+test("the learning state survives a save and load", () => {
+    const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "learning-")), "state.json");
+    const state = loadLearningState(statePath);
+
+    learnFromTrip(trip(2, createPerceptrons()), state);
+    saveLearningState(statePath, state);
+
+    assert.deepStrictEqual(loadLearningState(statePath), state);
+});
+
+test("loadLearningState rejects weights that do not match the perceptron's inputs", () => {
+    const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "learning-")), "state.json");
+    fs.writeFileSync(statePath, JSON.stringify({ trips: 1, averageScore: 0.5, perceptrons: { busHome: { weights: { cost: 1 } } }, history: [] }));
+
+    assert.throws(() => loadLearningState(statePath), /--reset-learning/);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { toCents, centsToDecimal, formatMoney, salesTaxOn, cashPayment } = require("../lib/money");
+
+test("toCents turns dollars into whole cents without floating-point drift", () => {
+    assert.strictEqual(toCents(6.3), 630);
+    assert.strictEqual(toCents(1.005), 101);
+    assert.strictEqual(toCents(0.1 + 0.2), 30);
+    assert.strictEqual(toCents(75), 7500);
+});
+
+test("amounts are written with two decimal places, or as whole dollars when the agent says them", () => {
+    assert.strictEqual(centsToDecimal(630), "6.30");
+    assert.strictEqual(centsToDecimal(5), "0.05");
+    assert.strictEqual(centsToDecimal(-5), "-0.05");
+    assert.strictEqual(formatMoney(7500), "$75");
+    assert.strictEqual(formatMoney(630), "$6.30");
+    assert.strictEqual(formatMoney(-5), "-$0.05");
+});
+
+test("sales tax is rounded half up to the nearest cent", () => {
+    assert.strictEqual(salesTaxOn(250, 0.05), 13);
+    assert.strictEqual(salesTaxOn(249, 0.05), 12);
+    assert.strictEqual(salesTaxOn(2200, 0.05), 110);
+    assert.strictEqual(salesTaxOn(0, 0.05), 0);
+});
+
+test("cash is paid in whole dollars when the agent has them, with the rest as change", () => {
+    assert.deepStrictEqual(cashPayment(630, 7000), { payment: 700, change: 70 });
+    assert.deepStrictEqual(cashPayment(700, 7000), { payment: 700, change: 0 });
+    assert.deepStrictEqual(cashPayment(630, 650), { payment: 650, change: 20 });
+    assert.deepStrictEqual(cashPayment(630, 630), { payment: 630, change: 0 });
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createRandomSource } = require("../lib/random");
+const { Perceptron } = require("../lib/perceptron");
+const { MultilayerPerceptron, networkLike } = require("../lib/network");
+const { createPerceptrons } = require("../lib/trip");
+
+test("a network learns XOR, which a single perceptron cannot", () => {
+    const random = createRandomSource(3);
+    const network = new MultilayerPerceptron({
+        name: "xor",
+        inputNames: ["a", "b"],
+        hidden: [0, 1, 2, 3].map(() => ({ weights: { a: random.next() * 2 - 1, b: random.next() * 2 - 1 }, bias: random.next() * 2 - 1 })),
+        output: { weights: [0, 1, 2, 3].map(() => random.next() * 2 - 1), bias: 0 }
+    });
+    const examples = [
+        { inputs: { a: 0, b: 0 }, label: 0 },
+        { inputs: { a: 0, b: 1 }, label: 1 },
+        { inputs: { a: 1, b: 0 }, label: 1 },
+        { inputs: { a: 1, b: 1 }, label: 0 }
+    ];
+
+    network.train(examples, { epochs: 2000 });
+
+    examples.forEach((example) => assert.strictEqual(network.predict(example.inputs), example.label));
+    assert.ok(!new Perceptron({ name: "xor", weights: { a: 0, b: 0 }, threshold: 0.5 }).train(examples).converged);
+});
+
+test("networkLike starts out making the same decisions as the perceptron", () => {
+    const busHome = createPerceptrons().busHome;
+    const network = networkLike(busHome, { inputValues: { cost: [1, 1.1] } });
+
+    for (const cost of [1, 1.1]) {
+        for (let bits = 0; bits < 16; bits++) {
+            const inputs = { cost: cost, weather: bits & 1, traffic: (bits >> 1) & 1, busCrowding: (bits >> 2) & 1, moneyUnder40: (bits >> 3) & 1, time: 0 };
+            assert.strictEqual(network.predict(inputs), busHome.predict(inputs), JSON.stringify(inputs));
+        }
+    }
+});
+
+test("a network reports its decision like a perceptron and survives toJSON", () => {
+    const network = networkLike(createPerceptrons().busHome, { epochs: 50 });
+    const inputs = { cost: 1, weather: 0, traffic: 1, busCrowding: 0, moneyUnder40: 1, time: 0 };
+    const decision = network.evaluate(inputs);
+
+    assert.strictEqual(decision.perceptron, "bus home");
+    assert.strictEqual(decision.activation, "multilayer");
+    assert.strictEqual(decision.hiddenLayer.length, 4);
+    assert.strictEqual(decision.output, decision.probability >= 0.5 ? 1 : 0);
+    assert.deepStrictEqual(new MultilayerPerceptron(network.toJSON()).evaluate(inputs), decision);
+});
+
+test("createPerceptrons applies the activation to every perceptron and can swap in a network", () => {
+    const perceptrons = createPerceptrons(undefined, { activation: "sigmoid", multilayer: true });
+
+    assert.strictEqual(perceptrons.taxiToStore.activation, "sigmoid");
+    assert.strictEqual(perceptrons.brandName.activation, "sigmoid");
+    assert.ok(perceptrons.busHome instanceof MultilayerPerceptron);
+});
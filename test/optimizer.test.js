@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { createPerceptrons, runTrip } = require("../lib/trip");
+const {
+    defaultObjective,
+    loadObjective,
+    objectiveScore,
+    startingConfiguration,
+    parameterNames,
+    getParameter,
+    setParameter,
+    evaluateConfiguration,
+    optimize,
+    saveWeights,
+    loadWeights
+} = require("../lib/optimizer");
+
+const catalog = loadCatalog(defaultCatalogPath);
+
+test("the objective is the money left minus the penalties for the trip's discomforts", () => {
+    const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createSilentIO() });
+    const noPenalties = { money: 1, badWeatherBusRide: 0, crowdedBusRide: 0, missedItem: 0 };
+
+    assert.strictEqual(objectiveScore(trip, noPenalties), trip.money / 100);
+
+    // Seed 9 takes the bus to the store with room on it, in the weather it drew.
+    const busRide = trip.agent.trace.find((event) => event.action === "take bus");
+    assert.strictEqual(objectiveScore(trip, Object.assign({}, noPenalties, { badWeatherBusRide: 5 })),
+        trip.money / 100 - 5 * busRide.inputs.weather);
+});
+
+test("a trip with a shopping list is only penalised for the items on it", () => {
+    const trip = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: createSilentIO(), shoppingList: ["milk"] });
+    const missedOnly = { money: 0, badWeatherBusRide: 0, crowdedBusRide: 0, missedItem: 10 };
+
+    assert.deepStrictEqual(trip.shoppingCart.map((cartItem) => cartItem.item), ["milk"]);
+    assert.strictEqual(objectiveScore(trip, missedOnly), 0);
+});
+
+test("parameters are named after the perceptron and can be changed without touching the original", () => {
+    const start = startingConfiguration();
+    const changed = setParameter(start, "taxiToStore.threshold", 1.1 + 0.2);
+
+    assert.ok(parameterNames(start).includes("busHome.moneyUnder40"));
+    assert.strictEqual(parameterNames(start).length, 21);
+    assert.strictEqual(getParameter(changed, "taxiToStore.threshold"), 1.3);
+    assert.strictEqual(getParameter(start, "taxiToStore.threshold"), 1.5);
+    assert.strictEqual(createPerceptrons(changed).taxiToStore.threshold, 1.3);
+});
+
+test("every candidate is scored on the same trips, so a score can be repeated", () => {
+    const options = { catalog: catalog, trips: 20, seed: 3, objective: defaultObjective };
+    const start = startingConfiguration();
+
+    assert.strictEqual(evaluateConfiguration(start, options), evaluateConfiguration(start, options));
+});
+
+test("grid search tries every combination and never does worse than where it started", () => {
+    const result = optimize({ method: "grid", catalog: catalog, trips: 20, seed: 3, parameters: ["taxiToStore.threshold", "busHome.threshold"], steps: 1 });
+
+    assert.strictEqual(result.evaluated, 9);
+    assert.ok(result.score >= result.startingScore);
+    assert.strictEqual(evaluateConfiguration(result.perceptrons, { catalog: catalog, trips: 20, seed: 3, objective: defaultObjective }), result.score);
+});
+
+test("hill climbing keeps only the changes that raise the score", () => {
+    const result = optimize({ method: "hill-climb", catalog: catalog, trips: 20, seed: 3, iterations: 15 });
+
+    assert.strictEqual(result.evaluated, 16);
+    assert.ok(result.score >= result.startingScore);
+    assert.throws(() => optimize({ method: "grid", catalog: catalog, parameters: ["taxiToStore.speed"] }), /Unknown parameters: taxiToStore.speed/);
+    assert.throws(() => optimize({ method: "annealing", catalog: catalog }), /grid or hill-climb/);
+});
+
+test("weights and objective files are read back and checked", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "optimizer-"));
+    const weightsPath = path.join(directory, "weights.json");
+    const objectivePath = path.join(directory, "objective.json");
+
+    try {
+        const result = optimize({ method: "grid", catalog: catalog, trips: 5, seed: 3, parameters: ["brandName.threshold"], steps: 1 });
+        saveWeights(weightsPath, result);
+        assert.deepStrictEqual(loadWeights(weightsPath), result.perceptrons);
+
+        fs.writeFileSync(weightsPath, JSON.stringify({ perceptrons: { busHome: { weights: { cost: 1 }, bias: 0, threshold: 1 } } }));
+        assert.throws(() => loadWeights(weightsPath), /settings for "busHome" that do not match its inputs/);
+
+        fs.writeFileSync(objectivePath, JSON.stringify({ badWeatherBusRide: 12 }));
+        assert.deepStrictEqual(loadObjective(objectivePath), Object.assign({}, defaultObjective, { badWeatherBusRide: 12 }));
+
+        fs.writeFileSync(objectivePath, JSON.stringify({ badWeatherBusRide: "lots" }));
+        assert.throws(() => loadObjective(objectivePath), /"badWeatherBusRide" must be a number/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { parseCommandLine } = require("../lib/options");
+
+test("parseCommandLine reads options with a space or an equals sign", () => {
+    assert.deepStrictEqual(parseCommandLine(["--seed", "42", "--autopilot=l,r,s", "--learn"]),
+        { seed: 42, autopilot: "l,r,s", learn: true });
+    assert.strictEqual(parseCommandLine(["--depart=18:45"]).departure, 1125);
+    assert.deepStrictEqual(parseCommandLine(["--campaign", "28", "--household", "family.json"]), { campaign: 28, household: "family.json" });
+});
+
+test("parseCommandLine reads --policy as one name, a list or a file", () => {
+    assert.deepStrictEqual(parseCommandLine(["--policy", "rules"]).policy,
+        { taxiToStore: "rules", brandName: "rules", busHome: "rules" });
+    assert.deepStrictEqual(parseCommandLine(["--policy=taxiToStore=human, busHome=random"]).policy,
+        { taxiToStore: "human", busHome: "random" });
+    assert.strictEqual(parseCommandLine(["--policy", "policies.json"]).policy, "policies.json");
+});
+
+test("parseCommandLine rejects bad values and unknown options", () => {
+    assert.throws(() => parseCommandLine(["--seed", "-1"]), /--seed must be a whole number/);
+    assert.throws(() => parseCommandLine(["--batch", "0"]), /--batch must be a whole number/);
+    assert.throws(() => parseCommandLine(["--trace"]), /--trace needs/);
+    assert.throws(() => parseCommandLine(["--replay"]), /--replay needs the path of a session file/);
+    assert.throws(() => parseCommandLine(["--plugins"]), /--plugins needs the path of a plugin config file/);
+    assert.throws(() => parseCommandLine(["--learn=yes"]), /does not take a value/);
+    assert.throws(() => parseCommandLine(["--depart", "24:00"]), /--depart must be a time from 00:00 to 23:59/);
+    assert.throws(() => parseCommandLine(["--serve", "70000"]), /--serve must be a port number/);
+    assert.throws(() => parseCommandLine(["--optimize", "annealing"]), /--optimize must be grid or hill-climb/);
+    assert.throws(() => parseCommandLine(["--policy", "greedy"]), /--policy must be perceptron, rules, random, human, q-learning/);
+    assert.throws(() => parseCommandLine(["--policy", "busHome=greedy"]), /the policy for busHome must be/);
+    assert.throws(() => parseCommandLine(["--policy", "taxiHome=rules"]), /"taxiHome" is not a decision/);
+    assert.throws(() => parseCommandLine(["--fly"]), /Unknown option "--fly"/);
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { summationOfInputsAndWeights, Perceptron } = require("../lib/perceptron");
+
+test("summationOfInputsAndWeights adds the weighted inputs and the bias", () => {
+    assert.strictEqual(summationOfInputsAndWeights(0, [1, 0, 1], [0.5, 0.25, 0.25], -0.5), 0.25);
+    assert.strictEqual(summationOfInputsAndWeights(1, [], [], 0), 1);
+});
+
+test("predict fires when the weighted sum reaches the threshold exactly", () => {
+    const perceptron = new Perceptron({ name: "test", weights: { a: 0.5, b: 0.25 }, bias: 0.25, threshold: 1 });
+
+    assert.strictEqual(perceptron.predict({ a: 1, b: 1 }), 1);
+    assert.strictEqual(perceptron.predict({ a: 1, b: 0 }), 0);
+});
+
+test("sums that are equal on paper are equal at the threshold", () => {
+    // 0.6 + 0.6 - 0.2 is 0.9999999999999999 in floating point.
+    const perceptron = new Perceptron({ name: "test", weights: { a: 0.6, b: 0.6, c: -0.2 }, threshold: 1.0 });
+
+    assert.strictEqual(perceptron.weightedSum({ a: 1, b: 1, c: 1 }), 1);
+    assert.strictEqual(perceptron.predict({ a: 1, b: 1, c: 1 }), 1);
+});
+
+test("evaluate reports everything about the decision", () => {
+    const perceptron = new Perceptron({ name: "test", weights: { a: 0.5 }, bias: -0.1, threshold: 0.3 });
+
+    assert.deepStrictEqual(perceptron.evaluate({ a: 1, unused: 1 }), {
+        perceptron: "test",
+        inputs: { a: 1 },
+        weights: { a: 0.5 },
+        bias: -0.1,
+        sum: 0.4,
+        threshold: 0.3,
+        activation: "step",
+        probability: 1,
+        output: 1
+    });
+});
+
+test("sigmoid and tanh give a probability of 0.5 at the threshold that rises with the sum", () => {
+    const sigmoid = new Perceptron({ name: "test", weights: { a: 1 }, threshold: 1, activation: "sigmoid" });
+    const tanh = new Perceptron({ name: "test", weights: { a: 1 }, threshold: 1, activation: "tanh" });
+
+    assert.strictEqual(sigmoid.probability({ a: 1 }), 0.5);
+    assert.strictEqual(tanh.probability({ a: 1 }), 0.5);
+    assert.ok(sigmoid.probability({ a: 0.99 }) > 0.4 && sigmoid.probability({ a: 0.99 }) < 0.5);
+    assert.ok(sigmoid.probability({ a: 1.5 }) > 0.99);
+    assert.ok(tanh.probability({ a: 1.1 }) > sigmoid.probability({ a: 1.1 }));
+});
+
+test("a probabilistic perceptron draws its output from the random source", () => {
+    const perceptron = new Perceptron({ name: "test", weights: { a: 1 }, threshold: 1, activation: "sigmoid" });
+    const draw = (value) => perceptron.evaluate({ a: 1 }, { next: () => value }).output;
+
+    assert.strictEqual(draw(0.6), 1);
+    assert.strictEqual(draw(0.4), 0);
+    assert.strictEqual(perceptron.evaluate({ a: 1 }).output, 1);
+});
+
+test("the step activation never draws from the random source", () => {
+    const perceptron = new Perceptron({ name: "test", weights: { a: 1 }, threshold: 1 });
+    const random = { next: () => assert.fail("the step activation drew a random number") };
+
+    assert.strictEqual(perceptron.evaluate({ a: 0.99 }, random).output, 0);
+    assert.strictEqual(perceptron.evaluate({ a: 1 }, random).output, 1);
+});
+
+test("an unknown activation is an error", () => {
+    assert.throws(() => new Perceptron({ name: "test", weights: {}, activation: "relu" }), /Unknown activation "relu"/);
+});
+
+test("a missing input is an error", () => {
+    const perceptron = new Perceptron({ name: "test", weights: { a: 0.5, b: 0.5 } });
+
+    assert.throws(() => perceptron.predict({ a: 1 }), /missing a value for input "b"/);
+});
+
+test("train learns the AND function with the perceptron learning rule", () => {
+    const perceptron = new Perceptron({ name: "and", weights: { a: 0, b: 0 }, threshold: 0.5 });
+    const examples = [
+        { inputs: { a: 0, b: 0 }, label: 0 },
+        { inputs: { a: 1, b: 0 }, label: 0 },
+        { inputs: { a: 0, b: 1 }, label: 0 },
+        { inputs: { a: 1, b: 1 }, label: 1 }
+    ];
+
+    const result = perceptron.train(examples);
+
+    assert.strictEqual(result.converged, true);
+    examples.forEach((example) => assert.strictEqual(perceptron.predict(example.inputs), example.label));
+});
+
+test("train gives up after the given number of epochs on XOR", () => {
+    const perceptron = new Perceptron({ name: "xor", weights: { a: 0, b: 0 }, threshold: 0.5 });
+    const examples = [
+        { inputs: { a: 0, b: 0 }, label: 0 },
+        { inputs: { a: 1, b: 0 }, label: 1 },
+        { inputs: { a: 0, b: 1 }, label: 1 },
+        { inputs: { a: 1, b: 1 }, label: 0 }
+    ];
+
+    assert.deepStrictEqual(perceptron.train(examples, { epochs: 20 }), { epochs: 20, converged: false });
+});
+
+test("toJSON can be passed back to the constructor", () => {
+    const perceptron = new Perceptron({ name: "test", weights: { a: 0.5, b: -0.25 }, bias: 0.1, threshold: 0.3 });
+    const copy = new Perceptron(perceptron.toJSON());
+
+    assert.deepStrictEqual(copy.toJSON(), perceptron.toJSON());
+    assert.notStrictEqual(copy.weights, perceptron.weights);
+});
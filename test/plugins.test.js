@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO, createScriptedIO } = require("../lib/io");
+const { runTrip } = require("../lib/trip");
+const { tripEvents, createDecisionProposal, loadPlugins } = require("../lib/plugins");
+
+const catalog = loadCatalog(defaultCatalogPath);
+
+test("a trip emits every event, tied to the trace, ledger and cart", () => {
+    const events = new EventEmitter();
+    const heard = [];
+    tripEvents.forEach((name) => events.on(name, (event) => heard.push({ name: name, event: event })));
+
+    const trip = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: createSilentIO(), events: events });
+    const named = (name) => heard.filter((entry) => entry.name === name).map((entry) => entry.event);
+
+    assert.strictEqual(heard[0].name, "tripStart");
+    assert.strictEqual(heard[heard.length - 1].name, "tripEnd");
+    assert.strictEqual(named("tripEnd")[0].money, trip.money);
+    assert.deepStrictEqual(named("environmentPerceived").map((event) => event.environment), trip.agent.environmentSequence);
+    assert.deepStrictEqual(named("decisionMade").map((event) => event.action), trip.agent.actionSequence);
+    assert.deepStrictEqual(named("moneyChanged"), trip.ledger);
+    assert.deepStrictEqual(named("itemAddedToCart").map((event) => event.type + " " + event.item),
+        trip.shoppingCart.map((item) => item.type + " " + item.item));
+    assert.strictEqual(named("checkout").length, 1);
+    assert.strictEqual(named("checkout")[0].receipt.total, trip.ledger.find((entry) => entry.kind === "groceries").amount);
+    assert.deepStrictEqual(named("decisionProposed").map((event) => event.decision).filter((name, i, names) => names.indexOf(name) === i),
+        ["taxi to store", "buy brand name", "bus home"]);
+});
+
+test("a listener can veto or change a decision before the agent acts on it", () => {
+    const vetoed = new EventEmitter();
+    vetoed.on("decisionProposed", (proposal) => {
+        if (proposal.decision === "taxi to store") proposal.veto("No, I'll walk to the bus stop.");
+    });
+    const io = createScriptedIO([]);
+    const plain = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: createSilentIO() });
+    const trip = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: io, events: vetoed });
+    const first = trip.agent.trace.find((event) => event.type === "decision");
+
+    assert.strictEqual(plain.agent.actionSequence[0], "take taxi");
+    assert.strictEqual(trip.agent.actionSequence[0], "take bus");
+    assert.strictEqual(first.output, 0);
+    assert.strictEqual(first.proposedOutput, 1);
+    assert.deepStrictEqual(first.overrides, [{ output: 0, reason: "No, I'll walk to the bus stop." }]);
+    assert.ok(io.lines.includes("No, I'll walk to the bus stop."));
+
+    const proposal = createDecisionProposal({ decision: "bus home", output: 1 });
+    proposal.change(1, "Still the bus.");
+    assert.strictEqual(proposal.output, 1);
+    assert.throws(() => proposal.change(2, "?"), /only be changed to 1 or 0/);
+});
+
+test("the budget guard plugin vetoes a taxi that would leave the agent under its floor", () => {
+    const plugins = loadPlugins(path.join(__dirname, "..", "plugins.json"));
+    plugins[0].options = { floor: 6800 };
+
+    assert.strictEqual(plugins[0].name, "budget guard");
+    const io = createScriptedIO([]);
+    const trip = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: io, plugins: plugins });
+
+    assert.strictEqual(trip.agent.actionSequence[0], "take bus");
+    assert.ok(io.lines.includes("Budget guard: if I take a taxi, I'll have less than $68 left, so I'll take the bus instead."));
+});
+
+test("loadPlugins refuses configs and modules it cannot use", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "plugins-"));
+    const write = (name, content) => {
+        fs.writeFileSync(path.join(directory, name), content);
+        return path.join(directory, name);
+    };
+    write("nothing.js", "module.exports = { name: \"nothing\" };\n");
+
+    assert.throws(() => loadPlugins(write("empty.json", "{}")), /must list its plugins/);
+    assert.throws(() => loadPlugins(write("missing.json", JSON.stringify({ plugins: [{ module: "missing.js" }] }))), /Could not load the plugin missing\.js/);
+    assert.throws(() => loadPlugins(write("nothing.json", JSON.stringify({ plugins: [{ module: "nothing.js" }] }))), /does not export a register function/);
+    assert.throws(() => loadPlugins(path.join(directory, "absent.json")), /Could not read the plugin config/);
+});
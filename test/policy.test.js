@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createScriptedIO } = require("../lib/io");
+const { runTrip } = require("../lib/trip");
+const { recordSession, replaySession } = require("../lib/session");
+const { RuleBasedPolicy, RandomPolicy, HumanPolicy, createPolicies, loadPolicyChoices } = require("../lib/policy");
+
+const catalog = loadCatalog(defaultCatalogPath);
+const busHomeInputs = { cost: 1, weather: 0, traffic: 0, busCrowding: 1, moneyUnder40: 0, time: 0 };
+const outcomes = { 1: "take the bus", 0: "take a taxi" };
+
+test("the rule-based policy does what its first matching rule says", () => {
+    const policy = createPolicies({ busHome: "rules" }).busHome;
+
+    assert.ok(policy instanceof RuleBasedPolicy);
+    const decision = policy.evaluate(busHomeInputs, null, { outcomes: outcomes });
+    assert.strictEqual(decision.output, 0);
+    assert.strictEqual(decision.rule, 3);
+    assert.strictEqual(decision.reason, "My rule is to take a taxi when busCrowding is 1.");
+    assert.strictEqual(decision.sum, undefined);
+
+    const broke = policy.evaluate(Object.assign({}, busHomeInputs, { moneyUnder40: 1 }), null, { outcomes: outcomes });
+    assert.strictEqual(broke.output, 1);
+    assert.strictEqual(broke.rule, 1);
+
+    const calm = policy.evaluate(Object.assign({}, busHomeInputs, { busCrowding: 0 }), null, { outcomes: outcomes });
+    assert.strictEqual(calm.rule, 0);
+    assert.strictEqual(calm.reason, "None of my rules apply, so I'll take the bus.");
+    assert.throws(() => policy.evaluate({ cost: 1 }), /missing a value for input "weather"/);
+});
+
+test("the random policy draws from the random source it is given", () => {
+    const policy = new RandomPolicy({ name: "bus home", inputNames: Object.keys(busHomeInputs), chance: 0.25 });
+
+    assert.strictEqual(policy.evaluate(busHomeInputs, { next: () => 0.9 }).output, 1);
+    assert.strictEqual(policy.evaluate(busHomeInputs, { next: () => 0.1 }).output, 0);
+    assert.strictEqual(policy.evaluate(busHomeInputs).output, 0);
+    assert.strictEqual(policy.evaluate(busHomeInputs).probability, 0.25);
+});
+
+test("the human policy asks until it gets a 1 or a 0", () => {
+    const policy = new HumanPolicy({ name: "bus home", inputNames: Object.keys(busHomeInputs) });
+    const io = createScriptedIO(["maybe", "1"]);
+
+    const decision = policy.evaluate(busHomeInputs, null, { io: io, outcomes: outcomes });
+    assert.strictEqual(decision.output, 1);
+    assert.deepStrictEqual(io.lines, [
+        "Should I take the bus (1) or take a taxi (0)? maybe",
+        "ERROR: Invalid input. Try again.\n",
+        "Should I take the bus (1) or take a taxi (0)? 1"
+    ]);
+    assert.throws(() => policy.evaluate(busHomeInputs), /there is no one to ask/);
+});
+
+test("createPolicies keeps the perceptron for decisions that are not chosen", () => {
+    const policies = createPolicies({ taxiToStore: "random", brandName: "perceptron" });
+
+    assert.ok(policies.taxiToStore instanceof RandomPolicy);
+    assert.strictEqual(policies.brandName.constructor.name, "Perceptron");
+    assert.strictEqual(policies.busHome.constructor.name, "Perceptron");
+    assert.throws(() => createPolicies({ busHome: "q-learning" }), /needs a Q table/);
+});
+
+test("a trip narrates a policy's reason instead of a threshold and explains it without a sum", () => {
+    const io = createScriptedIO([]);
+    const trip = runTrip({
+        catalog: catalog,
+        seed: 7,
+        autopilot: "nearest",
+        perceptrons: createPolicies({ taxiToStore: "rules", brandName: "rules", busHome: "rules" }),
+        io: io,
+        explain: true
+    });
+    const decisions = trip.agent.trace.filter((event) => event.type === "decision" && event.policy === "rules");
+
+    assert.ok(decisions.length >= 3);
+    assert.ok(!io.lines.some((line) => line.startsWith("Threshold")));
+    decisions.forEach((decision) => {
+        assert.ok(io.lines.includes(decision.reason));
+        assert.strictEqual(decision.explanation.sum, undefined);
+        assert.ok(Array.isArray(decision.explanation.counterfactuals));
+    });
+});
+
+test("a human's answers are recorded and replayed like any other input", () => {
+    const { trip, session } = recordSession({
+        catalog: catalog,
+        seed: 42,
+        autopilot: "nearest",
+        policies: { taxiToStore: "human" },
+        io: createScriptedIO(["1"])
+    });
+
+    assert.strictEqual(trip.agent.actionSequence[0], "take taxi");
+    assert.deepStrictEqual(session.settings.policies, { taxiToStore: "human" });
+    assert.deepStrictEqual(session.inputs.map((input) => input.answer), ["1"]);
+    assert.deepStrictEqual(replaySession(session, { catalog: catalog }).divergences, []);
+});
+
+test("loadPolicyChoices reads and checks a policy file", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "policy-"));
+    const good = path.join(directory, "good.json");
+    const bad = path.join(directory, "bad.json");
+
+    fs.writeFileSync(good, JSON.stringify({ taxiToStore: "human", busHome: "rules" }));
+    fs.writeFileSync(bad, JSON.stringify({ taxiHome: "rules", busHome: "coin" }));
+
+    assert.deepStrictEqual(loadPolicyChoices(good), { taxiToStore: "human", busHome: "rules" });
+    assert.throws(() => loadPolicyChoices(bad), /"taxiHome" is not a decision.*The policy for "busHome" must be one of/);
+    assert.throws(() => loadPolicyChoices(path.join(directory, "missing.json")), /Could not read the policies/);
+});
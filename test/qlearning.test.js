@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { createRandomSource } = require("../lib/random");
+const { runTrip } = require("../lib/trip");
+const { QLearningPolicy, createQLearningPolicies, learnFromReward, trainQLearning, saveQTable, loadQTable } = require("../lib/qlearning");
+
+const catalog = loadCatalog(defaultCatalogPath);
+const busHome = () => new QLearningPolicy({ name: "bus home", inputNames: ["cost", "weather", "traffic", "busCrowding", "moneyUnder40"] });
+
+test("the state rounds cost to one decimal place and keeps 0 or 1 inputs as they are", () => {
+    const policy = busHome();
+
+    assert.strictEqual(policy.stateOf({ cost: 1.1428, weather: 1, traffic: 0, busCrowding: 1, moneyUnder40: 0 }),
+        "cost=1.1,weather=1,traffic=0,busCrowding=1,moneyUnder40=0");
+    assert.throws(() => policy.stateOf({ cost: 1 }), /missing a value for input "weather"/);
+});
+
+test("the state puts the time in one of three buckets instead of rounding it", () => {
+    const policy = new QLearningPolicy({ name: "taxi to store", inputNames: ["cost", "time"] });
+
+    assert.deepStrictEqual([-0.07, 0.5, 0.57, 2, 12.4].map((time) => policy.stateOf({ cost: 1, time: time })),
+        ["cost=1,time=0", "cost=1,time=0", "cost=1,time=1", "cost=1,time=1", "cost=1,time=2"]);
+});
+
+test("a policy picks the action with the higher Q value and goes to 0 on a tie", () => {
+    const policy = busHome();
+    const inputs = { cost: 1, weather: 0, traffic: 1, busCrowding: 0, moneyUnder40: 1 };
+
+    assert.strictEqual(policy.evaluate(inputs).output, 0);
+
+    policy.table[policy.stateOf(inputs)] = [10, 12.5];
+    const decision = policy.evaluate(inputs);
+    assert.strictEqual(decision.output, 1);
+    assert.strictEqual(decision.sum, 2.5);
+    assert.strictEqual(decision.threshold, 0);
+    assert.deepStrictEqual(new QLearningPolicy(policy.toJSON()).table, policy.table);
+});
+
+test("exploring draws from the policy's own source and not the trip's", () => {
+    const policies = createQLearningPolicies(undefined, { exploration: 1, randomSource: createRandomSource(3) });
+    const explored = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", perceptrons: policies, io: createSilentIO() });
+    const greedy = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", perceptrons: createQLearningPolicies(), io: createSilentIO() });
+
+    const streets = (trip) => trip.agent.trace.filter((event) => event.type === "perception" && event.chances).map((event) => event.inputs);
+    assert.deepStrictEqual(streets(explored), streets(greedy));
+});
+
+test("the reward at the end of a trip reaches every decision of the trip", () => {
+    const policies = createQLearningPolicies();
+    const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", perceptrons: policies, io: createSilentIO() });
+
+    learnFromReward(trip, policies, 30, { learningRate: 0.5, discount: 1 });
+
+    const decisions = trip.agent.trace.filter((event) => event.type === "decision" && event.state !== undefined);
+    const last = decisions[decisions.length - 1];
+    assert.strictEqual(policies.busHome.qValues(last.state)[last.output], 15);
+    decisions.forEach((decision) => {
+        const policy = Object.values(policies).find((candidate) => candidate.name === decision.perceptron);
+        assert.ok(policy.qValues(decision.state)[decision.output] > 0, decision.action);
+    });
+});
+
+test("training is reproducible from its seed and its Q table survives a save and load", () => {
+    const first = trainQLearning({ catalog: catalog, trips: 200, seed: 4 });
+    const second = trainQLearning({ catalog: catalog, trips: 200, seed: 4 });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "qtable-"));
+    const tablePath = path.join(directory, "q-table.json");
+
+    try {
+        assert.deepStrictEqual(first, second);
+        assert.ok(Object.keys(first.policies.busHome.table).length > 0);
+
+        saveQTable(tablePath, first);
+        assert.deepStrictEqual(loadQTable(tablePath), first.policies);
+
+        fs.writeFileSync(tablePath, JSON.stringify({ policies: { taxiToStore: { table: { "cost=1": [1] } } } }));
+        assert.throws(() => loadQTable(tablePath), /no usable table for "taxiToStore"/);
+        assert.throws(() => loadQTable(path.join(directory, "missing.json")), /Train one first with --train-q/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { runTrip } = require("../lib/trip");
+const { createReceipt, formatReceipt, formatLedger, ledgerToCSV, writeLedger } = require("../lib/receipt");
+
+const catalog = loadCatalog(defaultCatalogPath);
+const cart = [
+    { item: "eggs", type: "local", price: 600 },
+    { item: "milk", type: "brand name", price: 250 }
+];
+
+test("the receipt taxes each line and its lines add up to the total", () => {
+    const receipt = createReceipt(cart, 0.05, 7000);
+
+    assert.deepStrictEqual(receipt.lines, [
+        { item: "eggs", variant: "local", unitPrice: 600, tax: 30, total: 630 },
+        { item: "milk", variant: "brand name", unitPrice: 250, tax: 13, total: 263 }
+    ]);
+    assert.deepStrictEqual([receipt.subtotal, receipt.tax, receipt.total, receipt.payment, receipt.change], [850, 43, 893, 900, 7]);
+    assert.match(formatReceipt(receipt), /Change\s+\$0\.07$/);
+});
+
+test("the ledger lists both fares as transactions around the groceries", () => {
+    const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createSilentIO() });
+
+    assert.deepStrictEqual(trip.ledger.map((transaction) => [transaction.phase, transaction.kind]), [
+        ["to store", "fare"], ["store", "groceries"], ["store", "optional item"], ["store", "optional item"], ["to home", "fare"]
+    ]);
+    trip.ledger.forEach((transaction) => {
+        assert.strictEqual(transaction.moneyAfter, transaction.moneyBefore - transaction.amount);
+        assert.strictEqual(transaction.change, transaction.payment - transaction.amount);
+    });
+    assert.strictEqual(trip.ledger[trip.ledger.length - 1].moneyAfter, trip.money);
+    assert.match(formatLedger(trip.ledger), /bus to the store/);
+});
+
+test("the ledger exports as CSV with a row for each receipt line and each transaction", () => {
+    const ledger = [
+        { phase: "to store", kind: "fare", description: "bus to the store", amount: 500, payment: 500, change: 0, moneyBefore: 7500, moneyAfter: 7000 },
+        { phase: "store", kind: "groceries", description: "groceries", amount: 893, payment: 900, change: 7, moneyBefore: 7000, moneyAfter: 6107,
+            receipt: createReceipt(cart, 0.05, 7000) }
+    ];
+
+    assert.deepStrictEqual(ledgerToCSV(ledger).split("\n"), [
+        "transaction,phase,item,variant,unit price,tax,total,payment,change,money left",
+        "1,to store,bus to the store,,5.00,0.00,5.00,5.00,0.00,70.00",
+        "2,store,eggs,local,6.00,0.30,6.30,,,",
+        "2,store,milk,brand name,2.50,0.13,2.63,,,",
+        "2,store,groceries,,8.50,0.43,8.93,9.00,0.07,61.07",
+        ""
+    ]);
+});
+
+test("writeLedger picks JSON, CSV or text by the file's extension", () => {
+    const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createSilentIO() });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "receipt-"));
+
+    try {
+        writeLedger(path.join(directory, "ledger.json"), trip.ledger);
+        writeLedger(path.join(directory, "ledger.csv"), trip.ledger);
+        writeLedger(path.join(directory, "ledger.txt"), trip.ledger);
+
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(directory, "ledger.json"), "utf8")).transactions, trip.ledger);
+        assert.match(fs.readFileSync(path.join(directory, "ledger.csv"), "utf8"), /^transaction,phase,item/);
+        assert.match(fs.readFileSync(path.join(directory, "ledger.txt"), "utf8"), /Sales tax/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { runTrip } = require("../lib/trip");
+const { runBatch } = require("../lib/batch");
+const { escapeHtml, renderTripReport, renderBatchReport } = require("../lib/report");
+
+test("a trip report has the timeline, money chart, perceptron chart and receipt", () => {
+    const catalog = loadCatalog(defaultCatalogPath);
+    const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createSilentIO() });
+    const html = renderTripReport(trip);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.strictEqual((html.match(/<svg /g) || []).length, 3);
+    assert.match(html, /taxi to store: take bus/);
+    assert.match(html, /Sales tax<\/td>(<td><\/td>){3}<td class="amount">\$1\.00/);
+    assert.match(html, /came home with \$30\.00/);
+});
+
+test("a trip report notes the items left behind and prints the command that replays the trip", () => {
+    const catalog = loadCatalog(defaultCatalogPath);
+    const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createSilentIO(), departure: 20 * 60 + 45 });
+    const html = renderTripReport(trip);
+
+    assert.match(html, /Left without milk: checked out before getting to it\./);
+    assert.match(html, /Left without lighter: checked out before getting to it\./);
+    assert.match(html, /<code>node StoreTrip\.js --seed 9 --autopilot nearest --depart 20:45<\/code>/);
+    assert.match(renderTripReport(runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createSilentIO() })),
+        /<code>node StoreTrip\.js --seed 9 --autopilot nearest<\/code>/);
+});
+
+test("reports do not load anything from the network", () => {
+    const catalog = loadCatalog(defaultCatalogPath);
+    const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: createSilentIO() });
+    const summary = runBatch({ trips: 20, seed: 3, catalog: catalog });
+
+    [renderTripReport(trip), renderBatchReport(summary)].forEach((html) => {
+        assert.doesNotMatch(html, /<script|<link|https?:\/\//);
+    });
+    assert.match(renderBatchReport(summary), /Batch of 20 trips \(batch seed 3\)/);
+});
+
+test("escapeHtml escapes the characters HTML gives meaning to", () => {
+    assert.strictEqual(escapeHtml("<b>\"A & B\"</b>"), "&lt;b&gt;&quot;A &amp; B&quot;&lt;/b&gt;");
+});
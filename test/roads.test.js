@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+
+const { createRandomSource } = require("../lib/random");
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createSilentIO } = require("../lib/io");
+const { createTrip, planRoute, costFactor } = require("../lib/trip");
+const {
+    defaultRoadMapPath,
+    validateRoadMap,
+    loadRoadMap,
+    findRoute,
+    faresFor,
+    chooseClosures
+} = require("../lib/roads");
+
+const roadMap = loadRoadMap(defaultRoadMapPath);
+
+function validRoadMap() {
+    return JSON.parse(fs.readFileSync(defaultRoadMapPath, "utf8"));
+}
+
+test("the default road map is valid", () => {
+    assert.deepStrictEqual(validateRoadMap(validRoadMap()), []);
+});
+
+test("findRoute takes the shortest open way and goes around closed roads", () => {
+    assert.deepStrictEqual(findRoute(roadMap, "home", "store", []),
+        { places: ["home", "Main and Market", "store"], roads: ["Main Street", "Market Street"], miles: 2 });
+    assert.strictEqual(findRoute(roadMap, "store", "home", ["Market Street"]).miles, 3);
+    assert.deepStrictEqual(findRoute(roadMap, "home", "store", ["Main Street", "Lake Drive"]).roads,
+        ["Park Road", "Cross Street", "Market Street"]);
+    assert.strictEqual(findRoute(roadMap, "home", "store", ["Main Street", "Park Road"]), null);
+});
+
+test("the taxi charges by the mile and the bus charges a flat fare", () => {
+    assert.deepStrictEqual(faresFor(roadMap, 2), { taxi: 1000, bus: 500 });
+    assert.deepStrictEqual(faresFor(roadMap, 3), { taxi: 1100, bus: 500 });
+});
+
+test("validateRoadMap reports unknown places and closures that cut off the store", () => {
+    const badPlace = validRoadMap();
+    badPlace.roads[0].to = "the moon";
+    assert.deepStrictEqual(validateRoadMap(badPlace), ["road \"Main Street\" goes to unknown place \"the moon\"."]);
+
+    const cutOff = validRoadMap();
+    cutOff.closures.toStore = ["Market Street", "Lake Drive"];
+    assert.deepStrictEqual(validateRoadMap(cutOff),
+        ["closures.toStore: with Market Street and Lake Drive closed there is no way between home and the store."]);
+});
+
+test("random closures are reproducible and never cut off the store", () => {
+    const alwaysClosed = Object.assign({}, roadMap, { randomClosureChance: 1 });
+
+    for (let seed = 0; seed < 20; seed++) {
+        const closed = chooseClosures(roadMap, "toStore", "random", createRandomSource(seed));
+
+        assert.deepStrictEqual(chooseClosures(roadMap, "toStore", "random", createRandomSource(seed)), closed);
+        assert.notStrictEqual(findRoute(roadMap, "home", "store", closed), null);
+    }
+    assert.notStrictEqual(findRoute(alwaysClosed, "home", "store",
+        chooseClosures(alwaysClosed, "toHome", "random", createRandomSource(1))), null);
+});
+
+test("the cost input is 1 for the usual ride and moves towards the bus on a detour", () => {
+    const trip = createTrip({ catalog: loadCatalog(defaultCatalogPath), random: createRandomSource(1), io: createSilentIO(),
+        roadMap: roadMap, closures: ["Main Street"] });
+
+    planRoute(trip, "toStore");
+    planRoute(trip, "toHome");
+    assert.strictEqual(costFactor(trip, "toStore"), 0.91);
+    assert.strictEqual(costFactor(trip, "toHome"), 1.1);
+
+    trip.closures = "none";
+    planRoute(trip, "toStore");
+    planRoute(trip, "toHome");
+    assert.strictEqual(costFactor(trip, "toStore"), 1);
+    assert.strictEqual(costFactor(trip, "toHome"), 1);
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createScriptedIO } = require("../lib/io");
+const { createTripServer, validateTripRequest } = require("../lib/server");
+const { loadRoadMap, defaultRoadMapPath } = require("../lib/roads");
+
+// Starts a trip server on a free port and returns it with a helper that sends JSON requests to it.
+async function startServer() {
+    const server = createTripServer({ catalog: loadCatalog(defaultCatalogPath) });
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    const request = async (method, path, body) => {
+        const response = await fetch("http://localhost:" + server.address().port + path, {
+            method: method,
+            body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    return { server, request };
+}
+
+test("a scripted I/O answers prompts in order and stops when it runs out", () => {
+    const io = createScriptedIO(["l"]);
+
+    assert.strictEqual(io.question("Which way? "), "l");
+    assert.throws(() => io.question("Which way? "), (error) => error.waitingFor === "Which way? ");
+    assert.deepStrictEqual(io.lines, ["Which way? l"]);
+});
+
+test("a trip with an autopilot finishes with a record of its decisions, cart and receipt", async () => {
+    const { server, request } = await startServer();
+
+    try {
+        const response = await request("POST", "/trips", { seed: 42, autopilot: "nearest" });
+
+        assert.strictEqual(response.status, 201);
+        assert.strictEqual(response.body.status, "finished");
+        assert.ok(response.body.decisions.length > 0);
+        assert.deepStrictEqual(response.body.ledger.filter((transaction) => transaction.kind === "fare").map((transaction) => transaction.phase), ["to store", "to home"]);
+        assert.strictEqual(response.body.totalSpent, 7500 - response.body.finalMoney);
+        assert.strictEqual(response.body.moneyTimeline[response.body.moneyTimeline.length - 1].money, response.body.finalMoney);
+
+        const fetched = await request("GET", "/trips/" + response.body.id);
+        assert.deepStrictEqual(fetched.body, response.body);
+    } finally {
+        server.close();
+    }
+});
+
+test("a trip without an autopilot waits for each answer to the route prompt", async () => {
+    const { server, request } = await startServer();
+
+    try {
+        let response = await request("POST", "/trips", { seed: 5 });
+        assert.strictEqual(response.body.status, "waiting");
+        assert.match(response.body.prompt, /l for left/);
+
+        for (const answer of ["l", "r", "s", "checkout"]) {
+            response = await request("POST", "/trips/" + response.body.id + "/answers", { answer: answer });
+        }
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.status, "finished");
+        assert.deepStrictEqual(response.body.answers, ["l", "r", "s", "checkout"]);
+
+        const late = await request("POST", "/trips/" + response.body.id + "/answers", { answer: "l" });
+        assert.strictEqual(late.status, 409);
+
+        const list = await request("GET", "/trips");
+        assert.deepStrictEqual(list.body.map((trip) => [trip.id, trip.status, trip.seed]), [["1", "finished", 5]]);
+    } finally {
+        server.close();
+    }
+});
+
+test("bad requests and unknown trips are reported as errors", async () => {
+    const { server, request } = await startServer();
+
+    try {
+        assert.strictEqual((await request("POST", "/trips", "{not json")).status, 400);
+        assert.strictEqual((await request("POST", "/trips", { seed: -1 })).status, 400);
+        assert.strictEqual((await request("GET", "/trips/9")).status, 404);
+        assert.strictEqual((await request("GET", "/receipts")).status, 404);
+        assert.strictEqual((await request("DELETE", "/trips")).status, 405);
+        assert.strictEqual(server.trips.length, 0);
+    } finally {
+        server.close();
+    }
+});
+
+test("trip requests are validated against the road map", () => {
+    const roadMap = loadRoadMap(defaultRoadMapPath);
+
+    assert.deepStrictEqual(validateTripRequest({ seed: 1, closures: ["Market Street"], departure: "18:45", activation: "tanh" }, roadMap), []);
+    assert.strictEqual(validateTripRequest([], roadMap).length, 1);
+    assert.strictEqual(validateTripRequest({ closures: ["Nowhere Lane"], money: -5, answers: [1] }, roadMap).length, 3);
+    assert.deepStrictEqual(validateTripRequest({ departure: "24:00" }, roadMap), ["departure must be a time from 00:00 to 23:59, such as \"09:30\"."]);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createScriptedIO } = require("../lib/io");
+const { recordSession, replaySession, saveSession, loadSession } = require("../lib/session");
+
+const catalog = loadCatalog(defaultCatalogPath);
+
+test("a recorded session replays with the same decisions and money", () => {
+    const { trip, session } = recordSession({ catalog: catalog, seed: 42, departure: 1200, io: createScriptedIO(["l", "r", "s", "checkout"]) });
+
+    assert.ok(session.draws.length > 0);
+    assert.deepStrictEqual(session.inputs.map((input) => input.answer), ["l", "r", "s", "checkout"]);
+    assert.strictEqual(session.finalMoney, trip.money);
+
+    const replay = replaySession(JSON.parse(JSON.stringify(session)), { catalog: catalog });
+    assert.deepStrictEqual(replay.divergences, []);
+    assert.deepStrictEqual(replay.trip.agent.actionSequence, trip.agent.actionSequence);
+    assert.strictEqual(replay.trip.departure, 1200);
+});
+
+test("the session fixtures still replay without divergence", () => {
+    const directory = path.join(__dirname, "sessions");
+
+    fs.readdirSync(directory).filter((file) => file.endsWith(".json")).forEach((file) => {
+        const replay = replaySession(loadSession(path.join(directory, file)), { catalog: catalog });
+        assert.deepStrictEqual(replay.divergences, [], file);
+    });
+});
+
+test("a replay reports where its decisions and money part ways with the recording", () => {
+    const { session } = recordSession({ catalog: catalog, seed: 42, autopilot: "nearest", io: createScriptedIO([]) });
+    // Seed 42 has bad weather on the way to the store; a low first draw makes it good, so the agent takes the bus.
+    session.draws[0] = 0;
+
+    const divergences = replaySession(session, { catalog: catalog }).divergences;
+
+    assert.strictEqual(divergences[0], "Decision 1: the recording made \"take taxi\" leaving $65, the replay made \"take bus\" leaving $70.");
+    assert.strictEqual(divergences[divergences.length - 1], "Final money: the recording came home with $25, the replay with $30.");
+});
+
+test("a replay that runs out of recorded input abandons the rest and says so", () => {
+    const { session } = recordSession({ catalog: catalog, seed: 42, io: createScriptedIO(["l", "r", "s", "checkout"]) });
+    session.inputs = session.inputs.slice(0, 1);
+
+    const replay = replaySession(session, { catalog: catalog });
+
+    assert.match(replay.divergences[0], /after the 1 recorded inputs ran out/);
+    assert.ok(replay.trip.abandonedItems.length > 0);
+});
+
+test("sessions survive a save and load, and bad session files are refused", () => {
+    const { session } = recordSession({ catalog: catalog, seed: 7, autopilot: "cheapest", io: createScriptedIO([]) });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "session-"));
+    const sessionPath = path.join(directory, "session.json");
+
+    try {
+        saveSession(sessionPath, session);
+        assert.deepStrictEqual(loadSession(sessionPath), JSON.parse(JSON.stringify(session)));
+
+        fs.writeFileSync(sessionPath, JSON.stringify(Object.assign({}, session, { draws: [2], inputs: [{ prompt: "Which way? " }] })));
+        assert.throws(() => loadSession(sessionPath), /random draws must be numbers from 0 up to 1, its inputs must each have a prompt and an answer/);
+
+        fs.writeFileSync(sessionPath, JSON.stringify({ version: 99 }));
+        assert.throws(() => loadSession(sessionPath), /is not a version 1 session file/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { parseCommand, completeCommand } = require("../lib/shell");
+
+const catalog = loadCatalog(defaultCatalogPath);
+
+test("parseCommand reads section letters, section names and the other commands", () => {
+    assert.deepStrictEqual(parseCommand(catalog, "R"), { name: "go", argument: "r" });
+    assert.deepStrictEqual(parseCommand(catalog, "go straight"), { name: "go", argument: "s" });
+    assert.deepStrictEqual(parseCommand(catalog, "  Go   Straight Ahead "), { name: "go", argument: "s" });
+    assert.deepStrictEqual(parseCommand(catalog, "return eggs"), { name: "return", argument: "eggs" });
+    assert.deepStrictEqual(parseCommand(catalog, "checkout abandon"), { name: "checkout", argument: "abandon" });
+    assert.deepStrictEqual(parseCommand(catalog, "wallet\t"), { name: "wallet", argument: "" });
+});
+
+test("parseCommand rejects lines that are not commands", () => {
+    ["banana", "go up", "return", "cart please", "checkout now", ""].forEach((line) => {
+        assert.strictEqual(parseCommand(catalog, line), null, line);
+    });
+});
+
+test("completeCommand finishes commands, sections and the items in the cart", () => {
+    const cart = [{ item: "eggs", type: "local", price: 6 }, { item: "milk", type: "brand name", price: 9 }];
+
+    assert.deepStrictEqual(completeCommand(catalog, cart, "c"), ["cart", "checkout", "checkout abandon"]);
+    assert.deepStrictEqual(completeCommand(catalog, cart, "go "), ["go left", "go right", "go straight"]);
+    assert.deepStrictEqual(completeCommand(catalog, cart, "ret"), ["return eggs", "return milk"]);
+    assert.deepStrictEqual(completeCommand(catalog, cart, "return m"), ["return milk"]);
+    assert.deepStrictEqual(completeCommand(catalog, [], "return"), []);
+});
@@ -0,0 +1,267 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadCatalog, defaultCatalogPath } = require("../lib/catalog");
+const { createAutopilot } = require("../lib/autopilot");
+const {
+    createTrip,
+    takeBusOrTaxi,
+    chooseItemVariant,
+    storeScenario,
+    chooseOptionalItems,
+    takeTaxiOrBus,
+    littleMoney,
+    runTrip
+} = require("../lib/trip");
+
+// No other shoppers, so the shelves hold exactly what a test puts on them.
+const catalog = Object.assign(loadCatalog(defaultCatalogPath), { otherShoppersChance: 0 });
+
+/**
+ * A stand-in for the seeded random source that makes getZeroOrOne return the
+ * given bits in order.
+ */
+function fixedRandom(bits) {
+    const remaining = bits.slice();
+    return {
+        seed: 0,
+        next: function () {
+            assert.ok(remaining.length > 0, "the trip drew more random numbers than the test expected");
+            return remaining.shift() === 1 ? 0.75 : 0.25;
+        }
+    };
+}
+
+/**
+ * An I/O object that remembers the narration and answers questions from a list.
+ */
+function recordingIO(answers) {
+    const io = {
+        lines: [],
+        log: function (message) {
+            io.lines.push(message);
+        },
+        question: function (prompt) {
+            io.lines.push(prompt);
+            return answers.shift();
+        }
+    };
+    return io;
+}
+
+function newTrip(bits, options) {
+    return createTrip(Object.assign({ catalog: catalog, random: fixedRandom(bits), io: recordingIO([]) }, options));
+}
+
+function emptyLocalShelves(trip) {
+    Object.keys(trip.inventory.shelves).forEach((name) => { trip.inventory.shelves[name].local = 0; });
+    return trip;
+}
+
+const everyCombination = (count) => Array.from({ length: 2 ** count }, (unused, n) =>
+    Array.from({ length: count }, (unused2, bit) => (n >> (count - 1 - bit)) & 1));
+
+test("takeBusOrTaxi only hails a taxi when the weather, traffic and bus are all bad", () => {
+    everyCombination(3).forEach(([weather, traffic, busCrowding]) => {
+        const trip = newTrip([weather, traffic, busCrowding]);
+        const tookTaxi = weather === 1 && traffic === 1 && busCrowding === 1;
+
+        takeBusOrTaxi(trip);
+
+        assert.strictEqual(trip.tookTaxi, tookTaxi, "conditions " + [weather, traffic, busCrowding]);
+        assert.strictEqual(trip.tookBus, !tookTaxi);
+        assert.strictEqual(trip.money, tookTaxi ? 6500 : 7000);
+        assert.deepStrictEqual(trip.agent.actionSequence, [tookTaxi ? "take taxi" : "take bus"]);
+    });
+});
+
+test("takeBusOrTaxi hails a taxi when the sum lands exactly on the threshold", () => {
+    const trip = newTrip([1, 1, 0]);
+    trip.perceptrons.taxiToStore.threshold = 1.4;
+    trip.perceptrons.taxiToStore.weights.time = 0;
+
+    takeBusOrTaxi(trip);
+
+    const decision = trip.agent.trace.find((event) => event.type === "decision");
+    assert.strictEqual(decision.sum, 1.4);
+    assert.strictEqual(trip.tookTaxi, true);
+});
+
+test("takeTaxiOrBus only takes the bus in heavy traffic with little money, good weather and room on the bus", () => {
+    [8000, 3000].forEach((money) => {
+        everyCombination(3).forEach(([weather, traffic, busCrowding]) => {
+            const trip = newTrip([weather, traffic, busCrowding], { money: money });
+            const tookBus = money < 4000 && weather === 0 && traffic === 1 && busCrowding === 0;
+
+            takeTaxiOrBus(trip);
+
+            assert.strictEqual(trip.tookBusHome, tookBus, "money " + money + ", conditions " + [weather, traffic, busCrowding]);
+            assert.strictEqual(trip.tookTaxiHome, !tookBus);
+            assert.strictEqual(trip.money, money - (tookBus ? 500 : 1100));
+        });
+    });
+});
+
+test("chooseItemVariant buys local goods whenever they are in stock", () => {
+    const local = { item: "eggs", type: "local", price: 600 };
+    const brandName = { item: "eggs", type: "brand name", price: 800 };
+
+    [false, true].forEach((tookTaxi) => {
+        const inStock = newTrip([]);
+        inStock.inventory.shelves.eggs.local = 1;
+        inStock.tookTaxi = tookTaxi;
+        assert.strictEqual(chooseItemVariant(inStock, local, brandName), local);
+
+        // After a taxi ride with no local goods the sum is exactly on the 1.0 threshold.
+        const soldOut = emptyLocalShelves(newTrip([]));
+        soldOut.tookTaxi = tookTaxi;
+        assert.strictEqual(chooseItemVariant(soldOut, local, brandName), brandName, "tookTaxi " + tookTaxi);
+    });
+});
+
+test("storeScenario keeps going until every section is visited, through backtracking and invalid input", () => {
+    const trip = emptyLocalShelves(newTrip([], { autopilot: createAutopilot("l,l,x,r,s"), money: 7000 }));
+    trip.tookBus = true;
+
+    storeScenario(trip);
+
+    assert.deepStrictEqual(trip.shoppingCart.map((item) => item.item), ["eggs", "milk", "lighter"]);
+    assert.ok(trip.io.lines.includes("I already have what I need from here. Better backtrack.\n"));
+    assert.ok(trip.io.lines.includes("ERROR: Invalid input. Try again.\n"));
+    assert.deepStrictEqual(trip.agent.actionSequence,
+        ["buy brand name eggs", "buy brand name milk", "buy brand name lighter", "buy candy bar", "buy energy drink"]);
+});
+
+test("storeScenario asks the user for the route when there is no autopilot", () => {
+    const trip = newTrip([], { io: recordingIO(["R", "s", "banana", "l", "checkout"]), money: 7000 });
+
+    storeScenario(trip);
+
+    assert.deepStrictEqual(trip.shoppingCart.map((item) => item.type + " " + item.item),
+        ["local milk", "local lighter", "local eggs"]);
+    assert.ok(trip.io.lines.includes("ERROR: Invalid input. Try again.\n"));
+});
+
+test("the cheapest autopilot only counts the items on the shopping list", () => {
+    const store = Object.assign({}, catalog, {
+        items: catalog.items.concat([{ name: "caviar", section: "l", variants: { "local": 4000, "brand name": 5000 } }])
+    });
+    const cheapest = createAutopilot("cheapest");
+    const position = { x: 0, y: 0 };
+
+    assert.strictEqual(cheapest({ catalog: store, shoppingList: ["eggs", "milk"] }, position, ["l", "r"]), "l");
+    assert.strictEqual(cheapest({ catalog: store, shoppingList: ["eggs", "milk", "caviar"] }, position, ["l", "r"]), "r");
+    assert.strictEqual(cheapest({ catalog: store, shoppingList: ["eggs"] }, position, []), undefined);
+});
+
+test("storeScenario adds 5% sales tax to the subtotal at checkout", () => {
+    const trip = emptyLocalShelves(newTrip([], { autopilot: createAutopilot("nearest"), money: 7000 }));
+
+    storeScenario(trip);
+
+    const payment = trip.agent.trace.find((event) => event.type === "payment");
+    assert.strictEqual(payment.subtotal, 800 + 900 + 500);
+    assert.strictEqual(payment.salesTax, 110);
+    assert.strictEqual(payment.amount, 2310);
+    assert.strictEqual(payment.moneyAfter, 4690);
+});
+
+test("storeScenario skips optional items that would leave too little for the fare home and moneyToKeep", () => {
+    const trip = emptyLocalShelves(newTrip([], { autopilot: createAutopilot("nearest"), money: 6200 }));
+
+    storeScenario(trip);
+
+    assert.deepStrictEqual(trip.optionalItemsBought.map((item) => item.name), ["candy bar"]);
+    assert.strictEqual(trip.money, 3690);
+    assert.ok(trip.io.lines.includes("Ugh, if I get the energy drink, I won't have enough money for the ride home and other things..."));
+});
+
+test("chooseOptionalItems looks at the most utility per dollar first and skips items not worth their price", () => {
+    const trip = newTrip([], { money: 4000 });
+    trip.catalog = Object.assign({}, catalog, {
+        moneyToKeep: 2500,
+        optionalItems: [
+            { name: "magazine", price: 500, utility: 400 },
+            { name: "energy drink", price: 600, utility: 800 },
+            { name: "candy bar", price: 200, utility: 300 }
+        ]
+    });
+
+    chooseOptionalItems(trip);
+
+    assert.deepStrictEqual(trip.agent.actionSequence, ["buy candy bar", "skip energy drink", "skip magazine"]);
+    assert.ok(trip.io.lines.includes("The magazine isn't worth $5 to me."));
+    assert.strictEqual(trip.agent.trace[trip.agent.trace.length - 2].expectedFareHome, 1000);
+});
+
+test("storeScenario substitutes the other variant when a shelf is empty and goes without when both are", () => {
+    const trip = newTrip([], { autopilot: createAutopilot("nearest"), money: 7000 });
+    trip.perceptrons.brandName.threshold = 0;
+    trip.inventory.shelves.eggs["brand name"] = 0;
+    trip.inventory.shelves.milk["brand name"] = 0;
+    trip.inventory.shelves.milk.local = 0;
+
+    storeScenario(trip);
+
+    assert.deepStrictEqual(trip.shoppingCart.map((item) => item.type + " " + item.item), ["local eggs", "brand name lighter"]);
+    assert.deepStrictEqual(trip.substitutions, [{ item: "eggs", wanted: "brand name", bought: "local" }]);
+    assert.deepStrictEqual(trip.missedItems, ["milk"]);
+    assert.ok(trip.agent.actionSequence.includes("buy local eggs instead"));
+    assert.ok(trip.agent.actionSequence.includes("skip milk"));
+    assert.deepStrictEqual(trip.inventory.shelves.eggs, { "local": 1, "brand name": 0 });
+});
+
+test("storeScenario only checks out once the checklist is done or the rest is abandoned", () => {
+    const trip = newTrip([], { io: recordingIO(["l", "checkout", "list", "checkout abandon"]), money: 7000 });
+
+    storeScenario(trip);
+
+    assert.ok(trip.io.lines.includes("I still need milk and lighter. (Type checkout abandon to leave without them.)\n"));
+    assert.ok(trip.io.lines.includes("Still on my list: milk and lighter."));
+    assert.ok(trip.io.lines.includes("At checkout, if I can spare the money: energy drink and candy bar."));
+    assert.deepStrictEqual(trip.shoppingCart.map((item) => item.item), ["eggs"]);
+    assert.deepStrictEqual(trip.abandonedItems, ["milk", "lighter"]);
+    assert.deepStrictEqual(trip.agent.actionSequence.slice(1, 3), ["abandon milk", "abandon lighter"]);
+});
+
+test("storeScenario returns an item to the shelf and lets the agent decide again", () => {
+    const trip = newTrip([], { io: recordingIO(["l", "return eggs", "wallet", "r", "s", "checkout"]), money: 7000 });
+
+    storeScenario(trip);
+
+    assert.deepStrictEqual(trip.agent.actionSequence.slice(0, 3), ["buy local eggs", "return local eggs", "buy local eggs"]);
+    assert.ok(trip.io.lines.includes("I have $70. My cart comes to $6.30 with tax, which would leave me $63.70.\n"));
+    assert.deepStrictEqual(trip.inventory.shelves.eggs, { "local": 1, "brand name": 6 });
+});
+
+test("storeScenario undoes the last go or return, putting the cart and shelves back", () => {
+    const trip = newTrip([], { io: recordingIO(["l", "r", "undo", "cart", "undo", "undo", "s", "l", "r", "checkout"]), money: 7000 });
+
+    storeScenario(trip);
+
+    assert.ok(trip.io.lines.includes("  local eggs: $6"));
+    assert.ok(trip.io.lines.includes("There's nothing to undo.\n"));
+    assert.deepStrictEqual(trip.agent.actionSequence.filter((action) => action.startsWith("undo")), ["undo r", "undo l"]);
+    assert.deepStrictEqual(trip.shoppingCart.map((item) => item.item), ["lighter", "eggs", "milk"]);
+    assert.deepStrictEqual(trip.inventory.shelves.eggs, { "local": 1, "brand name": 6 });
+});
+
+test("runTrip with the same seed produces the same trip", () => {
+    const first = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: recordingIO([]) });
+    const second = runTrip({ catalog: catalog, seed: 42, autopilot: "nearest", io: recordingIO([]) });
+
+    assert.deepStrictEqual(first.agent.trace, second.agent.trace);
+    assert.deepStrictEqual(first.io.lines, second.io.lines);
+    assert.strictEqual(first.agent.trace[first.agent.trace.length - 1].type, "tripEnd");
+});
+
+test("the agent counts under $40 as little money both on the way home and when it sums up the trip", () => {
+    [5000, 7500, 9000].forEach((money) => {
+        const trip = runTrip({ catalog: catalog, seed: 9, autopilot: "nearest", io: recordingIO([]), money: money });
+        const busHome = trip.agent.trace.find((event) => event.type === "decision" && event.perceptron === "bus home");
+        const summedUp = trip.io.lines.some((line) => /little money left/.test(line));
+
+        assert.strictEqual(busHome.inputs.moneyUnder40 === 1, trip.io.lines.includes("Don't have much cash left...\n"), "money " + money);
+        assert.strictEqual(summedUp, trip.money < littleMoney, "money " + money);
+    });
+});